@@ -0,0 +1,107 @@
+/**
+ * Device tracking for continuous discovery
+ *
+ * DHCP leases of the inverter dongles change, so an inverter is tracked
+ * by its serial number rather than its IP address. DeviceTracker compares
+ * consecutive discovery runs and reports which devices were added,
+ * removed or moved to another IP; `discoveredDevices` lets config nodes
+ * that pin an inverter by serial number follow it to its new address.
+ */
+
+"use strict";
+
+const EventEmitter = require("events");
+
+/**
+ * Devices seen by any discovery run, emitted one by one as "device"
+ * events with the `goodwe-discover` device shape ({ host, port, serial, ... })
+ */
+const discoveredDevices = new EventEmitter();
+discoveredDevices.setMaxListeners(0);
+
+/**
+ * Publish the devices of a discovery run
+ * @param {Array<Object>} devices - Discovered devices
+ */
+function publishDevices(devices) {
+    devices.forEach(device => discoveredDevices.emit("device", device));
+}
+
+/**
+ * Get the key a device is tracked by: its serial number, or its host
+ * when the serial number is unknown
+ * @param {Object} device - Discovered device
+ * @returns {string} Tracking key
+ * @private
+ */
+function trackingKey(device) {
+    return device.serial && device.serial !== "UNKNOWN"
+        ? `serial:${device.serial}`
+        : `host:${device.host}`;
+}
+
+/**
+ * Tracks devices across discovery runs
+ */
+class DeviceTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {number} options.missedRuns - Runs a device may be missing before it is
+     *   reported as removed; discovery is UDP, so a single missed reply is not a removal (default: 2)
+     */
+    constructor(options = {}) {
+        this.missedRuns = options.missedRuns || 2;
+        this._devices = new Map();
+    }
+
+    /**
+     * Compare the devices of a discovery run with the known devices
+     * @param {Array<Object>} devices - Devices found in this run
+     * @returns {Array<Object>} Events in order: `{ event: "added", device }`,
+     *   `{ event: "ip_changed", device, previousHost }` and `{ event: "removed", device }`
+     */
+    update(devices) {
+        const events = [];
+        const seen = new Set();
+
+        for (const device of devices) {
+            const key = trackingKey(device);
+            const known = this._devices.get(key);
+            seen.add(key);
+
+            if (!known) {
+                events.push({ event: "added", device });
+            } else if (known.device.host !== device.host) {
+                events.push({ event: "ip_changed", device, previousHost: known.device.host });
+            }
+            this._devices.set(key, { device, missed: 0 });
+        }
+
+        for (const [key, entry] of this._devices) {
+            if (seen.has(key)) {
+                continue;
+            }
+            entry.missed++;
+            if (entry.missed >= this.missedRuns) {
+                this._devices.delete(key);
+                events.push({ event: "removed", device: entry.device });
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Get the currently known devices
+     * @returns {Array<Object>} Devices
+     */
+    getDevices() {
+        return Array.from(this._devices.values()).map(entry => entry.device);
+    }
+}
+
+module.exports = {
+    DeviceTracker,
+    discoveredDevices,
+    publishDevices
+};
@@ -68,10 +68,118 @@ const SUGGESTION_GENERATORS = {
         return suggestions;
     },
 
+    WRITE_ERROR: (ctx) => [
+        "The inverter did not acknowledge the write command",
+        `Verify the setting is supported by your ${ctx.family || "inverter"} model and firmware`,
+        "Read the setting back before retrying the write"
+    ],
+
+    WRITE_VERIFY_FAILED: (ctx) => [
+        "The inverter accepted the write but the setting reads back a different value",
+        "The inverter may have clamped or rejected the value for its current operating mode",
+        `Check the setting in the GoodWe app for the inverter at ${ctx.host || "configured address"}`
+    ],
+
+    MODBUS_ILLEGAL_FUNCTION: (ctx) => [
+        "The inverter does not support this Modbus function",
+        `Verify inverter family setting matches your model (currently: ${ctx.family || "unknown"})`,
+        "Some models only accept writes through the AA55 protocol"
+    ],
+
+    MODBUS_ILLEGAL_DATA_ADDRESS: (ctx) => [
+        `The requested registers are not supported on this ${ctx.family || "inverter"} model or firmware`,
+        "Check that the inverter family is set correctly",
+        "Update the inverter firmware if the register was added in a newer version"
+    ],
+
+    MODBUS_ILLEGAL_DATA_VALUE: () => [
+        "The inverter rejected the value or register count in the request",
+        "Check the value is within the range accepted by your model",
+        "Read the setting first to confirm the expected format"
+    ],
+
+    MODBUS_SLAVE_DEVICE_FAILURE: (ctx) => [
+        `The inverter at ${ctx.host || "configured address"} reported an internal failure`,
+        "Check the inverter display or GoodWe app for fault codes",
+        "Try power-cycling the inverter's communication module"
+    ],
+
+    MODBUS_ACKNOWLEDGE: () => [
+        "The inverter accepted the request but has not finished processing it",
+        "Wait a few seconds and read the value again"
+    ],
+
+    MODBUS_SLAVE_DEVICE_BUSY: () => [
+        "The inverter is busy processing another request",
+        "Try reducing polling frequency",
+        "Avoid querying the inverter from several applications at once"
+    ],
+
+    MODBUS_MEMORY_PARITY_ERROR: () => [
+        "The inverter reported a memory parity error",
+        "Retry the request; contact GoodWe support if it persists"
+    ],
+
+    MODBUS_GATEWAY_PATH_UNAVAILABLE: (ctx) => [
+        "The communication module could not reach the inverter",
+        `Check the comm address configured for ${ctx.host || "this inverter"}`,
+        "Verify the inverter is powered on behind the WiFi/LAN module"
+    ],
+
+    MODBUS_GATEWAY_TARGET_FAILED: () => [
+        "The communication module got no reply from the inverter",
+        "The inverter may be in standby (e.g. at night)",
+        "Try power-cycling the inverter's communication module"
+    ],
+
+    MODBUS_EXCEPTION: () => [
+        "The inverter returned an unrecognised Modbus exception",
+        "Check the inverter display or GoodWe app for fault codes"
+    ],
+
+    QUEUE_TIMEOUT: (ctx) => [
+        `Requests to ${ctx.host || "the inverter"} are waiting too long in the request queue`,
+        "Reduce the polling frequency or the number of nodes sharing this inverter",
+        "Check the queue statistics in the connection status"
+    ],
+
+    QUEUE_CLEARED: () => [
+        "The request was cancelled because the connection was closed",
+        "This is expected while a flow is being redeployed"
+    ],
+
     UNSUPPORTED_FAMILY: (ctx) => [
         `Inverter family "${ctx.family || "unknown"}" is not supported`,
         "Supported families: ET, EH, BT, BH, ES, EM, BP, DT, MS, D-NS, XS",
         "Check your configuration node settings"
+    ],
+
+    TRANSPORT_DETECTION_FAILED: (ctx) => [
+        `The inverter at ${ctx.host || "configured address"} answered neither Modbus TCP (port 502) nor UDP (port 8899)`,
+        "Check that the inverter is powered on and reachable",
+        "Select the protocol manually in the configuration node"
+    ],
+
+    CIRCUIT_OPEN: (ctx) => [
+        `The inverter at ${ctx.host || "configured address"} failed repeatedly, so requests are paused`,
+        "Requests resume by themselves once a probe request after the cool-down succeeds",
+        "This is expected at night when the inverter is in standby"
+    ],
+
+    INVALID_REGISTER_RANGE: () => [
+        "Register addresses range from 0 to 65535",
+        "A single read can return at most 125 registers"
+    ],
+
+    INVALID_DECODE_SPEC: () => [
+        "Each decoding entry needs an id, a register offset within the read range and a sensor type",
+        "Use a sensor type of lib/sensors.js, e.g. Integer, IntegerS, Long, Power4S, Voltage or Float"
+    ],
+
+    FAMILY_DETECTION_FAILED: (ctx) => [
+        `The inverter at ${ctx.host || "configured address"} did not identify its family`,
+        "Check that the inverter is powered on and reachable",
+        "Select the inverter family manually in the configuration node"
     ]
 };
 
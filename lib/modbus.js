@@ -72,6 +72,40 @@ function createAA55ReadRequest(commandPayload) {
     return Buffer.concat([frame, checksumBuf]);
 }
 
+/**
+ * Create an AA55 write request for a single register ("02 39 05" command)
+ * @param {number} register - Register address to write
+ * @param {number} value - 16-bit value to write
+ * @returns {Buffer} Complete AA55 request frame
+ */
+function createAA55WriteRequest(register, value) {
+    const payload = Buffer.alloc(8);
+    payload.writeUInt8(0x02, 0);
+    payload.writeUInt8(0x39, 1);
+    payload.writeUInt8(0x05, 2);            // Length: register(2) + count(1) + value(2)
+    payload.writeUInt16BE(register, 3);
+    payload.writeUInt8(0x01, 5);            // Register count
+    payload.writeUInt16BE(value, 6);
+    return createAA55ReadRequest(payload.toString("hex"));
+}
+
+/**
+ * Create an AA55 write request for multiple registers ("02 39 0B" command
+ * for the common 4-register case)
+ * @param {number} register - First register address to write
+ * @param {Buffer} values - Register values (2 bytes per register, big-endian)
+ * @returns {Buffer} Complete AA55 request frame
+ */
+function createAA55WriteMultiRequest(register, values) {
+    const header = Buffer.alloc(6);
+    header.writeUInt8(0x02, 0);
+    header.writeUInt8(0x39, 1);
+    header.writeUInt8(3 + values.length, 2); // Length: register(2) + byte count(1) + values
+    header.writeUInt16BE(register, 3);
+    header.writeUInt8(values.length, 5);
+    return createAA55ReadRequest(Buffer.concat([header, values]).toString("hex"));
+}
+
 /**
  * Validate an AA55 protocol response
  * @param {Buffer} data - Response data
@@ -107,6 +141,17 @@ function validateAA55Response(data, expectedResponseType) {
     return { valid: true, error: null };
 }
 
+/**
+ * Validate an AA55 write acknowledgement ("02B9" response type).
+ * AA55 write replies carry no echo of the written register, so only the
+ * response type and checksum can be checked.
+ * @param {Buffer} data - Response data
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateAA55WriteResponse(data) {
+    return validateAA55Response(data, "02B9");
+}
+
 /**
  * Extract payload from AA55 response (strip 7-byte header + 2-byte checksum)
  * @param {Buffer} data - AA55 response
@@ -119,6 +164,75 @@ function extractAA55Payload(data) {
     return data.slice(7, data.length - 2);
 }
 
+// ── Modbus Exceptions ─────────────────────────────────────────────────────────
+
+/**
+ * Modbus exception codes, as returned in the data byte of an exception
+ * response (function code | 0x80). Each maps to the error code surfaced
+ * to flows and a human-readable description.
+ */
+const MODBUS_EXCEPTIONS = {
+    0x01: { code: "MODBUS_ILLEGAL_FUNCTION", message: "Illegal function" },
+    0x02: { code: "MODBUS_ILLEGAL_DATA_ADDRESS", message: "Illegal data address" },
+    0x03: { code: "MODBUS_ILLEGAL_DATA_VALUE", message: "Illegal data value" },
+    0x04: { code: "MODBUS_SLAVE_DEVICE_FAILURE", message: "Slave device failure" },
+    0x05: { code: "MODBUS_ACKNOWLEDGE", message: "Acknowledge (request accepted, still processing)" },
+    0x06: { code: "MODBUS_SLAVE_DEVICE_BUSY", message: "Slave device busy" },
+    0x08: { code: "MODBUS_MEMORY_PARITY_ERROR", message: "Memory parity error" },
+    0x0A: { code: "MODBUS_GATEWAY_PATH_UNAVAILABLE", message: "Gateway path unavailable" },
+    0x0B: { code: "MODBUS_GATEWAY_TARGET_FAILED", message: "Gateway target device failed to respond" },
+};
+
+/**
+ * Decode a Modbus exception response
+ * @param {number} functionCode - Function code of the request (without the 0x80 bit)
+ * @param {number} exceptionCode - Exception code from the response
+ * @returns {{functionCode: number, exceptionCode: number, code: string, message: string}}
+ */
+function decodeModbusException(functionCode, exceptionCode) {
+    const known = MODBUS_EXCEPTIONS[exceptionCode];
+    return {
+        functionCode,
+        exceptionCode,
+        code: known ? known.code : "MODBUS_EXCEPTION",
+        message: known ? known.message : "Unknown exception",
+    };
+}
+
+/**
+ * Build the validation result for a Modbus exception response
+ * @param {number} functionCode - Function code of the request
+ * @param {number} exceptionCode - Exception code from the response
+ * @returns {{valid: boolean, error: string, exception: Object}}
+ * @private
+ */
+function exceptionResult(functionCode, exceptionCode) {
+    const exception = decodeModbusException(functionCode, exceptionCode);
+    const hex = `0x${exceptionCode.toString(16).padStart(2, "0")}`;
+    return {
+        valid: false,
+        error: `Modbus error response: ${exception.message} (exception code ${hex})`,
+        exception,
+    };
+}
+
+/**
+ * Validate a GoodWe Modbus RTU exception frame: AA55 + addr + cmd + code + CRC
+ * @param {Buffer} data - Response data
+ * @param {number} expectedCmd - Function code of the request
+ * @returns {{valid: boolean, error: string, exception?: Object}}
+ * @private
+ */
+function rtuExceptionResult(data, expectedCmd) {
+    if (data.length < 7) {
+        return { valid: false, error: "Response too short" };
+    }
+    if (data.readUInt16LE(5) !== crc16(data.slice(2, 5))) {
+        return { valid: false, error: "CRC mismatch" };
+    }
+    return exceptionResult(expectedCmd, data[4]);
+}
+
 // ── Modbus RTU (UDP) ──────────────────────────────────────────────────────────
 
 /**
@@ -141,6 +255,51 @@ function createRtuReadRequest(commAddr, registerStart, registerCount) {
     return Buffer.concat([frame, crcBuf]);
 }
 
+/**
+ * Append the little-endian Modbus CRC to an RTU frame
+ * @param {Buffer} frame - Frame without CRC
+ * @returns {Buffer} Frame with CRC appended
+ * @private
+ */
+function appendRtuCrc(frame) {
+    const crcBuf = Buffer.alloc(2);
+    crcBuf.writeUInt16LE(crc16(frame), 0);
+    return Buffer.concat([frame, crcBuf]);
+}
+
+/**
+ * Create a Modbus RTU write-single-register request (function 0x06)
+ * @param {number} commAddr - Comm address
+ * @param {number} register - Register address to write
+ * @param {number} value - 16-bit value to write
+ * @returns {Buffer} 8-byte Modbus RTU request frame
+ */
+function createRtuWriteRequest(commAddr, register, value) {
+    const frame = Buffer.alloc(6);
+    frame.writeUInt8(commAddr, 0);
+    frame.writeUInt8(0x06, 1);  // Function code: Write Single Register
+    frame.writeUInt16BE(register, 2);
+    frame.writeUInt16BE(value, 4);
+    return appendRtuCrc(frame);
+}
+
+/**
+ * Create a Modbus RTU write-multiple-registers request (function 0x10)
+ * @param {number} commAddr - Comm address
+ * @param {number} registerStart - First register address to write
+ * @param {Buffer} values - Register values (2 bytes per register, big-endian)
+ * @returns {Buffer} Modbus RTU request frame
+ */
+function createRtuWriteMultiRequest(commAddr, registerStart, values) {
+    const frame = Buffer.alloc(7);
+    frame.writeUInt8(commAddr, 0);
+    frame.writeUInt8(0x10, 1);  // Function code: Write Multiple Registers
+    frame.writeUInt16BE(registerStart, 2);
+    frame.writeUInt16BE(values.length / 2, 4);
+    frame.writeUInt8(values.length, 6);
+    return appendRtuCrc(Buffer.concat([frame, values]));
+}
+
 /**
  * Validate a Modbus RTU response from a GoodWe inverter.
  * GoodWe RTU responses are prefixed with AA55 header.
@@ -148,7 +307,7 @@ function createRtuReadRequest(commAddr, registerStart, registerCount) {
  * @param {Buffer} data - Response data
  * @param {number} expectedCmd - Expected function code (0x03 for read)
  * @param {number} expectedCount - Expected register count
- * @returns {{valid: boolean, error: string|null}}
+ * @returns {{valid: boolean, error: string|null, exception?: Object}}
  */
 function validateRtuResponse(data, expectedCmd, expectedCount) {
     if (!data || data.length < 7) {
@@ -162,10 +321,9 @@ function validateRtuResponse(data, expectedCmd, expectedCount) {
 
     // Check function code at byte 3
     if (data[3] !== expectedCmd) {
-        // Error response: function code has high bit set
+        // Exception response: function code has high bit set
         if (data[3] === (expectedCmd | 0x80)) {
-            const errorCode = data.length > 4 ? data[4] : 0;
-            return { valid: false, error: `Modbus error response, code: ${errorCode}` };
+            return rtuExceptionResult(data, expectedCmd);
         }
         return { valid: false, error: `Unexpected function code: 0x${data[3].toString(16)}` };
     }
@@ -194,6 +352,82 @@ function validateRtuResponse(data, expectedCmd, expectedCount) {
     return { valid: true, error: null };
 }
 
+/**
+ * Check the echoed register address and value/count of a Modbus write reply.
+ * Both 0x06 and 0x10 replies echo the request as register(2) + word(2):
+ * the written value for 0x06, the register count for 0x10.
+ * @param {Buffer} data - Response data
+ * @param {number} offset - Offset of the echoed register address
+ * @param {number} expectedCmd - Write function code (0x06 or 0x10)
+ * @param {number} expectedRegister - Register address that was written
+ * @param {number} expectedValue - Value (0x06) or register count (0x10)
+ * @returns {string|null} Error message, or null if the echo matches
+ * @private
+ */
+function checkWriteEcho(data, offset, expectedCmd, expectedRegister, expectedValue) {
+    const register = data.readUInt16BE(offset);
+    if (register !== expectedRegister) {
+        return `Register mismatch: expected ${expectedRegister}, got ${register}`;
+    }
+
+    const value = data.readUInt16BE(offset + 2);
+    if (value !== expectedValue) {
+        const field = expectedCmd === 0x10 ? "Register count" : "Value";
+        return `${field} mismatch: expected ${expectedValue}, got ${value}`;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a Modbus RTU write response (function 0x06 or 0x10).
+ * GoodWe RTU responses are prefixed with AA55 header.
+ *
+ * @param {Buffer} data - Response data
+ * @param {number} expectedCmd - Write function code (0x06 or 0x10)
+ * @param {number} expectedRegister - Register address that was written
+ * @param {number} expectedValue - Value written (0x06) or register count (0x10)
+ * @returns {{valid: boolean, error: string|null, exception?: Object}}
+ */
+function validateRtuWriteResponse(data, expectedCmd, expectedRegister, expectedValue) {
+    if (!data || data.length < 5) {
+        return { valid: false, error: "Response too short" };
+    }
+
+    // GoodWe RTU responses start with AA55
+    if (data[0] !== 0xAA || data[1] !== 0x55) {
+        return { valid: false, error: "Missing AA55 header in RTU response" };
+    }
+
+    // Check function code at byte 3
+    if (data[3] !== expectedCmd) {
+        if (data[3] === (expectedCmd | 0x80)) {
+            return rtuExceptionResult(data, expectedCmd);
+        }
+        return { valid: false, error: `Unexpected function code: 0x${data[3].toString(16)}` };
+    }
+
+    // Expected total length: 4 (AA55 + addr + cmd) + register(2) + value(2) + 2 (CRC)
+    const expectedLength = 10;
+    if (data.length < expectedLength) {
+        return { valid: false, error: `Response too short: expected ${expectedLength}, got ${data.length}` };
+    }
+
+    // Verify CRC on bytes 2..end-2 (skip AA55 header, exclude CRC)
+    const expectedCrc = data.readUInt16LE(expectedLength - 2);
+    const actualCrc = crc16(data.slice(2, expectedLength - 2));
+    if (expectedCrc !== actualCrc) {
+        return { valid: false, error: "CRC mismatch" };
+    }
+
+    const echoError = checkWriteEcho(data, 4, expectedCmd, expectedRegister, expectedValue);
+    if (echoError) {
+        return { valid: false, error: echoError };
+    }
+
+    return { valid: true, error: null };
+}
+
 /**
  * Extract payload from Modbus RTU response (strip 5-byte header + 2-byte CRC)
  * Header: AA(1) 55(1) addr(1) cmd(1) bytecount(1)
@@ -248,12 +482,53 @@ function createTcpReadRequest(commAddr, registerStart, registerCount) {
     return frame;
 }
 
+/**
+ * Create a Modbus TCP write-single-register request (function 0x06)
+ * @param {number} commAddr - Comm address
+ * @param {number} register - Register address to write
+ * @param {number} value - 16-bit value to write
+ * @returns {Buffer} 12-byte Modbus TCP request frame
+ */
+function createTcpWriteRequest(commAddr, register, value) {
+    const txId = nextTransactionId();
+    const frame = Buffer.alloc(12);
+    frame.writeUInt16BE(txId, 0);         // Transaction ID
+    frame.writeUInt16BE(0x0000, 2);       // Protocol ID (Modbus)
+    frame.writeUInt16BE(0x0006, 4);       // Length (6 bytes follow)
+    frame.writeUInt8(commAddr, 6);        // Unit ID / comm address
+    frame.writeUInt8(0x06, 7);            // Function code: Write Single Register
+    frame.writeUInt16BE(register, 8);
+    frame.writeUInt16BE(value, 10);
+    return frame;
+}
+
+/**
+ * Create a Modbus TCP write-multiple-registers request (function 0x10)
+ * @param {number} commAddr - Comm address
+ * @param {number} registerStart - First register address to write
+ * @param {Buffer} values - Register values (2 bytes per register, big-endian)
+ * @returns {Buffer} Modbus TCP request frame
+ */
+function createTcpWriteMultiRequest(commAddr, registerStart, values) {
+    const txId = nextTransactionId();
+    const frame = Buffer.alloc(13);
+    frame.writeUInt16BE(txId, 0);                 // Transaction ID
+    frame.writeUInt16BE(0x0000, 2);               // Protocol ID (Modbus)
+    frame.writeUInt16BE(7 + values.length, 4);    // Length (unit + cmd + start + count + bytecount + values)
+    frame.writeUInt8(commAddr, 6);                // Unit ID / comm address
+    frame.writeUInt8(0x10, 7);                    // Function code: Write Multiple Registers
+    frame.writeUInt16BE(registerStart, 8);
+    frame.writeUInt16BE(values.length / 2, 10);
+    frame.writeUInt8(values.length, 12);
+    return Buffer.concat([frame, values]);
+}
+
 /**
  * Validate a Modbus TCP response
  * @param {Buffer} data - Response data
  * @param {number} expectedCmd - Expected function code (0x03 for read)
  * @param {number} expectedCount - Expected register count
- * @returns {{valid: boolean, error: string|null}}
+ * @returns {{valid: boolean, error: string|null, exception?: Object}}
  */
 function validateTcpResponse(data, expectedCmd, expectedCount) {
     if (!data || data.length < 9) {
@@ -263,8 +538,7 @@ function validateTcpResponse(data, expectedCmd, expectedCount) {
     // Check function code at byte 7
     if (data[7] !== expectedCmd) {
         if (data[7] === (expectedCmd | 0x80)) {
-            const errorCode = data.length > 8 ? data[8] : 0;
-            return { valid: false, error: `Modbus error response, code: ${errorCode}` };
+            return exceptionResult(expectedCmd, data[8]);
         }
         return { valid: false, error: `Unexpected function code: 0x${data[7].toString(16)}` };
     }
@@ -285,6 +559,41 @@ function validateTcpResponse(data, expectedCmd, expectedCount) {
     return { valid: true, error: null };
 }
 
+/**
+ * Validate a Modbus TCP write response (function 0x06 or 0x10)
+ * @param {Buffer} data - Response data
+ * @param {number} expectedCmd - Write function code (0x06 or 0x10)
+ * @param {number} expectedRegister - Register address that was written
+ * @param {number} expectedValue - Value written (0x06) or register count (0x10)
+ * @returns {{valid: boolean, error: string|null, exception?: Object}}
+ */
+function validateTcpWriteResponse(data, expectedCmd, expectedRegister, expectedValue) {
+    if (!data || data.length < 9) {
+        return { valid: false, error: "Response too short" };
+    }
+
+    // Check function code at byte 7
+    if (data[7] !== expectedCmd) {
+        if (data[7] === (expectedCmd | 0x80)) {
+            return exceptionResult(expectedCmd, data[8]);
+        }
+        return { valid: false, error: `Unexpected function code: 0x${data[7].toString(16)}` };
+    }
+
+    // Expected total length: 8 (MBAP header + unit + cmd) + register(2) + value(2)
+    const expectedLength = 12;
+    if (data.length < expectedLength) {
+        return { valid: false, error: `Response too short: expected ${expectedLength}, got ${data.length}` };
+    }
+
+    const echoError = checkWriteEcho(data, 8, expectedCmd, expectedRegister, expectedValue);
+    if (echoError) {
+        return { valid: false, error: echoError };
+    }
+
+    return { valid: true, error: null };
+}
+
 /**
  * Extract payload from Modbus TCP response (strip 9-byte header)
  * Header: txId(2) + protocolId(2) + length(2) + unitId(1) + cmd(1) + bytecount(1)
@@ -299,6 +608,53 @@ function extractTcpPayload(data) {
     return data.slice(9, 9 + byteCount);
 }
 
+/**
+ * Check whether a frame carries a Modbus TCP (MBAP) header, i.e. protocol
+ * ID 0 and a length field matching the rest of the frame
+ * @param {Buffer} data - Frame to check
+ * @returns {boolean}
+ */
+function isTcpFrame(data) {
+    return Boolean(data) && data.length >= 8 &&
+        data.readUInt16BE(2) === 0x0000 &&
+        data.readUInt16BE(4) === data.length - 6;
+}
+
+/**
+ * Split a Modbus TCP byte stream into complete frames using the MBAP
+ * length field. TCP may deliver a frame in several segments or several
+ * frames in one segment; incomplete data is returned as remainder so it
+ * can be prepended to the next segment. Bytes that cannot start a frame
+ * (non-zero protocol ID or impossible length) are skipped so the stream
+ * resynchronizes after garbage.
+ * @param {Buffer} data - Buffered stream data
+ * @returns {{frames: Buffer[], remainder: Buffer}} Complete frames and the incomplete tail
+ */
+function splitTcpFrames(data) {
+    const frames = [];
+    let offset = 0;
+
+    while (data.length - offset >= 6) {
+        const protocolId = data.readUInt16BE(offset + 2);
+        const length = data.readUInt16BE(offset + 4);
+
+        // Length covers unit ID + PDU (at most 253 bytes)
+        if (protocolId !== 0x0000 || length < 2 || length > 254) {
+            offset++;
+            continue;
+        }
+
+        if (data.length - offset < 6 + length) {
+            break;
+        }
+
+        frames.push(data.slice(offset, offset + 6 + length));
+        offset += 6 + length;
+    }
+
+    return { frames, remainder: data.slice(offset) };
+}
+
 // ── Default Comm Addresses ────────────────────────────────────────────────────
 
 const DEFAULT_COMM_ADDR = {
@@ -322,28 +678,44 @@ const AA55_COMMANDS = {
     DISCOVERY: createAA55ReadRequest("010200"),
     READ_DEVICE_INFO: createAA55ReadRequest("010100"),
     READ_RUNNING_DATA_ES: createAA55ReadRequest("010600"),
+    READ_SETTINGS_ES: createAA55ReadRequest("010900"),
 };
 
 module.exports = {
     // CRC
     crc16,
 
+    // Exceptions
+    MODBUS_EXCEPTIONS,
+    decodeModbusException,
+
     // AA55
     aa55Checksum,
     createAA55ReadRequest,
+    createAA55WriteRequest,
+    createAA55WriteMultiRequest,
     validateAA55Response,
+    validateAA55WriteResponse,
     extractAA55Payload,
     AA55_COMMANDS,
 
     // Modbus RTU
     createRtuReadRequest,
+    createRtuWriteRequest,
+    createRtuWriteMultiRequest,
     validateRtuResponse,
+    validateRtuWriteResponse,
     extractRtuPayload,
 
     // Modbus TCP
     createTcpReadRequest,
+    createTcpWriteRequest,
+    createTcpWriteMultiRequest,
     validateTcpResponse,
+    validateTcpWriteResponse,
     extractTcpPayload,
+    isTcpFrame,
+    splitTcpFrames,
     nextTransactionId,
     resetTransactionId,
 
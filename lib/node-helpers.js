@@ -7,7 +7,7 @@
 
 "use strict";
 
-const { getSensors, buildSensorMetadata } = require("./sensors");
+const { getSensors, getSettings, buildSensorMetadata } = require("./sensors");
 
 /**
  * Get sensor metadata for a given inverter family.
@@ -27,6 +27,34 @@ function getSensorMetadata(family) {
     }
 }
 
+/**
+ * Get setting metadata for a given inverter family.
+ *
+ * @param {string} family - Inverter family (ET, DT, ES, etc.)
+ * @returns {Object} Setting metadata map keyed by setting ID
+ */
+function getSettingMetadata(family) {
+    let settings;
+    try {
+        settings = getSettings(family);
+    } catch (e) {
+        // Fall back to ET if family is unknown
+        settings = getSettings("ET");
+    }
+
+    const metadata = {};
+    for (const setting of settings) {
+        metadata[setting.id] = {
+            name: setting.name,
+            unit: setting.unit,
+            kind: setting.kind || "STATUS",
+            writable: setting.writable,
+            values: setting.values || null
+        };
+    }
+    return metadata;
+}
+
 /**
  * Default SENSOR_METADATA for backward compatibility (ET family)
  */
@@ -34,5 +62,6 @@ const SENSOR_METADATA = getSensorMetadata("ET");
 
 module.exports = {
     getSensorMetadata,
+    getSettingMetadata,
     SENSOR_METADATA
 };
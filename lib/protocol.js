@@ -8,9 +8,45 @@
 const dgram = require("dgram");
 const net = require("net");
 const EventEmitter = require("events");
-const { getFamilyConfig, parseSensorData } = require("./sensors");
+const {
+    getFamilyConfig,
+    planRegisterBlocks,
+    planSensorBlocks,
+    parseSensorData,
+    calculateSensors,
+    parseSettingValue,
+    validateSettingValue,
+    encodeSettingValue
+} = require("./sensors");
 const modbus = require("./modbus");
 const { enhanceError } = require("./errors");
+const { RequestQueue, PRIORITY } = require("./request-queue");
+
+// TCP connection manager defaults, in ms
+const KEEPALIVE_DELAY = 10000;
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+const IDLE_PROBE_INTERVAL = 60000;
+
+// Circuit breaker defaults: consecutive failures before it opens, and
+// the cool-down in ms before a probe request is let through
+const BREAKER_THRESHOLD = 10;
+const BREAKER_COOLDOWN = 60000;
+
+// Transports tried by protocol "auto", in order, with their ports (the
+// configured port is not used): Modbus
+// TCP fails fastest when nothing listens, and AA55 only suits the ES
+// families, which have no Modbus register map here
+const TRANSPORTS = ["modbus", "udp", "aa55"];
+const TRANSPORT_PORTS = { modbus: 502, udp: 8899, aa55: 8899 };
+
+// Failed requests in a row after which protocol "auto" drops its transport
+const TRANSPORT_FAILOVER = 2;
+
+// Comm addresses tried by probeCommAddrs(): the ET and DT defaults, then
+// addresses common on rebranded and parallel-connected units
+const COMM_ADDR_CANDIDATES = [0xF7, 0x7F, 0x01, 0x11];
 
 /**
  * Protocol Handler for GoodWe Inverters
@@ -34,29 +70,120 @@ class ProtocolHandler extends EventEmitter {
         this.consecutiveFailures = 0;
         this.lastError = null;
 
+        // One request in flight per inverter; callers sharing this handler
+        // (e.g. a polling read node and an info node) wait their turn.
+        // Modbus TCP replies are matched by transaction ID, so up to
+        // `pipelineDepth` requests may share the socket there.
+        const isTcp = this.config.protocol === "tcp" || this.config.protocol === "modbus";
+        this._queue = new RequestQueue({
+            concurrency: isTcp ? this.config.pipelineDepth || 1 : 1,
+            timeout: this.config.requestTimeout
+        });
+
+        // Modbus TCP stream state: partial frame data, requests waiting
+        // for a reply keyed by transaction ID, and the handler of a
+        // non-Modbus (AA55) exchange that owns the socket
+        this._tcpBuffer = Buffer.alloc(0);
+        this._tcpTransactions = new Map();
+        this._rawDataHandler = null;
+        this.droppedFrames = 0;
+
+        // TCP connection manager state: the connect in progress, the
+        // pending reconnect and the idle probe timer
+        this._connecting = null;
+        this._reconnectTimer = null;
+        this._reconnectAttempt = 0;
+        this._idleTimer = null;
+        this._lastActivity = 0;
+
+        // Circuit breaker: "closed" (normal), "open" (failing fast until
+        // `openUntil`) or "half-open" (one probe request allowed). `failures`
+        // counts failed requests and connects, not the attempts within them
+        this._circuit = { state: "closed", openUntil: 0, probing: false, failures: 0 };
+
         // Resolve comm address
         this._commAddr = this.config.commAddr === "auto"
             ? modbus.getDefaultCommAddr(this.config.family)
             : parseInt(this.config.commAddr, 16) || modbus.getDefaultCommAddr(this.config.family);
 
-        // Get family configuration for sensor definitions
+        // Get family configuration for sensor definitions. With family
+        // "auto" there is none until detectFamily() has resolved it.
         this._familyConfig = getFamilyConfig(this.config.family);
+        this.detectedFamily = null;
+        this._familyDetection = null;
+
+        // Transport in use: "modbus" (Modbus TCP), "udp" (Modbus RTU over
+        // UDP) or "aa55" (AA55 over UDP, ES families). Protocol "auto"
+        // has none until a transport answered; it also tracks failed
+        // requests on it and the transport dropped last.
+        this._autoProtocol = this.config.protocol === "auto";
+        this.transport = this._autoProtocol ? null : this._fixedTransport();
+
+        // Protocol and port the socket is opened with. They are the
+        // configured ones, except that protocol "auto" sets them to the
+        // transport being probed or selected; a port other than the
+        // default is kept then too (e.g. a port-forwarded dongle).
+        this._activeProtocol = this._autoProtocol ? null : this.config.protocol;
+        this._activePort = this.config.port;
+        this._transportFailures = 0;
+        this._failedTransport = null;
     }
 
     /**
-     * Connect to the inverter
+     * Connect to the inverter. With family "auto" the family is detected
+     * on the first connect (see detectFamily()); if detection fails the
+     * connect is rejected and retried on the next call.
      * @returns {Promise<void>}
      */
     connect() {
-        return new Promise((resolve, reject) => {
-            if (this.connected) {
-                resolve();
-                return;
+        return this._connectTransport().then(() => {
+            if (this.config.family === "auto" && !this.detectedFamily) {
+                return this.detectFamily().then(() => {});
             }
+        });
+    }
 
+    /**
+     * Open the UDP socket or TCP connection. Concurrent callers share
+     * the same connect.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _connectTransport() {
+        if (this.connected) {
+            return Promise.resolve();
+        }
+        try {
+            this._checkCircuit();
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        if (!this._connecting) {
+            const open = this._autoProtocol && !this.transport
+                ? this._selectTransport()
+                : this._openTransport();
+            this._connecting = open
+                .catch((err) => {
+                    this._recordFailure();
+                    throw err;
+                })
+                .finally(() => {
+                    this._connecting = null;
+                });
+        }
+        return this._connecting;
+    }
+
+    /**
+     * Open the transport for _connectTransport()
+     * @returns {Promise<void>}
+     * @private
+     */
+    _openTransport() {
+        return new Promise((resolve, reject) => {
             this.emit("status", { state: "connecting" });
 
-            if (this.config.protocol === "udp") {
+            if (this._activeProtocol === "udp") {
                 this._connectUDP()
                     .then(() => {
                         this.connected = true;
@@ -65,21 +192,182 @@ class ProtocolHandler extends EventEmitter {
                         resolve();
                     })
                     .catch(reject);
-            } else if (this.config.protocol === "tcp" || this.config.protocol === "modbus") {
+            } else if (this._activeProtocol === "tcp" || this._activeProtocol === "modbus") {
                 this._connectTCP()
                     .then(() => {
                         this.connected = true;
                         this.consecutiveFailures = 0;
                         this.emit("status", { state: "connected" });
+                        this._onReconnected();
+                        this._startIdleProbe();
                         resolve();
                     })
                     .catch(reject);
             } else {
-                reject(new Error(`Unsupported protocol: ${this.config.protocol}`));
+                reject(new Error(`Unsupported protocol: ${this._activeProtocol}`));
             }
         });
     }
 
+    /**
+     * Find a working transport for protocol "auto": open each candidate
+     * and probe it with a small request until one answers. The transport
+     * is kept until it fails `config.transportFailover` requests in a row.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _selectTransport() {
+        const candidates = this._transportCandidates();
+
+        for (const transport of candidates) {
+            this._activeProtocol = transport === "modbus" ? "modbus" : "udp";
+            this._activePort = TRANSPORT_PORTS[transport];
+            try {
+                await this._openTransport();
+                if (await this._probeTransport(transport)) {
+                    this.transport = transport;
+                    this._transportFailures = 0;
+                    this.emit("status", { state: "transport-selected", transport });
+                    return;
+                }
+            } catch (err) {
+                // Transport not available, try the next one
+            }
+            this._closeSocket();
+        }
+
+        const error = new Error(`No transport answered (tried ${candidates.join(", ")})`);
+        error.code = "TRANSPORT_DETECTION_FAILED";
+        throw enhanceError(error, this.config);
+    }
+
+    /**
+     * Get the transports to try for protocol "auto", with the transport
+     * that failed last moved to the end
+     * @returns {Array<string>} Transport names
+     * @private
+     */
+    _transportCandidates() {
+        let candidates = TRANSPORTS;
+        if (this._familyConfig) {
+            candidates = this._familyConfig.protocol === "aa55" ? ["aa55"] : ["modbus", "udp"];
+        }
+        if (this._failedTransport && candidates.length > 1) {
+            candidates = candidates.filter(t => t !== this._failedTransport).concat(
+                candidates.includes(this._failedTransport) ? [this._failedTransport] : []
+            );
+        }
+        return candidates;
+    }
+
+    /**
+     * Probe an open transport. AA55 must answer the device info request;
+     * Modbus must answer a one-register read of the family's first block,
+     * or of the ET and DT blocks while the family is unknown. A Modbus
+     * exception response counts, since it shows the transport works.
+     * @param {string} transport - Transport name
+     * @returns {Promise<boolean>} Whether the inverter answered
+     * @private
+     */
+    async _probeTransport(transport) {
+        if (transport === "aa55") {
+            try {
+                const response = await this.sendCommand(modbus.AA55_COMMANDS.READ_DEVICE_INFO);
+                return modbus.validateAA55Response(response, "0181").valid;
+            } catch (err) {
+                return false;
+            }
+        }
+
+        const probes = this._familyConfig
+            ? [[this._familyConfig.registerStart, this._commAddr]]
+            : ["ET", "DT"].map(family => [
+                getFamilyConfig(family).registerStart,
+                this.config.commAddr === "auto" ? modbus.getDefaultCommAddr(family) : this._commAddr
+            ]);
+
+        for (const [registerStart, commAddr] of probes) {
+            if (await this._probeRegister(commAddr, registerStart)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Read one register with the given comm address, without retries.
+     * A Modbus exception reply counts as an answer.
+     * @param {number} commAddr - Comm address (Modbus unit ID)
+     * @param {number} registerStart - Register to read
+     * @returns {Promise<boolean>} Whether the inverter answered
+     * @private
+     */
+    async _probeRegister(commAddr, registerStart) {
+        const command = this._activeProtocol === "tcp" || this._activeProtocol === "modbus"
+            ? modbus.createTcpReadRequest(commAddr, registerStart, 1)
+            : modbus.createRtuReadRequest(commAddr, registerStart, 1);
+        try {
+            this._extractRegisterPayload(await this.sendCommand(command), 1);
+            return true;
+        } catch (err) {
+            return Boolean(err.exception);
+        }
+    }
+
+    /**
+     * Close the socket without rejecting queued requests or reconnecting
+     * @private
+     */
+    _closeSocket() {
+        const socket = this.socket;
+        this.socket = null;
+        this.connected = false;
+        this._stopIdleProbe();
+
+        if (socket instanceof net.Socket) {
+            socket.destroy();
+        } else if (socket) {
+            socket.close();
+        }
+    }
+
+    /**
+     * Count a failed request against the transport chosen by protocol
+     * "auto"; after `config.transportFailover` failures in a row it is
+     * dropped and the next request selects a transport again, trying the
+     * other transports first
+     * @private
+     */
+    _transportFailed() {
+        if (!this._autoProtocol || !this.transport) {
+            return;
+        }
+        this._transportFailures++;
+        if (this._transportFailures < (this.config.transportFailover || TRANSPORT_FAILOVER)) {
+            return;
+        }
+
+        this.emit("status", { state: "transport-lost", transport: this.transport });
+        this._failedTransport = this.transport;
+        this.transport = null;
+        this._transportFailures = 0;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._closeSocket();
+    }
+
+    /**
+     * Get the transport of a configured (not "auto") protocol
+     * @returns {string} "modbus", "udp" or "aa55"
+     * @private
+     */
+    _fixedTransport() {
+        if (this.config.protocol === "tcp" || this.config.protocol === "modbus") {
+            return "modbus";
+        }
+        return this._familyConfig && this._familyConfig.protocol === "aa55" ? "aa55" : "udp";
+    }
+
     /**
      * Connect using UDP protocol
      * @private
@@ -113,20 +401,29 @@ class ProtocolHandler extends EventEmitter {
                 if (this.socket) {
                     this.socket.destroy();
                 }
+                this.consecutiveFailures++;
                 const error = new Error("Connection timeout");
                 error.code = "TIMEOUT";
                 reject(enhanceError(error, this.config));
             }, this.config.timeout);
 
             try {
-                this.socket = new net.Socket();
+                const socket = new net.Socket();
+                this.socket = socket;
+                this._tcpBuffer = Buffer.alloc(0);
+
+                socket.on("data", (data) => this._onTcpData(data));
 
-                this.socket.on("connect", () => {
+                socket.on("connect", () => {
                     clearTimeout(timeout);
+                    if (this.config.keepAlive !== false) {
+                        socket.setKeepAlive(true, this.config.keepAliveDelay || KEEPALIVE_DELAY);
+                    }
+                    this._lastActivity = Date.now();
                     resolve();
                 });
 
-                this.socket.on("error", (err) => {
+                socket.on("error", (err) => {
                     clearTimeout(timeout);
                     this.emit("error", err);
                     this.consecutiveFailures++;
@@ -134,12 +431,24 @@ class ProtocolHandler extends EventEmitter {
                     reject(enhanceError(err, this.config));
                 });
 
-                this.socket.on("close", () => {
+                socket.on("close", () => {
+                    // Sockets closed by disconnect() or replaced by a newer
+                    // connection are no longer this.socket
+                    if (socket !== this.socket) {
+                        return;
+                    }
+                    const wasConnected = this.connected;
+                    this.socket = null;
                     this.connected = false;
+                    this._stopIdleProbe();
                     this.emit("status", { state: "disconnected" });
+
+                    if (wasConnected && this.config.keepAlive !== false) {
+                        this._scheduleReconnect();
+                    }
                 });
 
-                this.socket.connect(this.config.port, this.config.host);
+                socket.connect(this._activePort, this.config.host);
             } catch (err) {
                 clearTimeout(timeout);
                 reject(err);
@@ -148,56 +457,283 @@ class ProtocolHandler extends EventEmitter {
     }
 
     /**
-     * Disconnect from the inverter
+     * Disconnect from the inverter. Requests still waiting in the queue
+     * are rejected with code QUEUE_CLEARED.
      */
     disconnect() {
+        this._queue.clear("Disconnected from inverter");
+        this._stopIdleProbe();
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._reconnectAttempt = 0;
+
         return new Promise((resolve) => {
-            if (!this.socket) {
+            const socket = this.socket;
+            if (!socket) {
                 this.connected = false;
                 resolve();
                 return;
             }
 
-            if (this.config.protocol === "udp") {
-                this.socket.close(() => {
-                    this.socket = null;
-                    this.connected = false;
-                    this.emit("status", { state: "disconnected" });
-                    resolve();
-                });
+            // Detach first so that the close is not taken for a dropped connection
+            this.socket = null;
+            const closed = () => {
+                this.connected = false;
+                this.emit("status", { state: "disconnected" });
+                resolve();
+            };
+
+            if (this._activeProtocol === "udp") {
+                socket.close(closed);
             } else {
-                this.socket.end(() => {
-                    this.socket = null;
-                    this.connected = false;
-                    this.emit("status", { state: "disconnected" });
-                    resolve();
-                });
+                socket.end(closed);
             }
         });
     }
 
     /**
-     * Send a command and wait for response
+     * Schedule a reconnect after the TCP connection dropped. The delay
+     * doubles with every failed attempt up to `config.maxReconnectDelay`,
+     * and is jittered so that inverters dropped at the same time (e.g. by
+     * a WiFi outage) don't all reconnect in step. After
+     * `config.maxReconnectAttempts` failed attempts it gives up; the next
+     * request connects again.
+     * @private
+     */
+    _scheduleReconnect() {
+        if (this._reconnectTimer) {
+            return;
+        }
+
+        const maxAttempts = this.config.maxReconnectAttempts || MAX_RECONNECT_ATTEMPTS;
+        if (this._reconnectAttempt >= maxAttempts) {
+            this.emit("status", { state: "reconnect-failed", attempts: this._reconnectAttempt });
+            this._reconnectAttempt = 0;
+            return;
+        }
+
+        this._reconnectAttempt++;
+        const backoff = Math.min(
+            (this.config.reconnectDelay || RECONNECT_DELAY) * Math.pow(2, this._reconnectAttempt - 1),
+            this.config.maxReconnectDelay || MAX_RECONNECT_DELAY
+        );
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        this.emit("status", { state: "reconnecting", attempt: this._reconnectAttempt, delay });
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._connectTransport().catch(() => this._scheduleReconnect());
+        }, delay);
+        this._reconnectTimer.unref(); // Allow process to exit
+    }
+
+    /**
+     * Report a successful reconnect, whether it came from the reconnect
+     * timer or from a request that connected first
+     * @private
+     */
+    _onReconnected() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+
+        if (this._reconnectAttempt > 0) {
+            this.emit("status", { state: "reconnected", attempts: this._reconnectAttempt });
+            this._reconnectAttempt = 0;
+        }
+    }
+
+    /**
+     * Probe the TCP connection when it has been idle for
+     * `config.idleProbeInterval` ms (0 disables probing). A connection
+     * whose peer is gone without a FIN, e.g. a dongle that lost power,
+     * still looks open until a request goes unanswered.
+     * @private
+     */
+    _startIdleProbe() {
+        const interval = this.config.idleProbeInterval === undefined
+            ? IDLE_PROBE_INTERVAL
+            : this.config.idleProbeInterval;
+        if (!interval || this.config.keepAlive === false || this._idleTimer) {
+            return;
+        }
+
+        this._idleTimer = setInterval(() => {
+            const queue = this._queue.getStats();
+            if (Date.now() - this._lastActivity >= interval && queue.depth === 0 && queue.active === 0) {
+                this._probeConnection();
+            }
+        }, interval);
+        this._idleTimer.unref();
+    }
+
+    /**
+     * Stop the idle probe timer
+     * @private
+     */
+    _stopIdleProbe() {
+        clearInterval(this._idleTimer);
+        this._idleTimer = null;
+    }
+
+    /**
+     * Send a minimal request on the idle connection. Any reply, even a
+     * Modbus exception, shows the connection is alive; without one the
+     * socket is destroyed, which starts a reconnect.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _probeConnection() {
+        const socket = this.socket;
+        this._lastActivity = Date.now();
+
+        try {
+            await this.sendCommand(this._buildProbeCommand(), null, { priority: PRIORITY.LOW });
+        } catch (err) {
+            if (err.code === "TIMEOUT" && socket && socket === this.socket) {
+                this.emit("status", { state: "half-open" });
+                socket.destroy();
+            }
+        }
+    }
+
+    /**
+     * Build the idle probe request: one register of the first runtime
+     * block, or the AA55 device info request for AA55 families. With the
+     * family not detected yet, Modbus TCP gets a register read of the ET
+     * block, since it never answers AA55; an exception reply will do.
+     * @returns {Buffer} Command buffer
+     * @private
+     */
+    _buildProbeCommand() {
+        if (this._familyConfig && this._familyConfig.protocol !== "aa55") {
+            return this._buildRegisterReadCommand(this._familyConfig.registerStart, 1);
+        }
+        if (!this._familyConfig && (this._activeProtocol === "tcp" || this._activeProtocol === "modbus")) {
+            return this._buildRegisterReadCommand(getFamilyConfig("ET").registerStart, 1);
+        }
+        return modbus.AA55_COMMANDS.READ_DEVICE_INFO;
+    }
+
+    /**
+     * Point the handler at a new address, e.g. after the inverter got a
+     * new DHCP lease. An open connection is closed; the next request
+     * connects to the new host.
+     * @param {string} host - New host
+     * @returns {Promise<void>}
+     */
+    setHost(host) {
+        if (host === this.config.host) {
+            return Promise.resolve();
+        }
+        this.config.host = host;
+        return this.disconnect();
+    }
+
+    /**
+     * Send a command and wait for response. Commands are queued so that
+     * only one request is in flight at a time; Modbus TCP requests may be
+     * pipelined up to `config.pipelineDepth` since their replies are
+     * matched by transaction ID.
      * @param {Buffer} command - Command buffer to send
      * @param {number} expectedLength - Expected response length (optional)
+     * @param {Object} options - Queue options
+     * @param {number} options.priority - Request priority (see PRIORITY)
+     * @param {number} options.timeout - Timeout in ms for waiting plus sending (default: config.requestTimeout)
      * @returns {Promise<Buffer>}
      */
-    sendCommand(command, expectedLength = null) {
+    sendCommand(command, expectedLength = null, options = {}) {
+        // Only Modbus TCP frames can be told apart by transaction ID;
+        // anything else must have the socket to itself
+        const exclusive = !modbus.isTcpFrame(command);
+        return this._queue.enqueue(
+            () => this._exchange(command, expectedLength),
+            Object.assign({ exclusive }, options)
+        );
+    }
+
+    /**
+     * Handle data received on the TCP socket. Modbus TCP frames are cut
+     * from the stream by their MBAP length and handed to the request with
+     * the same transaction ID; frames nobody is waiting for (late replies
+     * to timed-out requests, duplicates) are dropped.
+     * @param {Buffer} data - Received data
+     * @private
+     */
+    _onTcpData(data) {
+        this._lastActivity = Date.now();
+
+        if (this._rawDataHandler) {
+            this._rawDataHandler(data);
+            return;
+        }
+
+        const { frames, remainder } = modbus.splitTcpFrames(Buffer.concat([this._tcpBuffer, data]));
+        this._tcpBuffer = remainder;
+
+        for (const frame of frames) {
+            const transaction = this._tcpTransactions.get(frame.readUInt16BE(0));
+            if (transaction) {
+                transaction(frame);
+            } else {
+                this.droppedFrames++;
+            }
+        }
+    }
+
+    /**
+     * Send a command on the socket and wait for its response
+     * @param {Buffer} command - Command buffer to send
+     * @param {number} expectedLength - Expected response length (optional)
+     * @returns {Promise<Buffer>}
+     * @private
+     */
+    _exchange(command, expectedLength = null) {
         return new Promise((resolve, reject) => {
             if (!this.socket) {
                 reject(new Error("Not connected"));
                 return;
             }
 
+            const socket = this.socket;
             let timeoutId;
             let responseBuffer = Buffer.alloc(0);
 
+            const isTransaction = this._activeProtocol !== "udp" && modbus.isTcpFrame(command);
+            const transactionId = isTransaction ? command.readUInt16BE(0) : null;
+
             const cleanup = () => {
                 if (timeoutId) clearTimeout(timeoutId);
-                if (this.config.protocol === "udp") {
-                    this.socket.removeAllListeners("message");
-                } else {
-                    this.socket.removeAllListeners("data");
+                if (this._activeProtocol === "udp") {
+                    socket.removeListener("message", onMessage);
+                } else if (isTransaction) {
+                    this._tcpTransactions.delete(transactionId);
+                } else if (this._rawDataHandler === onData) {
+                    this._rawDataHandler = null;
+                }
+            };
+
+            const onMessage = (msg) => {
+                cleanup();
+                this.consecutiveFailures = 0;
+                resolve(msg);
+            };
+
+            const onData = (data) => {
+                responseBuffer = Buffer.concat([responseBuffer, data]);
+
+                // Check if we have received enough data
+                if (expectedLength && responseBuffer.length >= expectedLength) {
+                    cleanup();
+                    this.consecutiveFailures = 0;
+                    resolve(responseBuffer);
+                } else if (!expectedLength) {
+                    // For protocols without fixed length, wait a bit for all data
+                    clearTimeout(timeoutId);
+                    timeoutId = setTimeout(() => {
+                        cleanup();
+                        this.consecutiveFailures = 0;
+                        resolve(responseBuffer);
+                    }, 100);
                 }
             };
 
@@ -209,14 +745,9 @@ class ProtocolHandler extends EventEmitter {
                 reject(enhanceError(error, this.config));
             }, this.config.timeout);
 
-            if (this.config.protocol === "udp") {
-                this.socket.once("message", (msg) => {
-                    cleanup();
-                    this.consecutiveFailures = 0;
-                    resolve(msg);
-                });
-
-                this.socket.send(command, this.config.port, this.config.host, (err) => {
+            if (this._activeProtocol === "udp") {
+                socket.on("message", onMessage);
+                socket.send(command, this._activePort, this.config.host, (err) => {
                     if (err) {
                         cleanup();
                         this.consecutiveFailures++;
@@ -224,27 +755,12 @@ class ProtocolHandler extends EventEmitter {
                     }
                 });
             } else {
-                const onData = (data) => {
-                    responseBuffer = Buffer.concat([responseBuffer, data]);
-
-                    // Check if we have received enough data
-                    if (expectedLength && responseBuffer.length >= expectedLength) {
-                        cleanup();
-                        this.consecutiveFailures = 0;
-                        resolve(responseBuffer);
-                    } else if (!expectedLength) {
-                        // For protocols without fixed length, wait a bit for all data
-                        clearTimeout(timeoutId);
-                        timeoutId = setTimeout(() => {
-                            cleanup();
-                            this.consecutiveFailures = 0;
-                            resolve(responseBuffer);
-                        }, 100);
-                    }
-                };
-
-                this.socket.on("data", onData);
-                this.socket.write(command, (err) => {
+                if (isTransaction) {
+                    this._tcpTransactions.set(transactionId, onMessage);
+                } else {
+                    this._rawDataHandler = onData;
+                }
+                socket.write(command, (err) => {
                     if (err) {
                         cleanup();
                         this.consecutiveFailures++;
@@ -256,132 +772,693 @@ class ProtocolHandler extends EventEmitter {
     }
 
     /**
-     * Send command with retry logic
-     * @param {Buffer} command - Command to send
-     * @param {number} expectedLength - Expected response length (optional)
-     * @returns {Promise<Buffer>}
+     * Send command with retry logic. While the circuit breaker is open
+     * the command fails fast with code CIRCUIT_OPEN; when it half-opens,
+     * one command is sent as a probe, without retries.
+     * @param {Buffer} command - Command to send
+     * @param {number} expectedLength - Expected response length (optional)
+     * @param {Object} options - Queue options passed to sendCommand(), and
+     *   `probe: true` for requests that may fail on a working transport
+     *   (family detection), which then don't count toward dropping the
+     *   transport of protocol "auto"
+     * @returns {Promise<Buffer>}
+     */
+    async sendCommandWithRetry(command, expectedLength = null, options = {}) {
+        this._checkCircuit();
+
+        const { probe: detectionProbe, ...queueOptions } = options;
+        let retries = this.config.retries;
+        const circuitProbe = this._circuit.state === "half-open";
+        if (circuitProbe) {
+            if (this._circuit.probing) {
+                throw this._circuitOpenError();
+            }
+            this._circuit.probing = true;
+            retries = 1;
+        }
+
+        let lastError;
+
+        try {
+            for (let attempt = 1; attempt <= retries; attempt++) {
+                try {
+                    this.emit("status", {
+                        state: "reading",
+                        attempt: attempt,
+                        maxRetries: retries
+                    });
+
+                    const response = await this.sendCommand(command, expectedLength, queueOptions);
+                    this._circuit.failures = 0;
+                    this._closeCircuit();
+                    this._transportFailures = 0;
+                    return response;
+                } catch (err) {
+                    lastError = err;
+
+                    if (attempt < retries) {
+                        this.emit("status", {
+                            state: "retrying",
+                            attempt: attempt,
+                            maxRetries: retries
+                        });
+
+                        // Exponential backoff
+                        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                    }
+                }
+            }
+        } finally {
+            if (circuitProbe) {
+                this._circuit.probing = false;
+            }
+        }
+
+        this.consecutiveFailures++;
+        this._recordFailure();
+        if (!detectionProbe) {
+            this._transportFailed();
+        }
+        throw lastError;
+    }
+
+    /**
+     * Fail fast while the circuit breaker is open; once the cool-down has
+     * passed, half-open it so the next request probes the inverter
+     * @throws {Error} CIRCUIT_OPEN error during the cool-down
+     * @private
+     */
+    _checkCircuit() {
+        if (this._circuit.state !== "open") {
+            return;
+        }
+        if (Date.now() < this._circuit.openUntil) {
+            throw this._circuitOpenError();
+        }
+
+        this._circuit.state = "half-open";
+        this.emit("status", { state: "circuit-half-open" });
+    }
+
+    /**
+     * Count a failed request or connect, and open the circuit breaker once
+     * `config.breakerThreshold` of them failed in a row (0 disables the
+     * breaker), or right away when the half-open probe failed
+     * @private
+     */
+    _recordFailure() {
+        this._circuit.failures++;
+        const threshold = this.config.breakerThreshold === undefined
+            ? BREAKER_THRESHOLD
+            : this.config.breakerThreshold;
+        if (!threshold) {
+            return;
+        }
+        if (this._circuit.state !== "half-open" && this._circuit.failures < threshold) {
+            return;
+        }
+
+        const cooldown = this.config.breakerCooldown || BREAKER_COOLDOWN;
+        this._circuit.state = "open";
+        this._circuit.openUntil = Date.now() + cooldown;
+        this.emit("status", { state: "circuit-open", failures: this._circuit.failures, cooldown });
+    }
+
+    /**
+     * Close the circuit breaker after a successful request
+     * @private
+     */
+    _closeCircuit() {
+        if (this._circuit.state === "closed") {
+            return;
+        }
+        this._circuit.state = "closed";
+        this._circuit.openUntil = 0;
+        this.emit("status", { state: "circuit-closed" });
+    }
+
+    /**
+     * Build the error for a request rejected by the open circuit breaker
+     * @returns {Error} Error with code CIRCUIT_OPEN
+     * @private
+     */
+    _circuitOpenError() {
+        const retryIn = Math.max(0, this._circuit.openUntil - Date.now());
+        const error = new Error(
+            `Inverter not answering, requests paused for ${Math.ceil(retryIn / 1000)}s ` +
+            `after ${this._circuit.failures} consecutive failures`
+        );
+        error.code = "CIRCUIT_OPEN";
+        return enhanceError(error, this.config);
+    }
+
+    /**
+     * Get connection status
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            connected: this.connected,
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError ? this.lastError.message : null,
+            protocol: this._activeProtocol || this.config.protocol,
+            transport: this.transport,
+            host: this.config.host,
+            port: this._activePort,
+            family: this.detectedFamily || this.config.family,
+            circuit: {
+                state: this._circuit.state,
+                retryIn: Math.max(0, this._circuit.openUntil - Date.now()),
+                failures: this._circuit.failures
+            },
+            reconnecting: this._reconnectTimer !== null,
+            reconnectAttempts: this._reconnectAttempt,
+            droppedFrames: this.droppedFrames,
+            queue: this._queue.getStats()
+        };
+    }
+
+    /**
+     * Build the appropriate read command for this inverter's family/protocol
+     * @returns {Buffer} Command buffer
+     * @private
+     */
+    _buildReadCommand() {
+        if (!this._familyConfig) {
+            throw new Error(`Unsupported inverter family: ${this.config.family}`);
+        }
+
+        if (this._familyConfig.protocol === "aa55") {
+            // ES family: use AA55 protocol
+            return modbus.AA55_COMMANDS.READ_RUNNING_DATA_ES;
+        }
+
+        // Modbus family (ET, DT): build register read request
+        return this._buildRegisterReadCommand(
+            this._familyConfig.registerStart,
+            this._familyConfig.registerCount
+        );
+    }
+
+    /**
+     * Build a Modbus register read request for the configured transport
+     * @param {number} registerStart - First register address
+     * @param {number} registerCount - Number of registers to read
+     * @returns {Buffer} Command buffer
+     * @private
+     */
+    _buildRegisterReadCommand(registerStart, registerCount) {
+        if (this._activeProtocol === "tcp" || this._activeProtocol === "modbus") {
+            return modbus.createTcpReadRequest(this._commAddr, registerStart, registerCount);
+        }
+
+        // Default: Modbus RTU over UDP
+        return modbus.createRtuReadRequest(this._commAddr, registerStart, registerCount);
+    }
+
+    /**
+     * Extract and validate payload from response based on protocol
+     * @param {Buffer} response - Raw response from inverter
+     * @returns {Buffer} Extracted payload
+     * @private
+     */
+    _extractPayload(response) {
+        if (!this._familyConfig) {
+            throw new Error(`Unsupported inverter family: ${this.config.family}`);
+        }
+
+        if (this._familyConfig.protocol === "aa55") {
+            const validation = modbus.validateAA55Response(response, "0186");
+            if (!validation.valid) {
+                throw new Error(`Invalid AA55 response: ${validation.error}`);
+            }
+            return modbus.extractAA55Payload(response);
+        }
+
+        return this._extractRegisterPayload(response, this._familyConfig.registerCount);
+    }
+
+    /**
+     * Build the error for a failed Modbus response validation. Exception
+     * responses carry their own error code (e.g. MODBUS_ILLEGAL_DATA_ADDRESS)
+     * so flows can tell an unsupported register apart from a corrupt frame.
+     * @param {string} description - Response description, e.g. "Modbus RTU response"
+     * @param {{error: string, exception?: Object}} validation - Failed validation result
+     * @returns {Error} Error with code and exception details when applicable
+     * @private
+     */
+    _modbusResponseError(description, validation) {
+        const error = new Error(`Invalid ${description}: ${validation.error}`);
+        if (validation.exception) {
+            error.code = validation.exception.code;
+            error.exception = validation.exception;
+        }
+        return error;
+    }
+
+    /**
+     * Validate a Modbus register read response and extract its payload
+     * @param {Buffer} response - Raw response from inverter
+     * @param {number} registerCount - Number of registers requested
+     * @returns {Buffer} Extracted payload
+     * @private
+     */
+    _extractRegisterPayload(response, registerCount) {
+        if (this._activeProtocol === "tcp" || this._activeProtocol === "modbus") {
+            const validation = modbus.validateTcpResponse(response, 0x03, registerCount);
+            if (!validation.valid) {
+                throw this._modbusResponseError("Modbus TCP response", validation);
+            }
+            return modbus.extractTcpPayload(response);
+        }
+
+        // Modbus RTU over UDP
+        const validation = modbus.validateRtuResponse(response, 0x03, registerCount);
+        if (!validation.valid) {
+            throw this._modbusResponseError("Modbus RTU response", validation);
+        }
+        return modbus.extractRtuPayload(response);
+    }
+
+    /**
+     * Read a contiguous range of registers and return the raw payload
+     * @param {number} registerStart - First register address
+     * @param {number} registerCount - Number of registers to read
+     * @param {Object} [options] - Options passed to sendCommandWithRetry()
+     * @returns {Promise<Buffer>} Register data (2 bytes per register)
+     * @private
+     */
+    async _readRegisterBlock(registerStart, registerCount, options = {}) {
+        const command = this._buildRegisterReadCommand(registerStart, registerCount);
+        const response = await this.sendCommandWithRetry(command, null, options);
+        return this._extractRegisterPayload(response, registerCount);
+    }
+
+    /**
+     * Read runtime data from inverter.
+     *
+     * Modbus families read every register block of the family config and
+     * merge the parsed sensors; calculated sensors are evaluated once on the
+     * merged values. Optional blocks (e.g. the ET battery/BMS
+     * registers) that the inverter rejects as an illegal data address are
+     * skipped, so their sensors are simply missing from the result.
+     *
+     * With `options.sensors` only the registers of those sensors, and of
+     * the sensors their calculated values depend on, are read: the smallest
+     * contiguous ranges covering them, merged across gaps of up to 16
+     * registers (see `planSensorBlocks`). The result may hold those
+     * dependencies too. AA55 families always read their single block.
+     * @param {Object} [options] - Read options
+     * @param {string[]} [options.sensors] - Sensor IDs to read (default: all sensors)
+     * @returns {Promise<Object>} Runtime sensor data
+     */
+    async readRuntimeData(options = {}) {
+        await this._ensureFamily();
+
+        if (!this.connected) {
+            await this.connect();
+        }
+
+        this.emit("status", { state: "reading" });
+
+        try {
+            if (this._familyConfig && this._familyConfig.protocol !== "aa55") {
+                const blocks = options.sensors && options.sensors.length > 0
+                    ? planSensorBlocks(this._familyConfig, options.sensors)
+                    : this._familyConfig.blocks;
+                const runtimeData = {};
+                for (const block of blocks) {
+                    let payload;
+                    try {
+                        payload = await this._readRegisterBlock(block.start, block.count);
+                    } catch (err) {
+                        if (block.optional && err.code === "MODBUS_ILLEGAL_DATA_ADDRESS") {
+                            continue;
+                        }
+                        throw err;
+                    }
+                    Object.assign(runtimeData, parseSensorData(
+                        block.items || this._familyConfig.sensors, payload, block.start, { calculate: false }
+                    ));
+                }
+                return calculateSensors(this._familyConfig.sensors, runtimeData);
+            }
+
+            const command = this._buildReadCommand();
+            const response = await this.sendCommandWithRetry(command);
+            const payload = this._extractPayload(response);
+
+            // AA55 sensor offsets are byte offsets into the payload
+            return parseSensorData(this._familyConfig.sensors, payload, null);
+        } catch (err) {
+            const error = new Error(`Failed to read runtime data: ${err.message}`);
+            error.code = err.code || "READ_ERROR";
+            throw enhanceError(error, this.config);
+        }
+    }
+
+    /**
+     * Read any range of holding registers over the configured transport,
+     * e.g. to look at registers that are not in a sensor table yet.
+     *
+     * The result holds the raw register data and three views of it, each
+     * indexed by register relative to `start`: `uint16` and `int16` per
+     * register, and `uint32` of a register and the next one (high word
+     * first), so it has one entry less than there are registers. The AA55
+     * families (ES) don't answer Modbus reads and are rejected with
+     * `UNSUPPORTED_FAMILY`.
+     * @param {number} start - First register address (0-65535)
+     * @param {number} count - Number of registers to read (1-125)
+     * @returns {Promise<{start: number, count: number, buffer: Buffer, uint16: number[], int16: number[], uint32: number[]}>}
+     *   Register data and views
+     */
+    async readRegisters(start, count) {
+        if (!Number.isInteger(start) || !Number.isInteger(count) ||
+            start < 0 || count < 1 || count > 125 || start + count > 0x10000) {
+            const error = new Error(`Invalid register range: start ${start}, count ${count}`);
+            error.code = "INVALID_REGISTER_RANGE";
+            throw enhanceError(error, this.config);
+        }
+
+        if (!this.connected) {
+            await this.connect();
+        }
+
+        if (this._familyConfig && this._familyConfig.protocol === "aa55") {
+            const error = new Error(`Inverter family ${this.detectedFamily || this.config.family} does not answer Modbus register reads`);
+            error.code = "UNSUPPORTED_FAMILY";
+            throw enhanceError(error, this.config);
+        }
+
+        this.emit("status", { state: "reading" });
+
+        try {
+            const buffer = await this._readRegisterBlock(start, count);
+            const uint16 = [];
+            const int16 = [];
+            const uint32 = [];
+            for (let i = 0; i < count; i++) {
+                uint16.push(buffer.readUInt16BE(i * 2));
+                int16.push(buffer.readInt16BE(i * 2));
+                if (i + 1 < count) {
+                    uint32.push(buffer.readUInt32BE(i * 2));
+                }
+            }
+            return { start, count, buffer, uint16, int16, uint32 };
+        } catch (err) {
+            const error = new Error(`Failed to read registers: ${err.message}`);
+            error.code = err.code || "READ_ERROR";
+            throw enhanceError(error, this.config);
+        }
+    }
+
+    /**
+     * Read device information from inverter
+     * Uses the AA55 device info command regardless of family.
+     * @param {Object} [options] - Options passed to sendCommandWithRetry()
+     * @returns {Promise<Object>} Device info object
+     */
+    async readDeviceInfo(options = {}) {
+        if (!this.connected) {
+            await this.connect();
+        }
+
+        this.emit("status", { state: "reading" });
+
+        try {
+            const command = modbus.AA55_COMMANDS.READ_DEVICE_INFO;
+            const response = await this.sendCommandWithRetry(command, null, options);
+
+            // Validate AA55 response with type "0181" (device info reply)
+            const validation = modbus.validateAA55Response(response, "0181");
+            if (!validation.valid) {
+                throw new Error(`Invalid device info response: ${validation.error}`);
+            }
+
+            const payload = modbus.extractAA55Payload(response);
+            return parseDeviceInfo(payload);
+        } catch (err) {
+            const error = new Error(`Failed to read device info: ${err.message}`);
+            error.code = err.code || "READ_ERROR";
+            throw enhanceError(error, this.config);
+        }
+    }
+
+    /**
+     * Detect the inverter family.
+     *
+     * The serial number and model name from the device info are checked
+     * first (see detectInverterFamily()). When they don't give the family
+     * away, the ET and DT runtime register blocks and the ES AA55 running
+     * data command are probed in turn and the first one answered wins.
+     * The result is cached, and with comm address "auto" the default
+     * address of the detected family is used from then on.
+     * @returns {Promise<string>} Family code, e.g. "ET"
+     */
+    detectFamily() {
+        if (this.detectedFamily) {
+            return Promise.resolve(this.detectedFamily);
+        }
+
+        // Callers arriving while detection runs share its result
+        if (!this._familyDetection) {
+            this._familyDetection = this._detectFamily()
+                .then((family) => {
+                    this._setFamily(family);
+                    return family;
+                })
+                .finally(() => {
+                    this._familyDetection = null;
+                });
+        }
+        return this._familyDetection;
+    }
+
+    /**
+     * Run family detection without caching the result
+     * @returns {Promise<string>} Family code
+     * @private
+     */
+    async _detectFamily() {
+        if (!this.connected) {
+            await this._connectTransport();
+        }
+
+        this.emit("status", { state: "detecting" });
+
+        try {
+            // Detection requests fail on a working transport when the
+            // inverter doesn't speak that request, so they are probes
+            const info = await this.readDeviceInfo({ probe: true });
+            const family = detectInverterFamily(info.serial_number, info.model_name);
+            if (family) {
+                return family;
+            }
+        } catch (err) {
+            // Not every inverter answers the AA55 device info command;
+            // fall through to probing
+        }
+
+        return this._probeFamily();
+    }
+
+    /**
+     * Find the family by probing the family specific runtime requests
+     * @returns {Promise<string>} "ET", "DT" or "ES"
+     * @private
+     */
+    async _probeFamily() {
+        const commAddr = this._commAddr;
+
+        try {
+            for (const family of ["ET", "DT"]) {
+                const block = getFamilyConfig(family).blocks[0];
+                if (this.config.commAddr === "auto") {
+                    this._commAddr = modbus.getDefaultCommAddr(family);
+                }
+                try {
+                    await this._readRegisterBlock(block.start, block.count, { probe: true });
+                    return family;
+                } catch (err) {
+                    // Block not answered, try the next family
+                }
+            }
+        } finally {
+            this._commAddr = commAddr;
+        }
+
+        try {
+            const response = await this.sendCommandWithRetry(
+                modbus.AA55_COMMANDS.READ_RUNNING_DATA_ES, null, { probe: true }
+            );
+            if (modbus.validateAA55Response(response, "0186").valid) {
+                return "ES";
+            }
+        } catch (err) {
+            // Not an ES inverter either
+        }
+
+        const error = new Error("Could not detect the inverter family");
+        error.code = "FAMILY_DETECTION_FAILED";
+        throw enhanceError(error, this.config);
+    }
+
+    /**
+     * Switch to a detected family
+     * @param {string} family - Family code
+     * @private
+     */
+    _setFamily(family) {
+        this.detectedFamily = family;
+        this._familyConfig = getFamilyConfig(family);
+        if (this.config.commAddr === "auto") {
+            this._commAddr = modbus.getDefaultCommAddr(family);
+        }
+        // The family decides between Modbus RTU and AA55 on the UDP socket
+        if (this.transport === "udp" || this.transport === "aa55") {
+            this.transport = this._familyConfig.protocol === "aa55" ? "aa55" : "udp";
+        }
+        this.emit("status", { state: "detected", family });
+    }
+
+    /**
+     * Find the comm addresses (Modbus unit IDs) the inverter answers on.
+     * Each candidate gets a one-register read of the family's first
+     * runtime block, or of the ET and DT blocks while the family is
+     * unknown. Rebranded and parallel-connected units often use another
+     * address than the family default.
+     * @param {Array<number>} candidates - Addresses to try (default: 0xF7, 0x7F, 0x01, 0x11)
+     * @returns {Promise<Array<number>>} Addresses that answered, in candidate order
      */
-    async sendCommandWithRetry(command, expectedLength = null) {
-        let lastError;
-
-        for (let attempt = 1; attempt <= this.config.retries; attempt++) {
-            try {
-                this.emit("status", {
-                    state: "reading",
-                    attempt: attempt,
-                    maxRetries: this.config.retries
-                });
-
-                const response = await this.sendCommand(command, expectedLength);
-                return response;
-            } catch (err) {
-                lastError = err;
+    async probeCommAddrs(candidates = COMM_ADDR_CANDIDATES) {
+        if (this._familyConfig && this._familyConfig.protocol === "aa55") {
+            const error = new Error(`Inverter family ${this.detectedFamily || this.config.family} does not use Modbus comm addresses`);
+            error.code = "UNSUPPORTED_FAMILY";
+            throw enhanceError(error, this.config);
+        }
+        if (!this.connected) {
+            await this._connectTransport();
+        }
 
-                if (attempt < this.config.retries) {
-                    this.emit("status", {
-                        state: "retrying",
-                        attempt: attempt,
-                        maxRetries: this.config.retries
-                    });
+        const registerStarts = this._familyConfig
+            ? [this._familyConfig.registerStart]
+            : ["ET", "DT"].map(family => getFamilyConfig(family).registerStart);
+        const answering = [];
 
-                    // Exponential backoff
-                    const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
+        for (const commAddr of candidates) {
+            for (const registerStart of registerStarts) {
+                if (await this._probeRegister(commAddr, registerStart)) {
+                    answering.push(commAddr);
+                    break;
                 }
             }
         }
-
-        this.consecutiveFailures++;
-        throw lastError;
+        return answering;
     }
 
     /**
-     * Get connection status
-     * @returns {Object}
+     * Make sure the family is known before a family specific request.
+     * Only does work for family "auto" while it is still undetected.
+     * @returns {Promise<void>}
+     * @private
      */
-    getStatus() {
-        return {
-            connected: this.connected,
-            consecutiveFailures: this.consecutiveFailures,
-            lastError: this.lastError ? this.lastError.message : null,
-            protocol: this.config.protocol,
-            host: this.config.host,
-            port: this.config.port
-        };
+    async _ensureFamily() {
+        if (this.config.family === "auto" && !this.detectedFamily) {
+            await this.connect();
+        }
     }
 
     /**
-     * Build the appropriate read command for this inverter's family/protocol
-     * @returns {Buffer} Command buffer
+     * Look up a setting definition for this inverter's family
+     * @param {string} settingId - Setting identifier
+     * @returns {Object} Setting definition
      * @private
      */
-    _buildReadCommand() {
+    _getSettingDefinition(settingId) {
         if (!this._familyConfig) {
-            throw new Error(`Unsupported inverter family: ${this.config.family}`);
+            const error = new Error(`Unsupported inverter family: ${this.config.family}`);
+            error.code = "UNSUPPORTED_FAMILY";
+            throw enhanceError(error, this.config);
+        }
+
+        const setting = (this._familyConfig.settings || []).find(s => s.id === settingId);
+        if (!setting) {
+            const error = new Error(`Unknown setting: ${settingId}`);
+            error.code = "INVALID_SETTING";
+            throw error;
         }
+        return setting;
+    }
 
+    /**
+     * Build the write command for a setting on this inverter's family/protocol
+     * @param {Object} setting - Setting definition
+     * @param {Buffer} values - Encoded register data
+     * @returns {Buffer} Command buffer
+     * @private
+     */
+    _buildWriteCommand(setting, values) {
         if (this._familyConfig.protocol === "aa55") {
-            // ES family: use AA55 protocol
-            return modbus.AA55_COMMANDS.READ_RUNNING_DATA_ES;
+            return values.length === 2
+                ? modbus.createAA55WriteRequest(setting.writeRegister, values.readUInt16BE(0))
+                : modbus.createAA55WriteMultiRequest(setting.writeRegister, values);
         }
 
-        // Modbus family (ET, DT): build register read request
-        if (this.config.protocol === "tcp" || this.config.protocol === "modbus") {
-            return modbus.createTcpReadRequest(
-                this._commAddr,
-                this._familyConfig.registerStart,
-                this._familyConfig.registerCount
-            );
+        if (this._activeProtocol === "tcp" || this._activeProtocol === "modbus") {
+            return values.length === 2
+                ? modbus.createTcpWriteRequest(this._commAddr, setting.offset, values.readUInt16BE(0))
+                : modbus.createTcpWriteMultiRequest(this._commAddr, setting.offset, values);
         }
 
-        // Default: Modbus RTU over UDP
-        return modbus.createRtuReadRequest(
-            this._commAddr,
-            this._familyConfig.registerStart,
-            this._familyConfig.registerCount
-        );
+        return values.length === 2
+            ? modbus.createRtuWriteRequest(this._commAddr, setting.offset, values.readUInt16BE(0))
+            : modbus.createRtuWriteMultiRequest(this._commAddr, setting.offset, values);
     }
 
     /**
-     * Extract and validate payload from response based on protocol
+     * Check that the inverter acknowledged a write command
      * @param {Buffer} response - Raw response from inverter
-     * @returns {Buffer} Extracted payload
+     * @param {Buffer} command - Write command that was sent
      * @private
      */
-    _extractPayload(response) {
-        if (!this._familyConfig) {
-            throw new Error(`Unsupported inverter family: ${this.config.family}`);
-        }
-
+    _checkWriteResponse(response, command) {
         if (this._familyConfig.protocol === "aa55") {
-            const validation = modbus.validateAA55Response(response, "0186");
+            const validation = modbus.validateAA55WriteResponse(response);
             if (!validation.valid) {
-                throw new Error(`Invalid AA55 response: ${validation.error}`);
+                throw new Error(`Invalid AA55 write response: ${validation.error}`);
             }
-            return modbus.extractAA55Payload(response);
+            return;
         }
 
-        if (this.config.protocol === "tcp" || this.config.protocol === "modbus") {
-            const validation = modbus.validateTcpResponse(response, 0x03, this._familyConfig.registerCount);
+        // Both write requests carry cmd, register and value/count in the
+        // same layout; the reply must echo them back
+        if (this._activeProtocol === "tcp" || this._activeProtocol === "modbus") {
+            const validation = modbus.validateTcpWriteResponse(
+                response, command[7], command.readUInt16BE(8), command.readUInt16BE(10));
             if (!validation.valid) {
-                throw new Error(`Invalid Modbus TCP response: ${validation.error}`);
+                throw this._modbusResponseError("Modbus TCP write response", validation);
             }
-            return modbus.extractTcpPayload(response);
+            return;
         }
 
-        // Modbus RTU over UDP
-        const validation = modbus.validateRtuResponse(response, 0x03, this._familyConfig.registerCount);
+        const validation = modbus.validateRtuWriteResponse(
+            response, command[1], command.readUInt16BE(2), command.readUInt16BE(4));
         if (!validation.valid) {
-            throw new Error(`Invalid Modbus RTU response: ${validation.error}`);
+            throw this._modbusResponseError("Modbus RTU write response", validation);
         }
-        return modbus.extractRtuPayload(response);
     }
 
     /**
-     * Read runtime data from inverter
-     * @returns {Promise<Object>} Runtime sensor data
+     * Read a single setting from the inverter
+     * @param {string} settingId - Setting identifier (see lib/sensors.js settings tables)
+     * @returns {Promise<number|null>} Decoded setting value
      */
-    async readRuntimeData() {
+    async readSetting(settingId) {
+        await this._ensureFamily();
+
+        const setting = this._getSettingDefinition(settingId);
+
         if (!this.connected) {
             await this.connect();
         }
@@ -389,59 +1466,171 @@ class ProtocolHandler extends EventEmitter {
         this.emit("status", { state: "reading" });
 
         try {
-            const command = this._buildReadCommand();
-            const response = await this.sendCommandWithRetry(command);
-            const payload = this._extractPayload(response);
-
-            // Parse using sensor definitions
-            const baseRegister = this._familyConfig.protocol === "aa55"
-                ? null
-                : this._familyConfig.registerStart;
-
-            const runtimeData = parseSensorData(
-                this._familyConfig.sensors,
-                payload,
-                baseRegister
-            );
+            if (this._familyConfig.protocol === "aa55") {
+                const response = await this.sendCommandWithRetry(modbus.AA55_COMMANDS.READ_SETTINGS_ES);
+                const validation = modbus.validateAA55Response(response, "0189");
+                if (!validation.valid) {
+                    throw new Error(`Invalid AA55 response: ${validation.error}`);
+                }
+                return parseSettingValue(setting, modbus.extractAA55Payload(response), setting.offset);
+            }
 
-            return runtimeData;
+            const payload = await this._readRegisterBlock(setting.offset, setting.size / 2);
+            return parseSettingValue(setting, payload, 0);
         } catch (err) {
-            const error = new Error(`Failed to read runtime data: ${err.message}`);
+            const error = new Error(`Failed to read setting ${settingId}: ${err.message}`);
             error.code = err.code || "READ_ERROR";
             throw enhanceError(error, this.config);
         }
     }
 
     /**
-     * Read device information from inverter
-     * Uses the AA55 device info command regardless of family.
-     * @returns {Promise<Object>} Device info object
+     * Read several settings at once.
+     *
+     * Modbus settings are grouped into register blocks so neighbouring
+     * settings share one request. If the inverter rejects a block as an
+     * illegal data address (a register missing on this model), its settings
+     * are read one by one and unsupported ones are returned as null.
+     * ES settings all come from the AA55 settings block.
+     * @param {string[]} [settingIds] - Settings to read (default: all settings of the family)
+     * @returns {Promise<Object>} Setting values keyed by setting ID
      */
-    async readDeviceInfo() {
+    async readSettings(settingIds) {
+        await this._ensureFamily();
+
+        if (!this._familyConfig) {
+            const error = new Error(`Unsupported inverter family: ${this.config.family}`);
+            error.code = "UNSUPPORTED_FAMILY";
+            throw enhanceError(error, this.config);
+        }
+
+        const settings = settingIds && settingIds.length > 0
+            ? settingIds.map(id => this._getSettingDefinition(id))
+            : (this._familyConfig.settings || []);
+
         if (!this.connected) {
             await this.connect();
         }
 
         this.emit("status", { state: "reading" });
 
+        const result = {};
         try {
-            const command = modbus.AA55_COMMANDS.READ_DEVICE_INFO;
-            const response = await this.sendCommandWithRetry(command);
-
-            // Validate AA55 response with type "0181" (device info reply)
-            const validation = modbus.validateAA55Response(response, "0181");
-            if (!validation.valid) {
-                throw new Error(`Invalid device info response: ${validation.error}`);
+            if (this._familyConfig.protocol === "aa55") {
+                const response = await this.sendCommandWithRetry(modbus.AA55_COMMANDS.READ_SETTINGS_ES);
+                const validation = modbus.validateAA55Response(response, "0189");
+                if (!validation.valid) {
+                    throw new Error(`Invalid AA55 response: ${validation.error}`);
+                }
+                const payload = modbus.extractAA55Payload(response);
+                for (const setting of settings) {
+                    result[setting.id] = parseSettingValue(setting, payload, setting.offset);
+                }
+                return result;
             }
 
-            const payload = modbus.extractAA55Payload(response);
-            return parseDeviceInfo(payload);
+            for (const block of planRegisterBlocks(settings)) {
+                await this._readSettingsBlock(block, result);
+            }
+            return result;
         } catch (err) {
-            const error = new Error(`Failed to read device info: ${err.message}`);
+            const error = new Error(`Failed to read settings: ${err.message}`);
             error.code = err.code || "READ_ERROR";
             throw enhanceError(error, this.config);
         }
     }
+
+    /**
+     * Read one register block of settings into `result`
+     * @param {{start: number, count: number, items: Array}} block - Register block
+     * @param {Object} result - Setting values keyed by setting ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _readSettingsBlock(block, result) {
+        try {
+            const payload = await this._readRegisterBlock(block.start, block.count);
+            for (const setting of block.items) {
+                result[setting.id] = parseSettingValue(setting, payload, (setting.offset - block.start) * 2);
+            }
+        } catch (err) {
+            if (err.code !== "MODBUS_ILLEGAL_DATA_ADDRESS") {
+                throw err;
+            }
+            if (block.items.length === 1) {
+                // Register not readable on this model
+                result[block.items[0].id] = null;
+                return;
+            }
+            for (const setting of block.items) {
+                await this._readSettingsBlock({
+                    start: setting.offset,
+                    count: Math.ceil(setting.size / 2),
+                    items: [setting]
+                }, result);
+            }
+        }
+    }
+
+    /**
+     * Write a setting to the inverter.
+     *
+     * The value is checked against the settings table (writability, range,
+     * enum values) before anything is sent. The current value is read first,
+     * then the write is sent and the register is read back to confirm it.
+     *
+     * @param {string} settingId - Setting identifier
+     * @param {number|string} value - New value (enum settings also accept labels)
+     * @returns {Promise<Object>} `{ setting_id, value, previous_value }`
+     */
+    async writeSetting(settingId, value) {
+        await this._ensureFamily();
+
+        const setting = this._getSettingDefinition(settingId);
+
+        if (!setting.writable) {
+            const error = new Error(`Setting ${settingId} is read-only`);
+            error.code = "READ_ONLY_SETTING";
+            throw error;
+        }
+
+        const validation = validateSettingValue(setting, value);
+        if (!validation.valid) {
+            const error = new Error(validation.error);
+            error.code = "VALIDATION_ERROR";
+            error.details = { min: setting.min, max: setting.max, provided: value };
+            throw error;
+        }
+
+        const previousValue = await this.readSetting(settingId);
+
+        this.emit("status", { state: "writing" });
+
+        try {
+            // Writes go ahead of queued polling reads
+            const command = this._buildWriteCommand(setting, encodeSettingValue(setting, validation.value));
+            const response = await this.sendCommandWithRetry(command, null, { priority: PRIORITY.HIGH });
+            this._checkWriteResponse(response, command);
+        } catch (err) {
+            const error = new Error(`Failed to write setting ${settingId}: ${err.message}`);
+            error.code = err.code || "WRITE_ERROR";
+            throw enhanceError(error, this.config);
+        }
+
+        const currentValue = await this.readSetting(settingId);
+        const scale = setting.scale || 1;
+        if (currentValue === null || Math.round(currentValue * scale) !== Math.round(validation.value * scale)) {
+            const error = new Error(`Write of ${settingId} not confirmed: read back ${currentValue}, expected ${validation.value}`);
+            error.code = "WRITE_VERIFY_FAILED";
+            throw enhanceError(error, this.config);
+        }
+
+        return {
+            setting_id: settingId,
+            value: currentValue,
+            previous_value: previousValue
+        };
+    }
 }
 
 /**
@@ -498,16 +1687,30 @@ function parseDeviceInfo(payload) {
 }
 
 /**
- * Discover GoodWe inverters on the network
+ * Port and request of the WiFi/LAN dongle discovery. Dongles answer with
+ * an ASCII "<ip>,<mac>,<serial>" line.
+ */
+const WIFIKIT_DISCOVERY_PORT = 48899;
+const WIFIKIT_DISCOVERY_REQUEST = Buffer.from("WIFIKIT-214028-READ", "ascii");
+
+/**
+ * Discover GoodWe inverters on the network.
+ *
+ * Two broadcasts are sent from one socket: the AA55 discovery frame to
+ * port 8899 and the WIFIKIT dongle request to port 48899. Some dongles
+ * only answer one of them; replies from the same inverter (same serial
+ * number or IP) are merged into one entry.
  * @param {Object} options - Discovery options
  * @param {number} options.timeout - Discovery timeout in ms (default: 5000)
  * @param {string} options.broadcastAddress - Broadcast address (default: 255.255.255.255)
+ * @param {string} options.method - "all" (default), "aa55" or "wifikit"
  * @returns {Promise<Array>} Array of discovered inverters
  */
 function discoverInverters(options = {}) {
     return new Promise((resolve, reject) => {
         const timeout = options.timeout || 5000;
         const broadcastAddress = options.broadcastAddress || "255.255.255.255";
+        const method = options.method || "all";
         const discoveredInverters = [];
         const socket = dgram.createSocket("udp4");
 
@@ -521,23 +1724,31 @@ function discoverInverters(options = {}) {
             resolve(discoveredInverters);
         }, timeout);
 
-        socket.on("error", (err) => {
+        // Both broadcasts may fail; the socket is only closed once
+        let failed = false;
+        const fail = (err) => {
+            if (failed) {
+                return;
+            }
+            failed = true;
             clearTimeout(timeoutId);
             cleanup();
             reject(err);
-        });
+        };
+
+        socket.on("error", fail);
 
         socket.on("message", (msg, rinfo) => {
             try {
-                // Parse AA55 discovery response
+                let inverter = null;
                 if (msg.length > 6 && msg[0] === 0xAA && msg[1] === 0x55) {
-                    const inverter = parseDiscoveryResponse(msg, rinfo.address);
-                    if (inverter) {
-                        const exists = discoveredInverters.some(inv => inv.ip === inverter.ip);
-                        if (!exists) {
-                            discoveredInverters.push(inverter);
-                        }
-                    }
+                    // Parse AA55 discovery response
+                    inverter = parseDiscoveryResponse(msg, rinfo.address);
+                } else {
+                    inverter = parseWifikitResponse(msg);
+                }
+                if (inverter) {
+                    mergeDiscoveredInverter(discoveredInverters, inverter);
                 }
             } catch (err) {
                 // Ignore parsing errors and continue listening
@@ -546,22 +1757,270 @@ function discoverInverters(options = {}) {
 
         socket.bind(() => {
             socket.setBroadcast(true);
-            socket.send(
-                modbus.AA55_COMMANDS.DISCOVERY,
-                8899,
-                broadcastAddress,
-                (err) => {
+            const requests = [];
+            if (method === "all" || method === "aa55") {
+                requests.push([modbus.AA55_COMMANDS.DISCOVERY, 8899]);
+            }
+            if (method === "all" || method === "wifikit") {
+                requests.push([WIFIKIT_DISCOVERY_REQUEST, WIFIKIT_DISCOVERY_PORT]);
+            }
+            for (const [request, port] of requests) {
+                socket.send(request, port, broadcastAddress, (err) => {
                     if (err) {
-                        clearTimeout(timeoutId);
-                        cleanup();
-                        reject(err);
+                        fail(err);
                     }
-                }
-            );
+                });
+            }
         });
     });
 }
 
+/**
+ * Add a discovered inverter to the result list. An inverter already in
+ * the list with the same serial number or IP address is completed with
+ * the fields it is missing instead of being added twice.
+ * @param {Array} inverters - Inverters discovered so far
+ * @param {Object} inverter - Newly parsed inverter
+ * @private
+ */
+function mergeDiscoveredInverter(inverters, inverter) {
+    const hasSerial = inverter.serialNumber && inverter.serialNumber !== "UNKNOWN";
+    const existing = inverters.find(inv =>
+        (hasSerial && inv.serialNumber === inverter.serialNumber) || inv.ip === inverter.ip);
+
+    if (!existing) {
+        inverters.push(inverter);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(inverter)) {
+        if (existing[key] === null || existing[key] === undefined || existing[key] === "UNKNOWN") {
+            existing[key] = value;
+        }
+    }
+}
+
+/**
+ * Parse a WIFIKIT discovery reply ("192.168.1.20,289C6E05A3B1,95000ETU223W0000")
+ * @param {Buffer} data - Response data
+ * @returns {Object|null} Parsed inverter info or null if invalid
+ * @private
+ */
+function parseWifikitResponse(data) {
+    const fields = data.toString("ascii").trim().split(",").map(field => field.trim());
+
+    // Our own broadcast request and other traffic don't start with an IP
+    if (fields.length < 3 || !net.isIPv4(fields[0])) {
+        return null;
+    }
+
+    const serialNumber = fields[2] || "UNKNOWN";
+
+    return {
+        ip: fields[0],
+        port: 8899,
+        family: detectInverterFamily(serialNumber, null),
+        serialNumber: serialNumber,
+        modelName: null,
+        mac: fields[1] || null
+    };
+}
+
+/**
+ * Largest range scanInverters() accepts (a /20 network)
+ */
+const MAX_SCAN_HOSTS = 4096;
+
+/**
+ * Scan a subnet for inverters with unicast requests. Use this where
+ * broadcasts don't reach the inverter (other VLAN, Docker bridge network).
+ *
+ * Each host is asked for its device info over UDP 8899; hosts that don't
+ * answer are tried with Modbus TCP on port 502, where the family is found
+ * by probing (see ProtocolHandler.detectFamily()). Hosts are probed
+ * `concurrency` at a time.
+ * @param {Object} options - Scan options
+ * @param {string} options.cidr - Range to scan, e.g. "192.168.10.0/24" (required)
+ * @param {number} options.timeout - Response timeout per host and request in ms (default: 1000)
+ * @param {number} options.concurrency - Hosts probed in parallel (default: 16)
+ * @param {Function} options.onProgress - Called as `onProgress(scanned, total)` after each host
+ * @returns {Promise<Array>} Inverters found, in IP order, with the `protocol` that answered
+ */
+async function scanInverters(options = {}) {
+    const hosts = parseCidr(options.cidr);
+    const timeout = options.timeout || 1000;
+    const concurrency = Math.max(1, Math.min(options.concurrency || 16, hosts.length));
+    const inverters = [];
+    let next = 0;
+    let scanned = 0;
+
+    const worker = async () => {
+        while (next < hosts.length) {
+            const inverter = await probeHost(hosts[next++], timeout);
+            if (inverter) {
+                mergeDiscoveredInverter(inverters, inverter);
+            }
+            scanned++;
+            if (options.onProgress) {
+                options.onProgress(scanned, hosts.length);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    return inverters.sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+}
+
+/**
+ * Probe a single host for an inverter, UDP first, then Modbus TCP
+ * @param {string} ip - Host address
+ * @param {number} timeout - Response timeout in ms
+ * @returns {Promise<Object|null>} Inverter info or null if nothing answered
+ * @private
+ */
+async function probeHost(ip, timeout) {
+    const udp = new ProtocolHandler({ host: ip, port: 8899, protocol: "udp", timeout, retries: 1 });
+    // Socket errors (e.g. ICMP port unreachable) only mean "no inverter here"
+    udp.on("error", () => {});
+    try {
+        const info = await udp.readDeviceInfo();
+        return {
+            ip,
+            port: 8899,
+            protocol: "udp",
+            family: detectInverterFamily(info.serial_number, info.model_name),
+            serialNumber: info.serial_number || "UNKNOWN",
+            modelName: info.model_name || null
+        };
+    } catch (err) {
+        // No answer over UDP, try Modbus TCP
+    } finally {
+        await udp.disconnect();
+    }
+
+    const tcp = new ProtocolHandler({ host: ip, port: 502, protocol: "modbus", timeout, retries: 1 });
+    tcp.on("error", () => {});
+    try {
+        await tcp.connect();
+        const family = await tcp.detectFamily();
+        return {
+            ip,
+            port: 502,
+            protocol: "modbus",
+            family,
+            serialNumber: "UNKNOWN",
+            modelName: null
+        };
+    } catch (err) {
+        return null;
+    } finally {
+        await tcp.disconnect();
+    }
+}
+
+/**
+ * Expand an IPv4 CIDR range into its host addresses. Network and
+ * broadcast addresses are left out for prefixes up to /30; a plain
+ * address is treated as /32.
+ * @param {string} cidr - Range, e.g. "192.168.10.0/24"
+ * @returns {string[]} Host addresses
+ * @private
+ */
+function parseCidr(cidr) {
+    const [address, prefixText = "32"] = String(cidr || "").trim().split("/");
+    const prefix = Number(prefixText);
+
+    if (!net.isIPv4(address) || !/^\d+$/.test(prefixText) || prefix > 32) {
+        const error = new Error(`Invalid CIDR range: ${cidr}`);
+        error.code = "INVALID_CIDR";
+        throw error;
+    }
+
+    const size = Math.pow(2, 32 - prefix);
+    if (size > MAX_SCAN_HOSTS) {
+        const error = new Error(`CIDR range ${cidr} is too large (at most ${MAX_SCAN_HOSTS} addresses)`);
+        error.code = "INVALID_CIDR";
+        throw error;
+    }
+
+    const network = ipToInt(address) - (ipToInt(address) % size);
+    const first = prefix <= 30 ? network + 1 : network;
+    const last = prefix <= 30 ? network + size - 2 : network + size - 1;
+
+    const hosts = [];
+    for (let value = first; value <= last; value++) {
+        hosts.push([value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF].join("."));
+    }
+    return hosts;
+}
+
+/**
+ * Convert a dotted IPv4 address to an unsigned integer
+ * @param {string} ip - IPv4 address
+ * @returns {number} Address as integer
+ * @private
+ */
+function ipToInt(ip) {
+    return ip.split(".").reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * Model tags found in GoodWe serial numbers (e.g. "95000ETU223W0000") and
+ * the family each one belongs to. The tag is the three characters at
+ * SERIAL_MODEL_TAG_OFFSET.
+ */
+const SERIAL_MODEL_TAGS = {
+    // ET platform (hybrid, three phase)
+    ETU: "ET", ETL: "ET", ETR: "ET", ETC: "ET",
+    EHU: "EH", EHR: "EH", EHB: "EH",
+    BTU: "BT", BTN: "BT", BTC: "BT",
+    BHU: "BH",
+    AES: "ET", HHI: "ET", HSB: "ET", HUA: "ET", CUA: "ET", ESN: "ET", EMN: "ET", ERA: "ET",
+    // DT platform (grid tied)
+    DTU: "DT", DTS: "DT", DTN: "DT", DST: "DT", NSU: "DT",
+    SSN: "DT", SST: "DT", SSX: "DT", SSY: "DT", PSB: "DT", PSC: "DT",
+    MSU: "MS", MST: "MS", MSC: "MS",
+    DSN: "D-NS",
+    // ES platform (AA55 protocol)
+    ESU: "ES", ESA: "ES", IJL: "ES",
+    EMU: "EM", EMJ: "EM",
+    BPS: "BP", BPU: "BP"
+};
+const SERIAL_MODEL_TAG_OFFSET = 5;
+
+/**
+ * Family suffix in GoodWe model names, e.g. "GW10K-ET", "GW5048D-ES" or
+ * "GW3000-DNS"
+ */
+const MODEL_NAME_FAMILY = /-(D-?NS|ET|EH|BT|BH|ES|EM|BP|DT|MS|XS)(?![A-Z])/;
+
+/**
+ * Detect the inverter family from its serial number and model name.
+ * The model tag in the serial number wins over the model name suffix.
+ *
+ * @param {string} serialNumber - Serial number (optional)
+ * @param {string} modelName - Model name (optional)
+ * @returns {string|null} Family code, or null if neither tells the family
+ */
+function detectInverterFamily(serialNumber, modelName) {
+    if (serialNumber) {
+        const tag = serialNumber.toUpperCase().slice(SERIAL_MODEL_TAG_OFFSET, SERIAL_MODEL_TAG_OFFSET + 3);
+        if (SERIAL_MODEL_TAGS[tag]) {
+            return SERIAL_MODEL_TAGS[tag];
+        }
+    }
+
+    if (modelName) {
+        const match = modelName.toUpperCase().match(MODEL_NAME_FAMILY);
+        if (match) {
+            return match[1].replace(/^D-?NS$/, "D-NS");
+        }
+    }
+
+    return null;
+}
+
 /**
  * Parse discovery response
  * @param {Buffer} data - Response data
@@ -575,12 +2034,15 @@ function parseDiscoveryResponse(data, ipAddress) {
             return null;
         }
 
+        const serialNumber = extractSerialNumber(data);
+        const modelName = extractModelName(data);
+
         const inverter = {
             ip: ipAddress,
             port: 8899,
-            family: detectInverterFamily(data),
-            serialNumber: extractSerialNumber(data),
-            modelName: extractModelName(data)
+            family: detectInverterFamily(serialNumber, modelName),
+            serialNumber: serialNumber,
+            modelName: modelName
         };
 
         return inverter;
@@ -589,16 +2051,6 @@ function parseDiscoveryResponse(data, ipAddress) {
     }
 }
 
-/**
- * Detect inverter family from response
- * @param {Buffer} data - Response data
- * @returns {string} Inverter family code
- * @private
- */
-function detectInverterFamily(data) {
-    return "ET";
-}
-
 /**
  * Extract serial number from response
  * @param {Buffer} data - Response data
@@ -613,17 +2065,22 @@ function extractSerialNumber(data) {
 }
 
 /**
- * Extract model name from response
+ * Extract model name from response. GoodWe model names start with "GW"
+ * (e.g. "GW10K-ET"); the first such ASCII run in the response is used.
  * @param {Buffer} data - Response data
- * @returns {string} Model name
+ * @returns {string|null} Model name, or null if the response has none
  * @private
  */
 function extractModelName(data) {
-    return "GoodWe Inverter";
+    const match = data.toString("latin1").match(/GW[0-9A-Z.-]+/);
+    return match ? match[0] : null;
 }
 
 module.exports = {
     ProtocolHandler,
+    PRIORITY,
     discoverInverters,
+    scanInverters,
     parseDeviceInfo,
+    detectInverterFamily,
 };
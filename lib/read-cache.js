@@ -0,0 +1,81 @@
+/**
+ * Read-result cache for inverter communication
+ *
+ * Several nodes sharing one inverter often poll at about the same time.
+ * ReadCache keeps the result of a read for a configurable TTL, and
+ * callers asking while a read is in flight join that read instead of
+ * starting their own.
+ */
+
+"use strict";
+
+/**
+ * Cache of read results keyed by request
+ */
+class ReadCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.ttl - Time in ms a result is served from the cache;
+     *   0 only joins reads in flight (default: 0)
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || 0;
+
+        this._entries = new Map();
+        this._inFlight = new Map();
+
+        // Bumped by clear(), so reads started before it don't store their results
+        this._generation = 0;
+    }
+
+    /**
+     * Get a result from the cache, the read in flight, or a new read
+     * @param {string} key - Request key, e.g. "runtime"
+     * @param {Function} read - Function performing the read, returns a Promise
+     * @returns {Promise<{value: any, hit: boolean, age: number}>} The result; `hit` is
+     *   false when this call started the read, `age` is the ms since the value was read
+     */
+    async get(key, read) {
+        const entry = this._entries.get(key);
+        if (entry && this.ttl > 0) {
+            const age = Date.now() - entry.readAt;
+            if (age < this.ttl) {
+                return { value: entry.value, hit: true, age };
+            }
+        }
+
+        const inFlight = this._inFlight.get(key);
+        if (inFlight) {
+            return { value: await inFlight, hit: true, age: 0 };
+        }
+
+        const generation = this._generation;
+        const pending = read();
+        this._inFlight.set(key, pending);
+        try {
+            const value = await pending;
+            if (generation === this._generation) {
+                this._entries.set(key, { value, readAt: Date.now() });
+            }
+            return { value, hit: false, age: 0 };
+        } finally {
+            if (this._inFlight.get(key) === pending) {
+                this._inFlight.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Drop all cached results. Reads in flight still resolve their callers,
+     * but their results are not cached and later callers don't join them.
+     */
+    clear() {
+        this._generation++;
+        this._entries.clear();
+        this._inFlight.clear();
+    }
+}
+
+module.exports = {
+    ReadCache
+};
@@ -0,0 +1,198 @@
+/**
+ * Request queue for inverter communication
+ *
+ * GoodWe inverters (and their WiFi/LAN dongles) answer one request at a
+ * time. The queue makes sure only one request is in flight per inverter,
+ * runs waiting requests in FIFO order (higher priority first) and keeps
+ * statistics about queue depth and wait times.
+ */
+
+"use strict";
+
+/**
+ * Request priorities. Requests with a higher priority are started before
+ * waiting requests with a lower one; equal priorities keep FIFO order.
+ */
+const PRIORITY = {
+    LOW: -1,
+    NORMAL: 0,
+    HIGH: 1
+};
+
+/**
+ * Serialized request queue
+ */
+class RequestQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {number} options.concurrency - Requests allowed in flight at once (default: 1)
+     * @param {number} options.timeout - Default per-request timeout in ms, measured from
+     *   enqueueing (default: none)
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 1;
+        this.timeout = options.timeout || null;
+
+        this._pending = [];
+        this._active = 0;
+        this._exclusiveActive = false;
+
+        this._stats = {
+            processed: 0,
+            failed: 0,
+            timedOut: 0,
+            totalWaitTime: 0,
+            maxWaitTime: 0,
+            lastWaitTime: 0
+        };
+    }
+
+    /**
+     * Queue a request
+     * @param {Function} task - Function performing the request, returns a Promise
+     * @param {Object} options - Request options
+     * @param {number} options.priority - Request priority (default: PRIORITY.NORMAL)
+     * @param {number} options.timeout - Timeout in ms for waiting plus running the request
+     * @param {boolean} options.exclusive - Run alone, even if the queue allows more requests in flight
+     * @returns {Promise<any>} Resolves with the task result
+     */
+    enqueue(task, options = {}) {
+        return new Promise((resolve, reject) => {
+            const request = {
+                task,
+                resolve,
+                reject,
+                priority: options.priority || PRIORITY.NORMAL,
+                exclusive: Boolean(options.exclusive),
+                enqueuedAt: Date.now(),
+                settled: false,
+                timeoutId: null
+            };
+
+            const timeout = options.timeout || this.timeout;
+            if (timeout) {
+                request.timeoutId = setTimeout(() => {
+                    this._stats.timedOut++;
+                    // A request that is still waiting is dropped; a running
+                    // one keeps its slot until the task itself settles
+                    this._pending = this._pending.filter(r => r !== request);
+                    const error = new Error(`Request not completed within ${timeout}ms`);
+                    error.code = "QUEUE_TIMEOUT";
+                    this._settle(request, error);
+                }, timeout);
+            }
+
+            // Insert after all requests of the same or higher priority
+            const index = this._pending.findIndex(r => r.priority < request.priority);
+            if (index === -1) {
+                this._pending.push(request);
+            } else {
+                this._pending.splice(index, 0, request);
+            }
+
+            this._next();
+        });
+    }
+
+    /**
+     * Reject all waiting requests. Requests already in flight are not affected.
+     * @param {string} reason - Error message for the rejected requests
+     */
+    clear(reason = "Request queue cleared") {
+        const pending = this._pending;
+        this._pending = [];
+        for (const request of pending) {
+            const error = new Error(reason);
+            error.code = "QUEUE_CLEARED";
+            this._settle(request, error);
+        }
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {Object} Queue depth, requests in flight and wait times (ms)
+     */
+    getStats() {
+        const started = this._stats.processed + this._stats.failed;
+        return {
+            depth: this._pending.length,
+            active: this._active,
+            processed: this._stats.processed,
+            failed: this._stats.failed,
+            timedOut: this._stats.timedOut,
+            averageWaitTime: started > 0 ? Math.round(this._stats.totalWaitTime / started) : 0,
+            maxWaitTime: this._stats.maxWaitTime,
+            lastWaitTime: this._stats.lastWaitTime
+        };
+    }
+
+    /**
+     * Start waiting requests while there is a free slot
+     * @private
+     */
+    _next() {
+        while (this._active < this.concurrency && this._pending.length > 0 && !this._exclusiveActive) {
+            // An exclusive request waits until everything in flight is done
+            if (this._pending[0].exclusive && this._active > 0) {
+                break;
+            }
+            this._run(this._pending.shift());
+        }
+    }
+
+    /**
+     * Run a single request
+     * @param {Object} request - Queued request
+     * @private
+     */
+    async _run(request) {
+        const waitTime = Date.now() - request.enqueuedAt;
+        this._stats.totalWaitTime += waitTime;
+        this._stats.lastWaitTime = waitTime;
+        this._stats.maxWaitTime = Math.max(this._stats.maxWaitTime, waitTime);
+        this._active++;
+        this._exclusiveActive = request.exclusive;
+
+        try {
+            const result = await request.task();
+            this._stats.processed++;
+            this._settle(request, null, result);
+        } catch (err) {
+            this._stats.failed++;
+            this._settle(request, err);
+        } finally {
+            this._active--;
+            if (request.exclusive) {
+                this._exclusiveActive = false;
+            }
+            this._next();
+        }
+    }
+
+    /**
+     * Resolve or reject a request exactly once
+     * @param {Object} request - Queued request
+     * @param {Error|null} err - Error to reject with
+     * @param {any} result - Result to resolve with
+     * @private
+     */
+    _settle(request, err, result) {
+        if (request.settled) {
+            return;
+        }
+        request.settled = true;
+        if (request.timeoutId) {
+            clearTimeout(request.timeoutId);
+        }
+        if (err) {
+            request.reject(err);
+        } else {
+            request.resolve(result);
+        }
+    }
+}
+
+module.exports = {
+    RequestQueue,
+    PRIORITY
+};
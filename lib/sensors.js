@@ -86,6 +86,13 @@ const typeReaders = {
     Apparent4:  (data, off) => readBytes4(data, off),
     Reactive:   (data, off) => readBytes2Signed(data, off),
     Reactive4:  (data, off) => readBytes4Signed(data, off),
+    Bitmap:     (data, off, sensor) => (sensor.size === 4 ? readBytes4(data, off) : readBytes2(data, off)),
+    Float:      (data, off, sensor) => {
+        if (off + 4 > data.length) return null;
+        const v = data.readFloatBE(off);
+        if (!Number.isFinite(v)) return null;
+        return Math.round(v / (sensor.scale || 1) * 1000) / 1000;
+    },
     Timestamp:  (data, off) => {
         if (off + 6 > data.length) return null;
         const year = 2000 + data.readUInt8(off);
@@ -102,13 +109,257 @@ const typeReaders = {
     }
 };
 
+// Size in bytes of the types that span more than one register
+const TYPE_SIZES = {
+    Power4: 4,
+    Power4S: 4,
+    Energy4: 4,
+    Long: 4,
+    LongS: 4,
+    Apparent4: 4,
+    Reactive4: 4,
+    Float: 4,
+    Timestamp: 6
+};
+
+// ── Enum Label Tables ──────────────────────────────────────────────────────────
+// Labels for sensors reporting a mode or status code. Sensors with a `values`
+// table also produce a `<id>_label` value. Ported from the goodwe Python
+// library `const.py`.
+
+const WORK_MODES_ET = {
+    0: "Wait Mode",
+    1: "Normal (On-Grid)",
+    2: "Normal (Off-Grid)",
+    3: "Fault Mode",
+    4: "Flash Mode",
+    5: "Check Mode",
+};
+
+const WORK_MODES_DT = {
+    0: "Wait Mode",
+    1: "Normal",
+    2: "Error",
+    4: "Check Mode",
+};
+
+const WORK_MODES_ES = {
+    0: "Inverter Off - Standby",
+    1: "Inverter On",
+    2: "Inverter Abnormal, stopping power",
+    3: "Inverter Severely Abnormal, 20 seconds to restart",
+};
+
+const BATTERY_MODES = {
+    0: "No battery",
+    1: "Standby",
+    2: "Discharge",
+    3: "Charge",
+    4: "To be charged",
+    5: "To be discharged",
+};
+
+const GRID_MODES = {
+    0: "Not connected to grid",
+    1: "Connected to grid",
+    2: "Fault",
+};
+
+const GRID_IN_OUT_MODES = {
+    0: "Idle",
+    1: "Exporting",
+    2: "Importing",
+};
+
+const LOAD_MODES = {
+    0: "Inverter and the load is disconnected",
+    1: "The inverter is connected to a load",
+};
+
+const PV_MODES = {
+    0: "PV panels not connected",
+    1: "PV panels connected, no power",
+    2: "PV panels connected, producing power",
+};
+
+const METER_STATUS = {
+    0: "Not connected",
+    1: "Connected",
+};
+
+const METER_COMM_STATUS = {
+    0: "Error",
+    1: "OK",
+};
+
+const METER_TEST_STATUS = {
+    0: "Not checked",
+    1: "Correct",
+    2: "Reverse",
+    3: "Incorrect",
+};
+
+const SAFETY_COUNTRIES = {
+    0: "Italy",
+    1: "Czech",
+    2: "Germany",
+    3: "Spain",
+    4: "Greece",
+    5: "Denmark",
+    6: "Belgium",
+    7: "Romania",
+    8: "G83/G59",
+    9: "Australia",
+    10: "France",
+    11: "China",
+    13: "Poland",
+    14: "South Africa",
+    15: "Australia L",
+    16: "Brazil",
+    17: "Thailand MEA",
+    18: "Thailand PEA",
+    19: "Mauritius",
+    20: "Holland",
+    21: "Northern Ireland",
+    22: "China Higher",
+    23: "French 50Hz",
+    24: "French 60Hz",
+    25: "Australia Ergon",
+    26: "Australia Energex",
+    27: "Holland 16/20A",
+    28: "Korea",
+    29: "China Station",
+    30: "Austria",
+    31: "India",
+    32: "50Hz Grid Default",
+    33: "Warehouse",
+    34: "Philippines",
+    35: "Ireland",
+    36: "Taiwan",
+    37: "Bulgaria",
+    38: "Barbados",
+    39: "China Highest",
+    40: "G99",
+    41: "Sweden",
+    42: "Chile",
+    43: "Brazil LV",
+    44: "New Zealand",
+};
+
+// ── Bitmap Message Tables ──────────────────────────────────────────────────────
+// Bit → message tables for fault/warning bitmaps (`type: "Bitmap"`, `bits`).
+// Sensors with a `bits` table also produce a `<id>_messages` array of the
+// active messages. Ported from the goodwe Python library `const.py`.
+
+const ERROR_CODES = {
+    31: "Internal Communication Failure",
+    30: "EEPROM R/W Failure",
+    29: "Fac Failure",
+    28: "DSP Communication Failure",
+    27: "Phase Angle Failure",
+    25: "Relay Check Failure",
+    23: "Vac Consistency Failure",
+    22: "Fac Consistency Failure",
+    20: "Back-Up Over Load",
+    19: "DC Injection High",
+    18: "Isolation Failure",
+    17: "Vac Failure",
+    16: "External Fan Failure",
+    15: "PV Over Voltage",
+    14: "Utility Loss",
+    13: "Over Temperature",
+    12: "Current Sensor Failure",
+    11: "Ground I Failure",
+    10: "Ac HCT Failure",
+    9: "Relay Failure",
+    8: "GFCI Device Failure",
+    7: "Internal Fan Failure",
+};
+
+const DIAG_STATUS_CODES = {
+    0: "Battery voltage low",
+    1: "Battery SOC low",
+    2: "Battery SOC in back",
+    3: "BMS: Discharge disabled",
+    4: "Discharge time on",
+    5: "Charge time on",
+    6: "Discharge Driver On",
+    7: "BMS: Discharge current low",
+    8: "APP: Discharge current too low",
+    9: "Meter communication failure",
+    10: "Meter connection reversed",
+    11: "Self-use load light",
+    12: "EMS: discharge current is zero",
+    13: "Discharge BUS high PV voltage",
+    14: "Battery Disconnected",
+    15: "Battery Overcharged",
+    16: "BMS: Temperature too high",
+    17: "BMS: Charge too high",
+    18: "BMS: Charge disabled",
+    19: "Self-use off",
+    20: "SOC delta too volatile",
+    21: "Battery self discharge too high",
+    22: "Battery SOC low (off-grid)",
+    23: "Grid wave unstable",
+    24: "Export power limit set",
+    25: "PF value set",
+    26: "Real power limit set",
+    27: "DC output on",
+    28: "SOC protect off",
+    29: "BMS: Emergency charging",
+};
+
+const BMS_ALARM_CODES = {
+    0: "Charging over-voltage 2",
+    1: "Discharging under-voltage 2",
+    2: "Cell temperature high 2",
+    3: "Cell temperature low 2",
+    4: "Charging over-current 2",
+    5: "Discharging over-current 2",
+    6: "Precharge fault",
+    7: "DC bus fault",
+    8: "Battery break",
+    9: "Battery lock",
+    10: "Discharging circuit failure",
+    11: "Charging circuit failure",
+    12: "Communication failure 2",
+    13: "Cell temperature high 3",
+    14: "Discharging under-voltage 3",
+    15: "Charging over-voltage 3",
+};
+
+const BMS_WARNING_CODES = {
+    0: "Charging over-voltage 1",
+    1: "Discharging under-voltage 1",
+    2: "Cell temperature high 1",
+    3: "Cell temperature low 1",
+    4: "Charging over-current 1",
+    5: "Discharging over-current 1",
+    6: "Communication failure 1",
+    7: "System reboot",
+    8: "Cell imbalance",
+    9: "System temperature low 1",
+    10: "System temperature low 2",
+    11: "System temperature high",
+};
+
+// Bitmaps without a published message table: active bits are
+// reported as "Bit <n>"
+const NO_MESSAGES = {};
+
 // ── ET Series Sensor Definitions ───────────────────────────────────────────────
 // Register range: 35100 (0x891C), count: 125 registers (250 bytes)
+// Smart meter range: 36000 (0x8CA0), count: 45 registers (90 bytes)
+// Battery/BMS range: 37000 (0x9088), count: 24 registers (48 bytes)
 // Protocol: Modbus RTU (UDP) or Modbus TCP
 // Used by: ET, EH, BT, BH, GEH
 
 const ET_REGISTER_START = 35100;
 const ET_REGISTER_COUNT = 125;
+const ET_METER_REGISTER_START = 36000;
+const ET_METER_REGISTER_COUNT = 45;
+const ET_BMS_REGISTER_START = 37000;
+const ET_BMS_REGISTER_COUNT = 24;
 
 const ET_SENSORS = [
     { id: "timestamp",           offset: 35100, type: "Timestamp",  size: 6,  kind: null,      unit: "",    name: "Timestamp" },
@@ -152,7 +403,8 @@ const ET_SENSORS = [
     { id: "pgrid3",              offset: 35135, type: "PowerS",     size: 2,  kind: Kind.AC,   unit: "W",   name: "On-grid L3 Power" },
 
     // Grid mode & totals
-    { id: "grid_mode",           offset: 35136, type: "Integer",    size: 2,  kind: Kind.PV,   unit: "",    name: "Grid Mode code" },
+    { id: "grid_mode",           offset: 35136, type: "Integer",    size: 2,  kind: Kind.PV,   unit: "",    name: "Grid Mode code",
+        values: GRID_MODES },
     { id: "total_inverter_power",offset: 35138, type: "PowerS",     size: 2,  kind: Kind.AC,   unit: "W",   name: "Total Power" },
     { id: "active_power",        offset: 35140, type: "PowerS",     size: 2,  kind: Kind.GRID, unit: "W",   name: "Active Power" },
     { id: "reactive_power",      offset: 35142, type: "Reactive",   size: 2,  kind: Kind.GRID, unit: "var", name: "Reactive Power" },
@@ -197,18 +449,21 @@ const ET_SENSORS = [
     { id: "vbattery1",           offset: 35180, type: "Voltage",    size: 2,  kind: Kind.BAT,  unit: "V",   name: "Battery Voltage" },
     { id: "ibattery1",           offset: 35181, type: "CurrentS",   size: 2,  kind: Kind.BAT,  unit: "A",   name: "Battery Current" },
     { id: "pbattery1",           offset: 35182, type: "Power4S",    size: 4,  kind: Kind.BAT,  unit: "W",   name: "Battery Power" },
-    { id: "battery_mode",        offset: 35184, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Mode code" },
-    { id: "battery_soc",         offset: null,  type: null,         size: 0,  kind: Kind.BAT,  unit: "%",   name: "Battery State of Charge",
-        _note: "Read from battery detail registers (37000+), not in main runtime block" },
+    { id: "battery_mode",        offset: 35184, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Mode code",
+        values: BATTERY_MODES },
 
     // Warning / Safety / Work mode
-    { id: "warning_code",        offset: 35185, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Warning code" },
-    { id: "safety_country",      offset: 35186, type: "Integer",    size: 2,  kind: Kind.AC,   unit: "",    name: "Safety Country code" },
-    { id: "work_mode",           offset: 35187, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Work Mode code" },
+    { id: "warning_code",        offset: 35185, type: "Bitmap",     size: 2,  kind: null,      unit: "",    name: "Warning code",
+        bits: NO_MESSAGES },
+    { id: "safety_country",      offset: 35186, type: "Integer",    size: 2,  kind: Kind.AC,   unit: "",    name: "Safety Country code",
+        values: SAFETY_COUNTRIES },
+    { id: "work_mode",           offset: 35187, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Work Mode code",
+        values: WORK_MODES_ET },
     { id: "operation_mode",      offset: 35188, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Operation Mode code" },
 
     // Errors
-    { id: "error_codes",         offset: 35189, type: "Long",       size: 4,  kind: null,      unit: "",    name: "Error Codes" },
+    { id: "error_codes",         offset: 35189, type: "Bitmap",     size: 4,  kind: null,      unit: "",    name: "Error Codes",
+        bits: ERROR_CODES },
 
     // Energy totals
     { id: "e_total",             offset: 35191, type: "Energy4",    size: 4,  kind: Kind.PV,   unit: "kWh", name: "Total PV Generation" },
@@ -226,7 +481,79 @@ const ET_SENSORS = [
     { id: "e_bat_discharge_day", offset: 35211, type: "Energy",     size: 2,  kind: Kind.BAT,  unit: "kWh", name: "Today Battery Discharge" },
 
     // Diagnostics
-    { id: "diagnose_result",     offset: 35220, type: "Long",       size: 4,  kind: null,      unit: "",    name: "Diag Status Code" },
+    { id: "diagnose_result",     offset: 35220, type: "Bitmap",     size: 4,  kind: null,      unit: "",    name: "Diag Status Code",
+        bits: DIAG_STATUS_CODES },
+
+    // External smart meter (36000+ block)
+    { id: "meter_test_status",   offset: 36003, type: "Integer",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Test Status code",
+        values: METER_TEST_STATUS },
+    { id: "meter_comm_status",   offset: 36004, type: "Integer",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Communication Status code",
+        values: METER_COMM_STATUS },
+    { id: "active_power1",       offset: 36005, type: "PowerS",     size: 2,  kind: Kind.GRID, unit: "W",   name: "Active Power L1" },
+    { id: "active_power2",       offset: 36006, type: "PowerS",     size: 2,  kind: Kind.GRID, unit: "W",   name: "Active Power L2" },
+    { id: "active_power3",       offset: 36007, type: "PowerS",     size: 2,  kind: Kind.GRID, unit: "W",   name: "Active Power L3" },
+    { id: "active_power_total",  offset: 36008, type: "PowerS",     size: 2,  kind: Kind.GRID, unit: "W",   name: "Active Power Total" },
+    { id: "reactive_power_total",offset: 36009, type: "Reactive",   size: 2,  kind: Kind.GRID, unit: "var", name: "Reactive Power Total" },
+    { id: "meter_power_factor1", offset: 36010, type: "Decimal",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Power Factor L1", scale: 1000 },
+    { id: "meter_power_factor2", offset: 36011, type: "Decimal",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Power Factor L2", scale: 1000 },
+    { id: "meter_power_factor3", offset: 36012, type: "Decimal",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Power Factor L3", scale: 1000 },
+    { id: "meter_power_factor",  offset: 36013, type: "Decimal",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Power Factor", scale: 1000 },
+    { id: "meter_freq",          offset: 36014, type: "Frequency",  size: 2,  kind: Kind.GRID, unit: "Hz",  name: "Meter Frequency" },
+    { id: "meter_e_total_exp",   offset: 36015, type: "Float",      size: 4,  kind: Kind.GRID, unit: "kWh", name: "Meter Total Energy (export)", scale: 1000 },
+    { id: "meter_e_total_imp",   offset: 36017, type: "Float",      size: 4,  kind: Kind.GRID, unit: "kWh", name: "Meter Total Energy (import)", scale: 1000 },
+    { id: "meter_active_power1", offset: 36019, type: "Power4S",    size: 4,  kind: Kind.GRID, unit: "W",   name: "Meter Active Power L1" },
+    { id: "meter_active_power2", offset: 36021, type: "Power4S",    size: 4,  kind: Kind.GRID, unit: "W",   name: "Meter Active Power L2" },
+    { id: "meter_active_power3", offset: 36023, type: "Power4S",    size: 4,  kind: Kind.GRID, unit: "W",   name: "Meter Active Power L3" },
+    { id: "meter_active_power_total", offset: 36025, type: "Power4S", size: 4, kind: Kind.GRID, unit: "W", name: "Meter Active Power Total" },
+    { id: "meter_reactive_power_total", offset: 36033, type: "Reactive4", size: 4, kind: Kind.GRID, unit: "var", name: "Meter Reactive Power Total" },
+    { id: "meter_apparent_power_total", offset: 36041, type: "Apparent4", size: 4, kind: Kind.GRID, unit: "VA", name: "Meter Apparent Power Total" },
+    { id: "meter_type",          offset: 36043, type: "Integer",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Type code" },
+    { id: "meter_sw_version",    offset: 36044, type: "Integer",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Software Version" },
+
+    // Battery detail / BMS (37000+ block, only present with a battery connected)
+    { id: "battery_bms",         offset: 37000, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery BMS" },
+    { id: "battery_index",       offset: 37001, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Index" },
+    { id: "battery_status",      offset: 37002, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Status" },
+    { id: "battery_temperature", offset: 37003, type: "Temp",       size: 2,  kind: Kind.BAT,  unit: "C",   name: "Battery Temperature" },
+    { id: "battery_charge_limit",offset: 37004, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "A",   name: "Battery Charge Limit" },
+    { id: "battery_discharge_limit", offset: 37005, type: "Integer", size: 2, kind: Kind.BAT,  unit: "A",   name: "Battery Discharge Limit" },
+    { id: "battery_error_l",     offset: 37006, type: "Bitmap",     size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Error L",
+        bits: BMS_ALARM_CODES },
+    { id: "battery_soc",         offset: 37007, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "%",   name: "Battery State of Charge" },
+    { id: "battery_soh",         offset: 37008, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "%",   name: "Battery State of Health" },
+    { id: "battery_modules",     offset: 37009, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Modules" },
+    { id: "battery_warning_l",   offset: 37010, type: "Bitmap",     size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Warning L",
+        bits: BMS_WARNING_CODES },
+    { id: "battery_protocol",    offset: 37011, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Protocol" },
+    { id: "battery_error_h",     offset: 37012, type: "Bitmap",     size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Error H",
+        bits: NO_MESSAGES },
+    { id: "battery_warning_h",   offset: 37013, type: "Bitmap",     size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Warning H",
+        bits: NO_MESSAGES },
+    { id: "battery_sw_version",  offset: 37014, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Software Version" },
+    { id: "battery_hw_version",  offset: 37015, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Hardware Version" },
+    { id: "battery_max_cell_temp_id",    offset: 37016, type: "Integer", size: 2, kind: Kind.BAT, unit: "", name: "Battery Max Cell Temperature ID" },
+    { id: "battery_min_cell_temp_id",    offset: 37017, type: "Integer", size: 2, kind: Kind.BAT, unit: "", name: "Battery Min Cell Temperature ID" },
+    { id: "battery_max_cell_voltage_id", offset: 37018, type: "Integer", size: 2, kind: Kind.BAT, unit: "", name: "Battery Max Cell Voltage ID" },
+    { id: "battery_min_cell_voltage_id", offset: 37019, type: "Integer", size: 2, kind: Kind.BAT, unit: "", name: "Battery Min Cell Voltage ID" },
+    { id: "battery_max_cell_temp",       offset: 37020, type: "Temp",    size: 2, kind: Kind.BAT, unit: "C", name: "Battery Max Cell Temperature" },
+    { id: "battery_min_cell_temp",       offset: 37021, type: "Temp",    size: 2, kind: Kind.BAT, unit: "C", name: "Battery Min Cell Temperature" },
+    { id: "battery_max_cell_voltage",    offset: 37022, type: "Decimal", size: 2, kind: Kind.BAT, unit: "V", name: "Battery Max Cell Voltage", scale: 1000 },
+    { id: "battery_min_cell_voltage",    offset: 37023, type: "Decimal", size: 2, kind: Kind.BAT, unit: "V", name: "Battery Min Cell Voltage", scale: 1000 },
+
+    // Calculated
+    { id: "ppv",                 offset: null,  type: "Calculated", size: 0,  kind: Kind.PV,   unit: "W",   name: "PV Power",
+        depends: ["ppv1", "ppv2", "ppv3", "ppv4"], calculate: d => d.ppv1 + d.ppv2 + d.ppv3 + d.ppv4 },
+    { id: "house_consumption",   offset: null,  type: "Calculated", size: 0,  kind: Kind.AC,   unit: "W",   name: "House Consumption",
+        depends: ["ppv", "pbattery1", "active_power"], calculate: d => d.ppv + d.pbattery1 - d.active_power },
+];
+
+// Register blocks read for ET runtime data. The meter and BMS blocks are
+// optional: firmware without them rejects the read with an illegal data
+// address exception.
+const ET_REGISTER_BLOCKS = [
+    { start: ET_REGISTER_START, count: ET_REGISTER_COUNT },
+    { start: ET_METER_REGISTER_START, count: ET_METER_REGISTER_COUNT, optional: true },
+    { start: ET_BMS_REGISTER_START, count: ET_BMS_REGISTER_COUNT, optional: true },
 ];
 
 // ── DT Series Sensor Definitions ───────────────────────────────────────────────
@@ -237,6 +564,10 @@ const ET_SENSORS = [
 const DT_REGISTER_START = 30100;
 const DT_REGISTER_COUNT = 73;
 
+const DT_REGISTER_BLOCKS = [
+    { start: DT_REGISTER_START, count: DT_REGISTER_COUNT },
+];
+
 const DT_SENSORS = [
     { id: "timestamp",           offset: 30100, type: "Timestamp",  size: 6,  kind: null,      unit: "",    name: "Timestamp" },
 
@@ -270,9 +601,12 @@ const DT_SENSORS = [
 
     // Total power
     { id: "total_inverter_power",offset: 30127, type: "Power4",     size: 4,  kind: Kind.AC,   unit: "W",   name: "Total Power" },
-    { id: "work_mode",           offset: 30129, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Work Mode code" },
-    { id: "error_codes",         offset: 30130, type: "Long",       size: 4,  kind: null,      unit: "",    name: "Error Codes" },
-    { id: "warning_code",        offset: 30132, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Warning code" },
+    { id: "work_mode",           offset: 30129, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "Work Mode code",
+        values: WORK_MODES_DT },
+    { id: "error_codes",         offset: 30130, type: "Bitmap",     size: 4,  kind: null,      unit: "",    name: "Error Codes",
+        bits: ERROR_CODES },
+    { id: "warning_code",        offset: 30132, type: "Bitmap",     size: 2,  kind: null,      unit: "",    name: "Warning code",
+        bits: NO_MESSAGES },
 
     // Power quality
     { id: "apparent_power",      offset: 30133, type: "Apparent4",  size: 4,  kind: Kind.AC,   unit: "VA",  name: "Apparent Power" },
@@ -289,10 +623,21 @@ const DT_SENSORS = [
     { id: "h_total",             offset: 30147, type: "Long",       size: 4,  kind: Kind.PV,   unit: "h",   name: "Hours Total" },
 
     // Safety / diagnostics
-    { id: "safety_country",      offset: 30149, type: "Integer",    size: 2,  kind: Kind.AC,   unit: "",    name: "Safety Country code" },
+    { id: "safety_country",      offset: 30149, type: "Integer",    size: 2,  kind: Kind.AC,   unit: "",    name: "Safety Country code",
+        values: SAFETY_COUNTRIES },
     { id: "bus_voltage",         offset: 30163, type: "Voltage",    size: 2,  kind: Kind.PV,   unit: "V",   name: "Bus Voltage" },
     { id: "nbus_voltage",        offset: 30164, type: "Voltage",    size: 2,  kind: Kind.PV,   unit: "V",   name: "NBus Voltage" },
     { id: "rssi",                offset: 30172, type: "Integer",    size: 2,  kind: null,      unit: "",    name: "RSSI" },
+
+    // Calculated
+    { id: "ppv1",                offset: null,  type: "Calculated", size: 0,  kind: Kind.PV,   unit: "W",   name: "PV1 Power",
+        depends: ["vpv1", "ipv1"], calculate: d => Math.round(d.vpv1 * d.ipv1) },
+    { id: "ppv2",                offset: null,  type: "Calculated", size: 0,  kind: Kind.PV,   unit: "W",   name: "PV2 Power",
+        depends: ["vpv2", "ipv2"], calculate: d => Math.round(d.vpv2 * d.ipv2) },
+    { id: "ppv3",                offset: null,  type: "Calculated", size: 0,  kind: Kind.PV,   unit: "W",   name: "PV3 Power",
+        depends: ["vpv3", "ipv3"], calculate: d => Math.round(d.vpv3 * d.ipv3) },
+    { id: "ppv",                 offset: null,  type: "Calculated", size: 0,  kind: Kind.PV,   unit: "W",   name: "PV Power",
+        depends: ["ppv1", "ppv2", "ppv3"], calculate: d => d.ppv1 + d.ppv2 + d.ppv3 },
 ];
 
 // ── ES Series Sensor Definitions ───────────────────────────────────────────────
@@ -304,43 +649,54 @@ const ES_SENSORS = [
     // PV1
     { id: "vpv1",                offset: 0,  type: "Voltage",    size: 2,  kind: Kind.PV,   unit: "V",   name: "PV1 Voltage" },
     { id: "ipv1",                offset: 2,  type: "Current",    size: 2,  kind: Kind.PV,   unit: "A",   name: "PV1 Current" },
-    { id: "pv1_mode",            offset: 4,  type: "Byte",       size: 1,  kind: Kind.PV,   unit: "",    name: "PV1 Mode code" },
+    { id: "pv1_mode",            offset: 4,  type: "Byte",       size: 1,  kind: Kind.PV,   unit: "",    name: "PV1 Mode code",
+        values: PV_MODES },
 
     // PV2
     { id: "vpv2",                offset: 5,  type: "Voltage",    size: 2,  kind: Kind.PV,   unit: "V",   name: "PV2 Voltage" },
     { id: "ipv2",                offset: 7,  type: "Current",    size: 2,  kind: Kind.PV,   unit: "A",   name: "PV2 Current" },
-    { id: "pv2_mode",            offset: 9,  type: "Byte",       size: 1,  kind: Kind.PV,   unit: "",    name: "PV2 Mode code" },
+    { id: "pv2_mode",            offset: 9,  type: "Byte",       size: 1,  kind: Kind.PV,   unit: "",    name: "PV2 Mode code",
+        values: PV_MODES },
 
     // Battery
     { id: "vbattery1",           offset: 10, type: "Voltage",    size: 2,  kind: Kind.BAT,  unit: "V",   name: "Battery Voltage" },
+    { id: "ibattery1",           offset: 12, type: "Current",    size: 2,  kind: Kind.BAT,  unit: "A",   name: "Battery Current" },
     { id: "battery_status",      offset: 14, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Status" },
     { id: "battery_temperature", offset: 16, type: "Temp",       size: 2,  kind: Kind.BAT,  unit: "C",   name: "Battery Temperature" },
     { id: "battery_charge_limit",offset: 20, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "A",   name: "Battery Charge Limit" },
     { id: "battery_discharge_limit",offset:22,type: "Integer",   size: 2,  kind: Kind.BAT,  unit: "A",   name: "Battery Discharge Limit" },
-    { id: "battery_error",       offset: 24, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Error Code" },
+    { id: "battery_error",       offset: 24, type: "Bitmap",     size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Error Code",
+        bits: BMS_ALARM_CODES },
     { id: "battery_soc",         offset: 26, type: "Byte",       size: 1,  kind: Kind.BAT,  unit: "%",   name: "Battery State of Charge" },
     { id: "battery_soh",         offset: 29, type: "Byte",       size: 1,  kind: Kind.BAT,  unit: "%",   name: "Battery State of Health" },
-    { id: "battery_mode",        offset: 30, type: "Byte",       size: 1,  kind: Kind.BAT,  unit: "",    name: "Battery Mode code" },
-    { id: "battery_warning",     offset: 31, type: "Integer",    size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Warning" },
+    { id: "battery_mode",        offset: 30, type: "Byte",       size: 1,  kind: Kind.BAT,  unit: "",    name: "Battery Mode code",
+        values: BATTERY_MODES },
+    { id: "battery_warning",     offset: 31, type: "Bitmap",     size: 2,  kind: Kind.BAT,  unit: "",    name: "Battery Warning",
+        bits: BMS_WARNING_CODES },
 
     // Grid / AC
-    { id: "meter_status",        offset: 33, type: "Byte",       size: 1,  kind: Kind.AC,   unit: "",    name: "Meter Status code" },
+    { id: "meter_status",        offset: 33, type: "Byte",       size: 1,  kind: Kind.AC,   unit: "",    name: "Meter Status code",
+        values: METER_STATUS },
     { id: "vgrid",               offset: 34, type: "Voltage",    size: 2,  kind: Kind.AC,   unit: "V",   name: "On-grid Voltage" },
     { id: "igrid",               offset: 36, type: "Current",    size: 2,  kind: Kind.AC,   unit: "A",   name: "On-grid Current" },
     { id: "fgrid",               offset: 40, type: "Frequency",  size: 2,  kind: Kind.AC,   unit: "Hz",  name: "On-grid Frequency" },
-    { id: "grid_mode",           offset: 42, type: "Byte",       size: 1,  kind: Kind.GRID, unit: "",    name: "Work Mode code" },
+    { id: "grid_mode",           offset: 42, type: "Byte",       size: 1,  kind: Kind.GRID, unit: "",    name: "Grid Mode code",
+        values: GRID_MODES },
 
     // Back-up / UPS
     { id: "vload",               offset: 43, type: "Voltage",    size: 2,  kind: Kind.UPS,  unit: "V",   name: "Back-up Voltage" },
     { id: "iload",               offset: 45, type: "Current",    size: 2,  kind: Kind.UPS,  unit: "A",   name: "Back-up Current" },
     { id: "pload",               offset: 47, type: "Power",      size: 2,  kind: Kind.AC,   unit: "W",   name: "On-grid Power" },
     { id: "fload",               offset: 49, type: "Frequency",  size: 2,  kind: Kind.UPS,  unit: "Hz",  name: "Back-up Frequency" },
-    { id: "load_mode",           offset: 51, type: "Byte",       size: 1,  kind: Kind.AC,   unit: "",    name: "Load Mode code" },
-    { id: "work_mode",           offset: 52, type: "Byte",       size: 1,  kind: Kind.AC,   unit: "",    name: "Energy Mode code" },
+    { id: "load_mode",           offset: 51, type: "Byte",       size: 1,  kind: Kind.AC,   unit: "",    name: "Load Mode code",
+        values: LOAD_MODES },
+    { id: "work_mode",           offset: 52, type: "Byte",       size: 1,  kind: Kind.AC,   unit: "",    name: "Energy Mode code",
+        values: WORK_MODES_ES },
 
     // Inverter
     { id: "temperature",         offset: 53, type: "Temp",       size: 2,  kind: null,      unit: "C",   name: "Inverter Temperature" },
-    { id: "error_codes",         offset: 55, type: "Long",       size: 4,  kind: null,      unit: "",    name: "Error Codes" },
+    { id: "error_codes",         offset: 55, type: "Bitmap",     size: 4,  kind: null,      unit: "",    name: "Error Codes",
+        bits: ERROR_CODES },
 
     // Energy totals
     { id: "e_total",             offset: 59, type: "Energy4",    size: 4,  kind: Kind.PV,   unit: "kWh", name: "Total PV Generation" },
@@ -352,40 +708,161 @@ const ES_SENSORS = [
 
     // Control / status
     { id: "effective_work_mode", offset: 77, type: "Byte",       size: 1,  kind: null,      unit: "",    name: "Effective Work Mode code" },
-    { id: "grid_in_out",         offset: 80, type: "Byte",       size: 1,  kind: Kind.GRID, unit: "",    name: "On-grid Mode code" },
+    { id: "grid_in_out",         offset: 80, type: "Byte",       size: 1,  kind: Kind.GRID, unit: "",    name: "On-grid Mode code",
+        values: GRID_IN_OUT_MODES },
     { id: "pback_up",            offset: 81, type: "Power",      size: 2,  kind: Kind.UPS,  unit: "W",   name: "Back-up Power" },
     { id: "meter_power_factor",  offset: 83, type: "Decimal",    size: 2,  kind: Kind.GRID, unit: "",    name: "Meter Power Factor", scale: 1000 },
 
     // Diagnostics
-    { id: "diagnose_result",     offset: 89, type: "Long",       size: 4,  kind: null,      unit: "",    name: "Diag Status Code" },
+    { id: "diagnose_result",     offset: 89, type: "Bitmap",     size: 4,  kind: null,      unit: "",    name: "Diag Status Code",
+        bits: DIAG_STATUS_CODES },
+
+    // Calculated
+    { id: "ppv1",                offset: null, type: "Calculated", size: 0, kind: Kind.PV,  unit: "W",   name: "PV1 Power",
+        depends: ["vpv1", "ipv1"], calculate: d => Math.round(d.vpv1 * d.ipv1) },
+    { id: "ppv2",                offset: null, type: "Calculated", size: 0, kind: Kind.PV,  unit: "W",   name: "PV2 Power",
+        depends: ["vpv2", "ipv2"], calculate: d => Math.round(d.vpv2 * d.ipv2) },
+    { id: "ppv",                 offset: null, type: "Calculated", size: 0, kind: Kind.PV,  unit: "W",   name: "PV Power",
+        depends: ["ppv1", "ppv2"], calculate: d => d.ppv1 + d.ppv2 },
+    // Battery current is unsigned; battery mode 3 (charging) makes the power negative
+    { id: "pbattery1",           offset: null, type: "Calculated", size: 0, kind: Kind.BAT, unit: "W",   name: "Battery Power",
+        depends: ["vbattery1", "ibattery1", "battery_mode"],
+        calculate: d => Math.round(d.vbattery1 * d.ibattery1) * (d.battery_mode === 3 ? -1 : 1) },
+];
+
+// ── Settings Definitions ───────────────────────────────────────────────────────
+// Settings are decoded with the same type readers as sensors. The decoded raw
+// value is divided by `scale` (default 1); when `complement` is set the stored
+// value is `complement - value` (e.g. the DoD settings store 100 - DoD).
+// For Modbus families `offset` is the register address, for AA55 families it is
+// the byte offset in the settings block and `writeRegister` is the write address.
+
+// ET settings: 45000 range (device/battery parameters) and 47000 range (work
+// mode, export limit, EMS). Ported from the goodwe Python library `et.py`.
+const ET_SETTINGS = [
+    { id: "comm_address",            offset: 45127, type: "Integer",   size: 2, kind: null,     unit: "",   name: "Communication Address", writable: false },
+    { id: "modbus_baud_rate",        offset: 45132, type: "Integer",   size: 2, kind: null,     unit: "",   name: "Modbus Baud Rate", writable: false },
+    { id: "time",                    offset: 45200, type: "Timestamp", size: 6, kind: null,     unit: "",   name: "Inverter Time", writable: false },
+    { id: "sensitivity_check",       offset: 45246, type: "Integer",   size: 2, kind: Kind.AC,  unit: "",   name: "Sensitivity Check Mode", writable: false },
+    { id: "cold_start",              offset: 45248, type: "Integer",   size: 2, kind: Kind.AC,  unit: "",   name: "Cold Start", writable: false },
+    { id: "shadow_scan",             offset: 45251, type: "Integer",   size: 2, kind: Kind.PV,  unit: "",   name: "Shadow Scan", writable: true,
+        values: { 0: "Off", 1: "On" } },
+    { id: "backup_supply",           offset: 45252, type: "Integer",   size: 2, kind: Kind.UPS, unit: "",   name: "Backup Supply", writable: true,
+        values: { 0: "Off", 1: "On" } },
+    { id: "unbalanced_output",       offset: 45264, type: "Integer",   size: 2, kind: Kind.AC,  unit: "",   name: "Unbalanced Output", writable: true,
+        values: { 0: "Off", 1: "On" } },
+    { id: "pen_relay",               offset: 45288, type: "Integer",   size: 2, kind: Kind.AC,  unit: "",   name: "PE-N Relay", writable: false,
+        values: { 0: "Off", 1: "On" } },
+
+    // Battery
+    { id: "battery_capacity",        offset: 45350, type: "Integer",   size: 2, kind: Kind.BAT, unit: "Ah", name: "Battery Capacity", writable: false },
+    { id: "battery_modules",         offset: 45351, type: "Integer",   size: 2, kind: Kind.BAT, unit: "",   name: "Battery Modules", writable: false },
+    { id: "battery_charge_voltage",  offset: 45352, type: "Integer",   size: 2, kind: Kind.BAT, unit: "V",  name: "Battery Charge Voltage", scale: 10, writable: false },
+    { id: "battery_charge_current",  offset: 45353, type: "Integer",   size: 2, kind: Kind.BAT, unit: "A",  name: "Battery Charge Current", scale: 10,
+        min: 0, max: 100, writable: true },
+    { id: "battery_discharge_voltage", offset: 45354, type: "Integer", size: 2, kind: Kind.BAT, unit: "V",  name: "Battery Discharge Voltage", scale: 10, writable: false },
+    { id: "battery_discharge_current", offset: 45355, type: "Integer", size: 2, kind: Kind.BAT, unit: "A",  name: "Battery Discharge Current", scale: 10,
+        min: 0, max: 100, writable: true },
+    { id: "battery_discharge_depth", offset: 45356, type: "Integer",   size: 2, kind: Kind.BAT, unit: "%",  name: "Battery Discharge Depth", complement: 100,
+        min: 0, max: 89, writable: true },
+    { id: "battery_discharge_voltage_offline", offset: 45357, type: "Integer", size: 2, kind: Kind.BAT, unit: "V", name: "Battery Discharge Voltage (off-line)",
+        scale: 10, writable: false },
+    { id: "battery_discharge_depth_offline", offset: 45358, type: "Integer", size: 2, kind: Kind.BAT, unit: "%", name: "Battery Discharge Depth (off-line)",
+        complement: 100, min: 0, max: 89, writable: true },
+    { id: "power_factor",            offset: 45482, type: "IntegerS",  size: 2, kind: Kind.AC,  unit: "",   name: "Power Factor", scale: 100, writable: false },
+
+    // Work mode and grid export
+    { id: "work_mode",               offset: 47000, type: "Integer",   size: 2, kind: Kind.AC,  unit: "",   name: "Work Mode", writable: true,
+        values: { 0: "General", 1: "Off-grid", 2: "Backup", 3: "Eco", 4: "Peak Shaving", 5: "Eco Charge", 6: "Eco Discharge" } },
+    { id: "dred",                    offset: 47010, type: "Integer",   size: 2, kind: Kind.AC,  unit: "",   name: "DRED/Remote Shutdown", writable: false,
+        values: { 0: "Off", 1: "On" } },
+    { id: "meter_target_power_offset", offset: 47120, type: "IntegerS", size: 2, kind: Kind.AC, unit: "W",  name: "Meter Target Power Offset", writable: false },
+    { id: "battery_soc_protection",  offset: 47500, type: "Integer",   size: 2, kind: Kind.BAT, unit: "",   name: "Battery SoC Protection", writable: true,
+        values: { 0: "Disabled", 1: "Enabled" } },
+    { id: "grid_export",             offset: 47509, type: "Integer",   size: 2, kind: Kind.GRID, unit: "",  name: "Export Limit Enabled", writable: true,
+        values: { 0: "Disabled", 1: "Enabled" } },
+    { id: "grid_export_limit",       offset: 47510, type: "Integer",   size: 2, kind: Kind.GRID, unit: "W", name: "Export Limit", min: 0, max: 30000, writable: true },
+    { id: "ems_mode",                offset: 47511, type: "Integer",   size: 2, kind: null,     unit: "",   name: "EMS Mode", writable: false },
+    { id: "ems_power_limit",         offset: 47512, type: "Integer",   size: 2, kind: null,     unit: "W",  name: "EMS Power Limit", writable: false },
+    { id: "fast_charging",           offset: 47545, type: "Integer",   size: 2, kind: Kind.BAT, unit: "",   name: "Fast Charging Enabled", writable: true,
+        values: { 0: "Disabled", 1: "Enabled" } },
+    { id: "fast_charging_soc",       offset: 47546, type: "Integer",   size: 2, kind: Kind.BAT, unit: "%",  name: "Fast Charging SoC", min: 0, max: 100, writable: true },
+];
+
+// DT settings: 40000 range. Ported from the goodwe Python library `dt.py`.
+const DT_SETTINGS = [
+    { id: "time",                    offset: 40313, type: "Timestamp", size: 6, kind: null,     unit: "",   name: "Inverter Time", writable: false },
+    { id: "shadow_scan",             offset: 40326, type: "Integer",   size: 2, kind: Kind.PV,  unit: "",   name: "Shadow Scan", writable: true,
+        values: { 0: "Off", 1: "On" } },
+    { id: "grid_export",             offset: 40327, type: "Integer",   size: 2, kind: Kind.GRID, unit: "",  name: "Export Limit Enabled", writable: true,
+        values: { 0: "Disabled", 1: "Enabled" } },
+    { id: "grid_export_limit",       offset: 40328, type: "Integer",   size: 2, kind: Kind.GRID, unit: "%", name: "Export Limit", min: 0, max: 100, writable: true },
+    { id: "grid_export_hw",          offset: 40345, type: "Integer",   size: 2, kind: Kind.GRID, unit: "",  name: "Export Power Limit (Hardware)", writable: false },
+];
+
+// ES settings: AA55 "01 09" settings block (byte offsets). Only DoD has a
+// known register write; the other values are read-only here.
+// Ported from the goodwe Python library `es.py`.
+const ES_SETTINGS = [
+    { id: "backup_supply",           offset: 12, type: "Integer",     size: 2, kind: Kind.UPS, unit: "",   name: "Backup Supply", writable: false,
+        values: { 0: "Off", 1: "On" } },
+    { id: "off_grid_charge",         offset: 14, type: "Integer",     size: 2, kind: Kind.UPS, unit: "",   name: "Off-grid Charge", writable: false },
+    { id: "shadow_scan",             offset: 16, type: "Integer",     size: 2, kind: Kind.PV,  unit: "",   name: "Shadow Scan", writable: false,
+        values: { 0: "Off", 1: "On" } },
+    { id: "grid_export",             offset: 18, type: "Integer",     size: 2, kind: Kind.GRID, unit: "",  name: "Export Limit Enabled", writable: false,
+        values: { 0: "Disabled", 1: "Enabled" } },
+    { id: "battery_capacity",        offset: 22, type: "Integer",     size: 2, kind: Kind.BAT, unit: "Ah", name: "Battery Capacity", writable: false },
+    { id: "battery_charge_voltage",  offset: 24, type: "Integer",     size: 2, kind: Kind.BAT, unit: "V",  name: "Battery Charge Voltage", scale: 10, writable: false },
+    { id: "battery_charge_current",  offset: 26, type: "Integer",     size: 2, kind: Kind.BAT, unit: "A",  name: "Battery Charge Current", writable: false },
+    { id: "battery_discharge_current", offset: 28, type: "Integer",   size: 2, kind: Kind.BAT, unit: "A",  name: "Battery Discharge Current", writable: false },
+    { id: "battery_discharge_voltage", offset: 30, type: "Integer",   size: 2, kind: Kind.BAT, unit: "V",  name: "Battery Discharge Voltage", scale: 10, writable: false },
+    { id: "battery_discharge_depth", offset: 32, type: "Integer",     size: 2, kind: Kind.BAT, unit: "%",  name: "Battery Discharge Depth", complement: 100,
+        min: 0, max: 89, writable: true, writeRegister: 0x0560 },
+    { id: "battery_activated",       offset: 34, type: "Integer",     size: 2, kind: Kind.BAT, unit: "",   name: "Battery Activated", writable: false },
+    { id: "bp_off_grid_charge",      offset: 36, type: "Integer",     size: 2, kind: Kind.BAT, unit: "",   name: "BP Off-grid Charge", writable: false },
+    { id: "bp_pv_discharge",         offset: 38, type: "Integer",     size: 2, kind: Kind.BAT, unit: "",   name: "BP PV Discharge", writable: false },
+    { id: "bp_bms_protocol",         offset: 40, type: "Integer",     size: 2, kind: Kind.BAT, unit: "",   name: "BP BMS Protocol", writable: false },
+    { id: "power_factor",            offset: 42, type: "Integer",     size: 2, kind: Kind.AC,  unit: "",   name: "Power Factor", writable: false },
+    { id: "grid_export_limit",       offset: 52, type: "Integer",     size: 2, kind: Kind.GRID, unit: "W", name: "Export Limit", writable: false },
+    { id: "battery_soc_protection",  offset: 56, type: "Integer",     size: 2, kind: Kind.BAT, unit: "",   name: "Battery SoC Protection", writable: false,
+        values: { 0: "Disabled", 1: "Enabled" } },
+    { id: "work_mode",               offset: 66, type: "Integer",     size: 2, kind: Kind.AC,  unit: "",   name: "Work Mode", writable: false,
+        values: { 0: "General", 1: "Off-grid", 2: "Backup", 3: "Eco" } },
+    { id: "grid_quality_check",      offset: 68, type: "Integer",     size: 2, kind: Kind.AC,  unit: "",   name: "Grid Quality Check", writable: false },
 ];
 
 // ── Family Lookup ──────────────────────────────────────────────────────────────
 
 const FAMILY_CONFIGS = {
     // ET family (hybrid, single/three-phase)
-    ET: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, protocol: "modbus" },
-    EH: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, protocol: "modbus" },
-    BT: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, protocol: "modbus" },
-    BH: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, protocol: "modbus" },
-    GEH:{ sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, protocol: "modbus" },
+    ET: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, blocks: ET_REGISTER_BLOCKS, protocol: "modbus", settings: ET_SETTINGS },
+    EH: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, blocks: ET_REGISTER_BLOCKS, protocol: "modbus", settings: ET_SETTINGS },
+    BT: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, blocks: ET_REGISTER_BLOCKS, protocol: "modbus", settings: ET_SETTINGS },
+    BH: { sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, blocks: ET_REGISTER_BLOCKS, protocol: "modbus", settings: ET_SETTINGS },
+    GEH:{ sensors: ET_SENSORS, registerStart: ET_REGISTER_START, registerCount: ET_REGISTER_COUNT, blocks: ET_REGISTER_BLOCKS, protocol: "modbus", settings: ET_SETTINGS },
 
     // DT family (grid-tie, three-phase)
-    DT: { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, protocol: "modbus" },
-    MS: { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, protocol: "modbus" },
-    "D-NS": { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, protocol: "modbus" },
-    XS: { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, protocol: "modbus" },
+    DT: { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, blocks: DT_REGISTER_BLOCKS, protocol: "modbus", settings: DT_SETTINGS },
+    MS: { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, blocks: DT_REGISTER_BLOCKS, protocol: "modbus", settings: DT_SETTINGS },
+    "D-NS": { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, blocks: DT_REGISTER_BLOCKS, protocol: "modbus", settings: DT_SETTINGS },
+    XS: { sensors: DT_SENSORS, registerStart: DT_REGISTER_START, registerCount: DT_REGISTER_COUNT, blocks: DT_REGISTER_BLOCKS, protocol: "modbus", settings: DT_SETTINGS },
 
     // ES family (hybrid storage, single-phase)
-    ES: { sensors: ES_SENSORS, protocol: "aa55" },
-    EM: { sensors: ES_SENSORS, protocol: "aa55" },
-    BP: { sensors: ES_SENSORS, protocol: "aa55" },
+    ES: { sensors: ES_SENSORS, protocol: "aa55", settings: ES_SETTINGS },
+    EM: { sensors: ES_SENSORS, protocol: "aa55", settings: ES_SETTINGS },
+    BP: { sensors: ES_SENSORS, protocol: "aa55", settings: ES_SETTINGS },
 };
 
 /**
  * Get the family configuration for an inverter family
+ *
+ * Modbus families list the register blocks read for runtime data in
+ * `blocks` (`{start, count, optional?}`); `registerStart`/`registerCount`
+ * describe the first (main) block. Sensors of every block share the single
+ * `sensors` table and are matched to a block by register address.
+ *
  * @param {string} family - Inverter family code (ET, DT, ES, etc.)
- * @returns {Object|null} Family config with sensors, registerStart, registerCount, protocol
+ * @returns {Object|null} Family config with sensors, settings, registerStart, registerCount, blocks, protocol
  */
 function getFamilyConfig(family) {
     return FAMILY_CONFIGS[family] || null;
@@ -404,18 +881,207 @@ function getSensors(family) {
     return config.sensors;
 }
 
+/**
+ * Get the settings definitions for an inverter family
+ * @param {string} family - Inverter family code
+ * @returns {Array} Array of setting definitions
+ */
+function getSettings(family) {
+    const config = FAMILY_CONFIGS[family];
+    if (!config) {
+        throw new Error(`Unsupported inverter family: ${family}`);
+    }
+    return config.settings || [];
+}
+
+/**
+ * Group register-addressed definitions into blocks that can each be fetched
+ * with a single Modbus read. Definitions are merged while the gap between
+ * them is at most `maxGap` registers and the block stays within `maxCount`.
+ *
+ * @param {Array} definitions - Sensor/setting definitions with `offset` (register) and `size` (bytes)
+ * @param {Object} [options]
+ * @param {number} [options.maxCount=125] - Maximum registers per block (Modbus limit)
+ * @param {number} [options.maxGap=16] - Maximum unused registers between two definitions
+ * @returns {Array<{start: number, count: number, items: Array}>} Read blocks in register order
+ */
+function planRegisterBlocks(definitions, options = {}) {
+    const maxCount = options.maxCount || 125;
+    const maxGap = options.maxGap !== undefined ? options.maxGap : 16;
+    const sorted = definitions.slice().sort((a, b) => a.offset - b.offset);
+    const blocks = [];
+    let current = null;
+
+    for (const def of sorted) {
+        const end = def.offset + Math.ceil(def.size / 2);
+        if (current &&
+            def.offset - (current.start + current.count) <= maxGap &&
+            end - current.start <= maxCount) {
+            current.count = Math.max(current.count, end - current.start);
+            current.items.push(def);
+        } else {
+            current = { start: def.offset, count: end - def.offset, items: [def] };
+            blocks.push(current);
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Plan the register reads for a subset of the runtime sensors of a Modbus
+ * family. Calculated sensors pull in the sensors they depend on, and an
+ * `<id>_label` or `<id>_messages` ID its sensor. Sensors are grouped with
+ * `planRegisterBlocks` within each register block of the family, so an
+ * optional block stays optional.
+ *
+ * @param {Object} config - Family config with `sensors` and `blocks`
+ * @param {string[]} sensorIds - Requested sensor IDs; unknown IDs are ignored
+ * @param {Object} [options] - Options passed to `planRegisterBlocks`
+ * @returns {Array<{start: number, count: number, items: Array, optional?: boolean}>} Read blocks
+ */
+function planSensorBlocks(config, sensorIds, options = {}) {
+    const byId = new Map(config.sensors.map(sensor => [sensor.id, sensor]));
+    const needed = new Set();
+
+    const addSensor = (id) => {
+        const sensor = byId.get(id) || byId.get(id.replace(/_(label|messages)$/, ""));
+        if (!sensor || needed.has(sensor.id)) {
+            return;
+        }
+        needed.add(sensor.id);
+        (sensor.depends || []).forEach(addSensor);
+    };
+    sensorIds.forEach(addSensor);
+
+    const blocks = [];
+    for (const block of config.blocks) {
+        const definitions = config.sensors.filter(sensor =>
+            needed.has(sensor.id) &&
+            sensor.offset !== null && sensor.offset !== undefined &&
+            sensor.offset >= block.start && sensor.offset < block.start + block.count);
+        for (const planned of planRegisterBlocks(definitions, options)) {
+            if (block.optional) {
+                planned.optional = true;
+            }
+            blocks.push(planned);
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Decode a setting value from a buffer.
+ *
+ * @param {Object} setting - Setting definition
+ * @param {Buffer} data - Buffer holding the setting
+ * @param {number} byteOffset - Byte offset of the setting in the buffer
+ * @returns {number|string|null} Decoded value (ISO string for timestamps), or null if unavailable
+ */
+function parseSettingValue(setting, data, byteOffset) {
+    const reader = typeReaders[setting.type];
+    if (!reader) {
+        return null;
+    }
+    const raw = reader(data, byteOffset, setting);
+    if (raw === null) {
+        return null;
+    }
+    if (typeof raw !== "number") {
+        return raw;
+    }
+    const value = setting.complement !== undefined ? setting.complement - raw : raw;
+    return value / (setting.scale || 1);
+}
+
+/**
+ * Validate a value against a setting definition.
+ * Enum settings accept either the numeric code or its label.
+ *
+ * @param {Object} setting - Setting definition
+ * @param {*} value - Value to validate
+ * @returns {{valid: boolean, error: string|null, value?: number}} Result with the normalized numeric value
+ */
+function validateSettingValue(setting, value) {
+    if (setting.values) {
+        const codes = Object.keys(setting.values).map(Number);
+        if (typeof value === "string") {
+            const code = codes.find(c => setting.values[c].toLowerCase() === value.toLowerCase());
+            if (code !== undefined) {
+                return { valid: true, error: null, value: code };
+            }
+        }
+        const isNumeric = typeof value === "number" || (typeof value === "string" && value.trim() !== "");
+        if (isNumeric && codes.includes(Number(value))) {
+            return { valid: true, error: null, value: Number(value) };
+        }
+        const allowed = codes.map(c => `${c} (${setting.values[c]})`).join(", ");
+        return { valid: false, error: `Invalid ${setting.name}: ${value}. Must be one of: ${allowed}` };
+    }
+
+    const numValue = typeof value === "number" ? value : Number(value);
+    if (value === null || value === "" || typeof value === "boolean" || isNaN(numValue)) {
+        return { valid: false, error: `Invalid ${setting.name}: ${value}. Must be a number` };
+    }
+
+    if ((typeof setting.min === "number" && numValue < setting.min) ||
+        (typeof setting.max === "number" && numValue > setting.max)) {
+        return {
+            valid: false,
+            error: `${setting.name} out of range: ${value}. Valid range: ${setting.min}-${setting.max}${setting.unit}`
+        };
+    }
+
+    return { valid: true, error: null, value: numValue };
+}
+
+/**
+ * Encode a (validated) setting value into register bytes.
+ *
+ * @param {Object} setting - Setting definition
+ * @param {number} value - Numeric value in engineering units
+ * @returns {Buffer} Big-endian register data (`setting.size` bytes)
+ */
+function encodeSettingValue(setting, value) {
+    let raw = Math.round(value * (setting.scale || 1));
+    if (setting.complement !== undefined) {
+        raw = setting.complement - raw;
+    }
+    const buf = Buffer.alloc(setting.size);
+    if (setting.size === 4) {
+        if (raw < 0) {
+            buf.writeInt32BE(raw, 0);
+        } else {
+            buf.writeUInt32BE(raw, 0);
+        }
+    } else if (raw < 0) {
+        buf.writeInt16BE(raw, 0);
+    } else {
+        buf.writeUInt16BE(raw, 0);
+    }
+    return buf;
+}
+
 /**
  * Parse sensor data from a response buffer using sensor definitions.
  *
  * For Modbus families (ET, DT): byteOffset = (sensor.offset - baseRegister) * 2
  * For AA55 families (ES):       byteOffset = sensor.offset (already byte offsets)
  *
+ * Sensors with a `values` label table also produce a `<id>_label` value
+ * when the decoded code has a label, and bitmap sensors with a `bits` table
+ * produce a `<id>_messages` array of their active messages. Calculated sensors are evaluated after
+ * all raw values are decoded (see `calculateSensors`).
+ *
  * @param {Array} sensors - Sensor definition array
  * @param {Buffer} data - Response payload buffer (headers/CRC already stripped)
  * @param {number|null} baseRegister - First register address (for Modbus offset calculation), null for AA55
+ * @param {Object} [options]
+ * @param {boolean} [options.calculate=true] - Evaluate calculated sensors; disable when
+ *   merging several blocks and call `calculateSensors` on the merged result instead
  * @returns {Object} Parsed sensor data keyed by sensor ID
  */
-function parseSensorData(sensors, data, baseRegister) {
+function parseSensorData(sensors, data, baseRegister, options = {}) {
     const result = {};
 
     for (const sensor of sensors) {
@@ -447,13 +1113,125 @@ function parseSensorData(sensors, data, baseRegister) {
             const value = typeReaders[sensor.type](data, byteOffset, sensor);
             if (value !== null) {
                 result[sensor.id] = value;
+                if (sensor.values && sensor.values[value] !== undefined) {
+                    result[`${sensor.id}_label`] = sensor.values[value];
+                }
+                if (sensor.bits) {
+                    result[`${sensor.id}_messages`] = decodeBitmap(value, sensor.bits);
+                }
             }
         } catch (e) {
             // Skip sensors that fail to parse
         }
     }
 
-    return result;
+    if (options.calculate === false) {
+        return result;
+    }
+    return calculateSensors(sensors, result);
+}
+
+/**
+ * Decode raw register data with an inline decoding spec, for registers
+ * that are not in a sensor table. Entries have the shape of a sensor
+ * definition (`{ id, offset, type, size?, scale? }`, `offset` being a
+ * register address) and are decoded with the sensor `typeReaders`;
+ * `size` defaults to the size of the type (one register for most types).
+ *
+ * @param {Array} spec - Decoding entries
+ * @param {Buffer} data - Register data
+ * @param {number} baseRegister - Register address of the first register in `data`
+ * @returns {Object} Decoded values keyed by entry ID
+ * @throws {Error} `INVALID_DECODE_SPEC` for an entry without id, with an
+ *   unknown type, or outside the register data
+ */
+function decodeRegisters(spec, data, baseRegister) {
+    if (!Array.isArray(spec)) {
+        throw decodeSpecError("Decoding spec must be an array");
+    }
+
+    const definitions = spec.map(entry => {
+        if (!entry || typeof entry.id !== "string" || entry.id === "") {
+            throw decodeSpecError(`Decoding entry without id: ${JSON.stringify(entry)}`);
+        }
+        if (!typeReaders[entry.type]) {
+            throw decodeSpecError(`Unknown type "${entry.type}" for ${entry.id}`);
+        }
+        const size = entry.size || TYPE_SIZES[entry.type] || 2;
+        const byteOffset = (entry.offset - baseRegister) * 2;
+        if (!Number.isInteger(entry.offset) || byteOffset < 0 || byteOffset + size > data.length) {
+            throw decodeSpecError(`Register ${entry.offset} of ${entry.id} is outside the read range`);
+        }
+        return Object.assign({}, entry, { size });
+    });
+
+    return parseSensorData(definitions, data, baseRegister, { calculate: false });
+}
+
+/**
+ * Build an INVALID_DECODE_SPEC error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ * @private
+ */
+function decodeSpecError(message) {
+    const error = new Error(message);
+    error.code = "INVALID_DECODE_SPEC";
+    return error;
+}
+
+/**
+ * Decode a fault/warning bitmap into the messages of its set bits
+ * @param {number} value - Raw bitmap value
+ * @param {Object} bits - Bit number → message table
+ * @returns {string[]} Messages of the set bits, lowest bit first; bits without
+ *   a message are reported as "Bit <n>"
+ */
+function decodeBitmap(value, bits) {
+    const messages = [];
+    for (let bit = 0; bit < 32; bit++) {
+        // Use division instead of >> so bit 31 works on unsigned 32-bit values
+        if (Math.floor(value / Math.pow(2, bit)) % 2 === 1) {
+            messages.push(bits[bit] || `Bit ${bit}`);
+        }
+    }
+    return messages;
+}
+
+/**
+ * Evaluate calculated sensors on decoded sensor values.
+ *
+ * Calculated sensors have `calculate(values)` and list the sensor IDs they
+ * read in `depends`. They are evaluated in table order, so one calculated
+ * sensor can depend on another defined before it. A sensor is skipped when
+ * any of its dependencies is missing.
+ *
+ * @param {Array} sensors - Sensor definition array
+ * @param {Object} values - Decoded sensor values keyed by sensor ID (updated in place)
+ * @returns {Object} The same values object with calculated sensors added
+ */
+function calculateSensors(sensors, values) {
+    for (const sensor of sensors) {
+        if (typeof sensor.calculate !== "function") {
+            continue;
+        }
+
+        const depends = sensor.depends || [];
+        if (depends.some(id => values[id] === null || values[id] === undefined)) {
+            continue;
+        }
+
+        try {
+            const value = sensor.calculate(values);
+            if (value !== null && value !== undefined && !Number.isNaN(value)) {
+                values[sensor.id] = value;
+            }
+        } catch (e) {
+            // Skip sensors that fail to calculate
+        }
+    }
+
+    return values;
 }
 
 /**
@@ -481,6 +1259,28 @@ function buildSensorMetadata(sensors) {
             kind: sensor.kind || "STATUS",
             category: (sensor.kind && kindToCategory[sensor.kind]) || "status"
         };
+
+        // Enum sensors: label table, plus an entry for the `<id>_label` value
+        if (sensor.values) {
+            metadata[sensor.id].values = sensor.values;
+            metadata[`${sensor.id}_label`] = {
+                name: sensor.name.replace(/ code$/, ""),
+                unit: "",
+                kind: metadata[sensor.id].kind,
+                category: metadata[sensor.id].category
+            };
+        }
+
+        // Bitmap sensors: message table, plus an entry for `<id>_messages`
+        if (sensor.bits) {
+            metadata[sensor.id].bits = sensor.bits;
+            metadata[`${sensor.id}_messages`] = {
+                name: `Active ${sensor.name.replace(/ code$/i, "")}`,
+                unit: "",
+                kind: metadata[sensor.id].kind,
+                category: metadata[sensor.id].category
+            };
+        }
     }
     return metadata;
 }
@@ -490,13 +1290,29 @@ module.exports = {
     typeReaders,
     getSensors,
     getFamilyConfig,
+    getSettings,
+    planRegisterBlocks,
+    planSensorBlocks,
+    decodeRegisters,
     parseSensorData,
+    calculateSensors,
+    decodeBitmap,
+    parseSettingValue,
+    validateSettingValue,
+    encodeSettingValue,
     buildSensorMetadata,
     ET_SENSORS,
     DT_SENSORS,
     ES_SENSORS,
+    ET_SETTINGS,
+    DT_SETTINGS,
+    ES_SETTINGS,
     ET_REGISTER_START,
     ET_REGISTER_COUNT,
+    ET_METER_REGISTER_START,
+    ET_METER_REGISTER_COUNT,
+    ET_BMS_REGISTER_START,
+    ET_BMS_REGISTER_COUNT,
     DT_REGISTER_START,
     DT_REGISTER_COUNT,
     FAMILY_CONFIGS,
@@ -6,7 +6,14 @@
  * and manages the connection lifecycle for all dependent nodes.
  */
 
-const { ProtocolHandler } = require("../lib/protocol.js");
+const protocol = require("../lib/protocol.js");
+const { ProtocolHandler } = protocol;
+const { discoveredDevices } = require("../lib/device-tracker.js");
+const { ReadCache } = require("../lib/read-cache.js");
+
+// Editor discovery limits, in ms
+const DISCOVER_TIMEOUT = 3000;
+const MAX_DISCOVER_TIMEOUT = 10000;
 
 module.exports = function(RED) {
     "use strict";
@@ -21,17 +28,20 @@ module.exports = function(RED) {
 
         // Store configuration
         this.host = config.host;
-        this.port = config.port || 8899;
+        this.port = parseInt(config.port) || 8899;
         this.protocol = config.protocol || "udp";
         this.family = config.family || "ET";
         this.timeout = config.timeout || 1000;
         this.retries = config.retries || 3;
         this.commAddr = config.commAddr || "auto";
         this.keepAlive = config.keepAlive === undefined ? true : config.keepAlive;
+        this.serial = (config.serial || "").trim();
+        this.cacheTtl = parseInt(config.cacheTtl) || 0;
 
         // Connection state
         this.protocolHandler = null;
         this.users = [];
+        this.readCache = new ReadCache({ ttl: self.cacheTtl });
 
         /**
          * Get connection configuration
@@ -50,6 +60,29 @@ module.exports = function(RED) {
             };
         };
 
+        /**
+         * Get the inverter family. With family "auto" this is the family
+         * detected by the ProtocolHandler on first connect, or "auto"
+         * until then.
+         * @returns {string} Family code
+         */
+        this.getFamily = function() {
+            if (self.protocolHandler && self.protocolHandler.detectedFamily) {
+                return self.protocolHandler.detectedFamily;
+            }
+            return self.family;
+        };
+
+        /**
+         * Get the transport the inverter is reached over ("modbus", "udp"
+         * or "aa55"). With protocol "auto" this is null until the
+         * ProtocolHandler has found a transport that answers.
+         * @returns {string|null} Transport
+         */
+        this.getTransport = function() {
+            return (self.protocolHandler && self.protocolHandler.transport) || null;
+        };
+
         /**
          * Get or create the shared ProtocolHandler instance.
          * The handler is created lazily on first call.
@@ -64,12 +97,17 @@ module.exports = function(RED) {
                     family: self.family,
                     timeout: self.timeout || 1000,
                     retries: self.retries || 3,
-                    commAddr: self.commAddr
+                    commAddr: self.commAddr,
+                    keepAlive: self.keepAlive
                 });
 
                 // Forward events to registered user nodes
                 self.protocolHandler.on("status", (status) => {
                     self.users.forEach(node => node.emit("goodwe:status", status));
+                    const circuitStatus = getCircuitStatus(status);
+                    if (circuitStatus) {
+                        self.users.forEach(node => node.status(circuitStatus));
+                    }
                 });
                 self.protocolHandler.on("error", (err) => {
                     self.users.forEach(node => node.emit("goodwe:error", err));
@@ -78,6 +116,52 @@ module.exports = function(RED) {
             return self.protocolHandler;
         };
 
+        /**
+         * Read runtime data through the shared read cache: a result younger
+         * than the cache TTL is reused, and reads requested while one is in
+         * flight join it, so nodes polling at the same time cause one read.
+         * Reads of a sensor subset are cached per set of sensors.
+         * @param {Object} [options] - Read options
+         * @param {string[]} [options.sensors] - Sensor IDs to read (default: all sensors)
+         * @returns {Promise<{data: Object, cache: {hit: boolean, age: number}}>} Runtime data,
+         *   and whether it came from the cache or a joined read (`hit`) and its age in ms
+         */
+        this.readRuntimeData = async function(options = {}) {
+            const sensors = options.sensors && options.sensors.length > 0 ? options.sensors : null;
+            const key = sensors ? `runtime:${sensors.slice().sort().join(",")}` : "runtime";
+            const result = await self.readCache.get(key, () =>
+                self.getProtocolHandler().readRuntimeData(sensors ? { sensors } : undefined));
+            return {
+                // Each caller gets its own copy, so flows can't change the cached data
+                data: Object.assign({}, result.value),
+                cache: { hit: result.hit, age: result.age }
+            };
+        };
+
+        /**
+         * Follow the pinned inverter to a new IP. Called for every device a
+         * goodwe-discover node finds; devices with another serial number
+         * are ignored.
+         * @param {Object} device - Discovered device ({ host, serial, ... })
+         */
+        this.followDevice = function(device) {
+            if (!self.serial || device.serial !== self.serial || !device.host || device.host === self.host) {
+                return;
+            }
+
+            self.log(`Inverter ${self.serial} moved from ${self.host} to ${device.host}`);
+            self.host = device.host;
+            self.users.forEach(node => { node.host = device.host; });
+            self.readCache.clear();
+            if (self.protocolHandler) {
+                self.protocolHandler.setHost(device.host);
+            }
+        };
+
+        if (self.serial) {
+            discoveredDevices.on("device", self.followDevice);
+        }
+
         /**
          * Register a dependent node
          * @param {Object} node - Node-RED node instance
@@ -98,6 +182,9 @@ module.exports = function(RED) {
          * Cleanup on node close
          */
         this.on("close", async function(done) {
+            discoveredDevices.removeListener("device", self.followDevice);
+            self.readCache.clear();
+
             // Disconnect the protocol handler
             if (self.protocolHandler) {
                 await self.protocolHandler.disconnect();
@@ -110,4 +197,166 @@ module.exports = function(RED) {
 
     // Register the configuration node
     RED.nodes.registerType("goodwe-config", GoodWeConfigNode);
+
+    /**
+     * Editor endpoint: discover inverters for the config dialog to pick from
+     * Query: timeout - discovery timeout in ms (default: 3000, max: 10000)
+     */
+    RED.httpAdmin.get("/goodwe-config/discover", RED.auth.needsPermission("goodwe-config.read"), async function(req, res) {
+        const timeout = Math.min(parseInt(req.query.timeout) || DISCOVER_TIMEOUT, MAX_DISCOVER_TIMEOUT);
+
+        try {
+            const inverters = await protocol.discoverInverters({ timeout });
+            res.json({
+                devices: inverters.map(inv => ({
+                    host: inv.ip,
+                    port: inv.port || 8899,
+                    model: inv.modelName || "GoodWe Inverter",
+                    serial: inv.serialNumber || "UNKNOWN",
+                    family: inv.family || null,
+                    mac: inv.mac || null,
+                    protocol: inv.protocol || "udp"
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: err.message, code: err.code || null });
+        }
+    });
+
+    /**
+     * Editor endpoint: test a connection before deploying
+     * Body: { host, port, protocol, family, commAddr, timeout }
+     */
+    RED.httpAdmin.post("/goodwe-config/test", RED.auth.needsPermission("goodwe-config.write"), async function(req, res) {
+        const body = req.body || {};
+        if (!body.host) {
+            res.status(400).json({ success: false, error: "Host is required" });
+            return;
+        }
+
+        res.json(await testConnection(editorConnectionConfig(body)));
+    });
+
+    /**
+     * Editor endpoint: find the comm addresses the inverter answers on
+     * Body: { host, port, protocol, family, timeout }
+     */
+    RED.httpAdmin.post("/goodwe-config/comm-addr", RED.auth.needsPermission("goodwe-config.write"), async function(req, res) {
+        const body = req.body || {};
+        if (!body.host) {
+            res.status(400).json({ success: false, error: "Host is required" });
+            return;
+        }
+
+        res.json(await withOneShotHandler(editorConnectionConfig(body), async (handler) => {
+            const commAddrs = await handler.probeCommAddrs();
+            return { commAddrs: commAddrs.map(formatCommAddr) };
+        }));
+    });
 };
+
+/**
+ * Read the connection settings sent by the config dialog
+ * @param {Object} body - Request body
+ * @returns {Object} ProtocolHandler configuration
+ * @private
+ */
+function editorConnectionConfig(body) {
+    return {
+        host: body.host,
+        port: parseInt(body.port) || 8899,
+        protocol: body.protocol || "udp",
+        family: body.family || "ET",
+        commAddr: body.commAddr || "auto",
+        timeout: parseInt(body.timeout) || 1000
+    };
+}
+
+/**
+ * Format a comm address the way the config node stores it, e.g. "0xF7"
+ * @param {number} commAddr - Comm address
+ * @returns {string} Hex string
+ * @private
+ */
+function formatCommAddr(commAddr) {
+    return "0x" + commAddr.toString(16).toUpperCase().padStart(2, "0");
+}
+
+/**
+ * Get the node status shown on every user node for a circuit breaker
+ * status event of the ProtocolHandler
+ * @param {Object} status - Status event
+ * @returns {Object|null} Node status, or null for other events
+ * @private
+ */
+function getCircuitStatus(status) {
+    switch (status.state) {
+    case "circuit-open":
+        return { fill: "red", shape: "ring", text: `offline, retry in ${Math.ceil(status.cooldown / 1000)}s` };
+    case "circuit-half-open":
+        return { fill: "yellow", shape: "ring", text: "probing..." };
+    case "circuit-closed":
+        return { fill: "green", shape: "dot", text: "online" };
+    default:
+        return null;
+    }
+}
+
+/**
+ * Run `fn` with a one-shot ProtocolHandler for settings from the config
+ * dialog. The handler makes a single attempt per request and is always
+ * disconnected afterwards.
+ * @param {Object} config - Connection configuration from the editor
+ * @param {Function} fn - Async function receiving the handler and returning result fields
+ * @returns {Promise<Object>} `{ success: true, ...fields }` or `{ success: false, error, code, suggestions }`
+ * @private
+ */
+async function withOneShotHandler(config, fn) {
+    const handler = new ProtocolHandler({ ...config, retries: 1 });
+    // Errors are reported in the result
+    handler.on("error", () => {});
+
+    try {
+        return Object.assign({ success: true }, await fn(handler));
+    } catch (err) {
+        return {
+            success: false,
+            error: err.message,
+            code: err.code || null,
+            suggestions: err.suggestions || []
+        };
+    } finally {
+        await handler.disconnect();
+    }
+}
+
+/**
+ * Try a connection with a one-shot ProtocolHandler: read the device info
+ * (not every Modbus TCP dongle answers it, so this is best effort), then
+ * one runtime data read, which also resolves family "auto".
+ * @param {Object} config - Connection configuration from the editor
+ * @returns {Promise<Object>} `{ success: true, model, serial, family, transport, detectedFamily, sensors }`
+ *   or `{ success: false, error, code, suggestions }`
+ * @private
+ */
+function testConnection(config) {
+    return withOneShotHandler(config, async (handler) => {
+        let info = null;
+        try {
+            info = await handler.readDeviceInfo();
+        } catch (err) {
+            // Fall through to the runtime data read
+        }
+
+        const data = await handler.readRuntimeData();
+        return {
+            model: info ? info.model_name || null : null,
+            serial: info ? info.serial_number || null : null,
+            family: handler.detectedFamily || config.family,
+            transport: handler.transport,
+            // Family the device info points to, to catch a wrongly configured family
+            detectedFamily: info ? protocol.detectInverterFamily(info.serial_number, info.model_name) : null,
+            sensors: Object.keys(data).length
+        };
+    });
+}
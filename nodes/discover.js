@@ -2,13 +2,21 @@
  * Node-RED node for GoodWe inverter discovery
  * 
  * This node provides dedicated discovery functionality for finding
- * GoodWe inverters on the local network using UDP broadcast.
+ * GoodWe inverters on the local network using UDP broadcast (AA55 on
+ * port 8899 and the WIFIKIT dongle request on port 48899), or by scanning
+ * a CIDR range with unicast requests where broadcasts don't get through.
+ * In background mode it re-discovers on an interval and reports devices
+ * that were added, removed or moved to another IP.
  */
 
 const protocol = require("../lib/protocol.js");
+const { DeviceTracker, publishDevices } = require("../lib/device-tracker.js");
 
 // Constants
 const DEFAULT_PORT = 8899;
+const DEFAULT_SCAN_CONCURRENCY = 16;
+const DEFAULT_SCAN_TIMEOUT = 1000; // ms per host and request
+const BACKGROUND_START_DELAY = 100; // ms, lets the rest of the flow start first
 
 module.exports = function(RED) {
     "use strict";
@@ -24,39 +32,102 @@ module.exports = function(RED) {
         // Node properties
         node.timeout = parseInt(config.timeout) || 5000;
         node.broadcastAddress = config.broadcastAddress || "255.255.255.255";
+        node.mode = config.mode || "broadcast";
+        node.cidr = config.cidr || "";
+        node.concurrency = parseInt(config.concurrency) || DEFAULT_SCAN_CONCURRENCY;
+        node.scanTimeout = parseInt(config.scanTimeout) || DEFAULT_SCAN_TIMEOUT;
+        node.interval = parseInt(config.interval) || 0;
         
         // Track pending timers for cleanup
         node.statusResetTimers = [];
 
-        // Initialize status
-        node.status({ fill: "grey", shape: "ring", text: "ready" });
+        // Background mode state
+        node.tracker = null;
+        node.backgroundTimer = null;
+        node.backgroundStartTimer = null;
+        node.backgroundRunning = false;
 
         /**
-         * Perform discovery operation
-         * @param {Object} msg - Input message
-         * @param {Function} send - Send function
-         * @param {Function} done - Done function
+         * Get the idle status text
+         * @returns {string} "ready", or the number of devices watched in background mode
          */
-        async function performDiscovery(msg, send, done) {
-            try {
+        function idleStatusText() {
+            return node.tracker ? `watching ${node.tracker.getDevices().length}` : "ready";
+        }
+
+        /**
+         * Reset the status to idle after 2 seconds
+         */
+        function scheduleStatusReset() {
+            const timer = setTimeout(() => {
+                node.status({ fill: "grey", shape: "ring", text: idleStatusText() });
+            }, 2000);
+            timer.unref(); // Allow process to exit
+            node.statusResetTimers.push(timer);
+        }
+
+        /**
+         * Run a broadcast discovery or subnet scan and format the result.
+         * Every run is published so that config nodes pinned to a serial
+         * number can follow their inverter.
+         * @param {string} cidr - Range to scan, used in scan mode or when it differs from the configured one
+         * @returns {Promise<Array>} Devices in the output format
+         */
+        async function findDevices(cidr) {
+            let inverters;
+            const scan = node.mode === "scan" || cidr !== node.cidr;
+            if (scan) {
+                node.status({ fill: "blue", shape: "dot", text: "scanning..." });
+
+                inverters = await protocol.scanInverters({
+                    cidr: cidr,
+                    timeout: node.scanTimeout,
+                    concurrency: node.concurrency,
+                    onProgress: (scanned, total) => {
+                        node.status({ fill: "blue", shape: "dot", text: `scanning ${scanned}/${total}` });
+                    }
+                });
+            } else {
                 // Update status to discovering
                 node.status({ fill: "blue", shape: "dot", text: "discovering..." });
 
                 // Perform discovery
-                const inverters = await protocol.discoverInverters({
+                inverters = await protocol.discoverInverters({
                     timeout: node.timeout,
                     broadcastAddress: node.broadcastAddress
                 });
+            }
+
+            // Format discovered inverters according to specification
+            const devices = inverters.map(inv => ({
+                host: inv.ip,
+                port: inv.port || DEFAULT_PORT,
+                model: inv.modelName || "GoodWe Inverter",
+                serial: inv.serialNumber || "UNKNOWN",
+                // Scanned hosts leave an undetected family null rather than guessing a register map
+                family: inv.family || (scan ? null : "ET"),
+                mac: inv.mac || null,
+                protocol: inv.protocol || "udp"
+            }));
+
+            publishDevices(devices);
+            return devices;
+        }
+
+        /**
+         * Perform discovery operation
+         * @param {Object} msg - Input message
+         * @param {Function} send - Send function
+         * @param {Function} done - Done function
+         */
+        async function performDiscovery(msg, send, done) {
+            try {
+                // A CIDR range in the message starts a scan, whatever the mode
+                const cidr = msg.payload && typeof msg.payload === "object" && msg.payload.cidr
+                    ? msg.payload.cidr
+                    : node.cidr;
 
-                // Format discovered inverters according to specification
-                const devices = inverters.map(inv => ({
-                    host: inv.ip,
-                    port: inv.port || DEFAULT_PORT,
-                    model: inv.modelName || "GoodWe Inverter",
-                    serial: inv.serialNumber || "UNKNOWN",
-                    family: inv.family || "ET",
-                    protocol: "udp"
-                }));
+                const devices = await findDevices(cidr);
 
                 // Preserve original message properties (except payload)
                 const outputMsg = Object.assign({}, msg);
@@ -76,11 +147,7 @@ module.exports = function(RED) {
                 node.status({ fill: "green", shape: "dot", text: statusText });
 
                 // Reset status after 2 seconds
-                const timer = setTimeout(() => {
-                    node.status({ fill: "grey", shape: "ring", text: "ready" });
-                }, 2000);
-                timer.unref(); // Allow process to exit
-                node.statusResetTimers.push(timer);
+                scheduleStatusReset();
 
                 send(outputMsg);
                 if (done) done();
@@ -88,11 +155,7 @@ module.exports = function(RED) {
                 node.status({ fill: "red", shape: "ring", text: "discovery failed" });
                 
                 // Reset status after 2 seconds
-                const timer = setTimeout(() => {
-                    node.status({ fill: "grey", shape: "ring", text: "ready" });
-                }, 2000);
-                timer.unref(); // Allow process to exit
-                node.statusResetTimers.push(timer);
+                scheduleStatusReset();
 
                 if (done) {
                     done(err);
@@ -102,6 +165,54 @@ module.exports = function(RED) {
             }
         }
 
+        /**
+         * Re-discover in the background and send one message per
+         * added, removed or moved device. Runs never overlap.
+         */
+        async function performBackgroundDiscovery() {
+            if (node.backgroundRunning) {
+                return;
+            }
+            node.backgroundRunning = true;
+
+            try {
+                const devices = await findDevices(node.cidr);
+                if (!node.backgroundTimer) {
+                    return; // Node closed while discovering
+                }
+                const events = node.tracker.update(devices);
+
+                events.forEach(({ event, device, previousHost }) => {
+                    const payload = { event: event, device: device };
+                    if (event === "ip_changed") {
+                        payload.previous_host = previousHost;
+                    }
+                    node.send({
+                        payload: payload,
+                        topic: `goodwe/discover/${event}`,
+                        _timestamp: new Date().toISOString()
+                    });
+                });
+
+                node.status({ fill: "green", shape: "ring", text: idleStatusText() });
+            } catch (err) {
+                node.status({ fill: "red", shape: "ring", text: "discovery failed" });
+                node.error(err);
+            } finally {
+                node.backgroundRunning = false;
+            }
+        }
+
+        // Start background mode
+        if (node.interval > 0) {
+            node.tracker = new DeviceTracker();
+            node.backgroundTimer = setInterval(performBackgroundDiscovery, node.interval * 1000);
+            node.backgroundStartTimer = setTimeout(performBackgroundDiscovery, BACKGROUND_START_DELAY);
+        } else {
+            // Initialize status
+            node.status({ fill: "grey", shape: "ring", text: "ready" });
+        }
+
         /**
          * Handle incoming messages
          */
@@ -117,6 +228,13 @@ module.exports = function(RED) {
          * Cleanup on node close
          */
         node.on("close", function(done) {
+            // Stop background mode
+            if (node.backgroundTimer) {
+                clearTimeout(node.backgroundStartTimer);
+                clearInterval(node.backgroundTimer);
+                node.backgroundTimer = null;
+            }
+
             // Clear any pending status reset timers
             node.statusResetTimers.forEach(timer => clearTimeout(timer));
             node.statusResetTimers = [];
@@ -7,126 +7,48 @@
  * Based on the marcelblijleven/goodwe Python library
  */
 
-const { ProtocolHandler, discoverInverters } = require("../lib/protocol.js");
-const mockInverterData = require("../test/fixtures/mock-inverter-data.js");
+const { discoverInverters } = require("../lib/protocol.js");
+const { getSettingMetadata } = require("../lib/node-helpers.js");
+
+// Configuration commands that write to the inverter; like goodwe-write with
+// "Confirm" enabled, they are only sent with msg.payload.confirm = true
+const WRITE_COMMANDS = ["write_setting", "set_grid_export_limit", "set_operation_mode", "set_battery_dod"];
 
 module.exports = function(RED) {
     "use strict";
 
     /**
-     * Mock runtime data generator for testing and development
-     * TODO: Replace with actual inverter communication
+     * Convert a work mode label to the legacy operation mode name
+     * (e.g. "Off-grid" -> "OFF_GRID")
+     * @param {string} label - Work mode label from the settings table
+     * @returns {string} Operation mode name
      */
-    function generateMockRuntimeData(family) {
-        const baseData = {
-            // PV Input (Solar Panels)
-            vpv1: 245.5 + Math.random() * 50,    // PV1 voltage (V)
-            vpv2: 242.3 + Math.random() * 50,    // PV2 voltage (V)
-            ipv1: 8.2 + Math.random() * 2,       // PV1 current (A)
-            ipv2: 7.9 + Math.random() * 2,       // PV2 current (A)
-            ppv1: 2013.1 + Math.random() * 500,  // PV1 power (W)
-            ppv2: 1914.2 + Math.random() * 500,  // PV2 power (W)
-            
-            // AC Output (Grid) - single phase default
-            vac1: 230.1 + Math.random() * 5,     // AC voltage phase 1 (V)
-            iac1: 6.2 + Math.random() * 2,       // AC current phase 1 (A)
-            fac1: 50.0 + Math.random() * 0.1,    // AC frequency phase 1 (Hz)
-            pac: 2875 + Math.random() * 500,     // Active power output (W)
-            
-            // System Status
-            temperature: 42.5 + Math.random() * 5,  // Inverter temperature (°C)
-            work_mode: 1,                           // Work mode (1=normal)
-            
-            // Energy Statistics
-            e_day: 12.5 + Math.random() * 5,     // Today's energy production (kWh)
-            e_total: 1234.5 + Math.random() * 100, // Total lifetime energy (kWh)
-            h_total: 2468 + Math.random() * 100  // Total working hours (h)
-        };
-
-        // Add three-phase data for DT family
-        if (family === "DT" || family === "MS" || family === "D-NS") {
-            baseData.vac2 = 229.8 + Math.random() * 5;  // AC voltage phase 2 (V)
-            baseData.vac3 = 230.5 + Math.random() * 5;  // AC voltage phase 3 (V)
-            baseData.iac2 = 6.1 + Math.random() * 2;    // AC current phase 2 (A)
-            baseData.iac3 = 6.3 + Math.random() * 2;    // AC current phase 3 (A)
-        }
-
-        // Add battery data for hybrid models (ET, ES, EM, BP)
-        if (["ET", "EH", "BT", "BH", "ES", "EM", "BP"].includes(family)) {
-            baseData.vbattery1 = 51.2 + Math.random() * 2;    // Battery voltage (V)
-            baseData.ibattery1 = -5.0 + Math.random() * 10;   // Battery current (A)
-            baseData.pbattery = -256 + Math.random() * 500;   // Battery power (W)
-            baseData.battery_soc = Math.floor(85 + Math.random() * 10); // Battery SOC (%)
-            baseData.battery_mode = Math.floor(Math.random() * 3);      // Battery mode
-        }
-
-        return baseData;
+    function toOperationMode(label) {
+        return String(label).toUpperCase().replace(/[\s-]+/g, "_");
     }
 
     /**
-     * Mock configuration state (in-memory)
-     * TODO: Replace with actual inverter communication
+     * Translate a work mode code into the legacy operation mode name
+     * @param {Object} values - Work mode value labels keyed by code
+     * @param {number} code - Work mode code
+     * @returns {string|number|null} Operation mode name, or the raw code if unknown
      */
-    const mockConfigState = structuredClone(mockInverterData.configuration.currentState);
+    function workModeToOperationMode(values, code) {
+        if (code === null || code === undefined) {
+            return null;
+        }
+        return values[code] !== undefined ? toOperationMode(values[code]) : code;
+    }
 
     /**
-     * Validate setting value
-     * @param {string} settingId - Setting identifier
-     * @param {any} value - Value to validate
-     * @returns {Object} Validation result { valid: boolean, error?: string }
+     * Translate a legacy operation mode name into a work mode code
+     * @param {Object} values - Work mode value labels keyed by code
+     * @param {string|number} mode - Operation mode name or code
+     * @returns {string|number} Work mode code, or the input unchanged if unknown
      */
-    function validateSetting(settingId, value) {
-        const settingDef = mockInverterData.configuration.settings[settingId];
-        
-        if (!settingDef) {
-            return { 
-                valid: false, 
-                error: `Unknown setting: ${settingId}` 
-            };
-        }
-
-        if (!settingDef.writable) {
-            return { 
-                valid: false, 
-                error: `Setting ${settingId} is read-only` 
-            };
-        }
-
-        // Validate based on setting type
-        if (settingDef.values) {
-            // Enum type - check against allowed values
-            if (!settingDef.values.includes(value)) {
-                return { 
-                    valid: false, 
-                    error: `Invalid ${settingDef.name}: ${value}. Must be one of: ${settingDef.values.join(", ")}` 
-                };
-            }
-        } else if (typeof settingDef.min === "number" && typeof settingDef.max === "number") {
-            // Numeric type - check range and type
-            const numValue = Number(value);
-            if (isNaN(numValue)) {
-                return { 
-                    valid: false, 
-                    error: `Invalid ${settingDef.name}: ${value}. Must be a number` 
-                };
-            }
-            if (numValue < settingDef.min || numValue > settingDef.max) {
-                return { 
-                    valid: false, 
-                    error: `${settingDef.name} out of range: ${value}. Valid range: ${settingDef.min}-${settingDef.max}${settingDef.unit}` 
-                };
-            }
-        } else {
-            // For other types (boolean, string without enum), just check it's not null/undefined
-            if (value === null || value === undefined) {
-                return {
-                    valid: false,
-                    error: `${settingDef.name} cannot be null or undefined`
-                };
-            }
-        }
-
-        return { valid: true };
+    function operationModeToWorkMode(values, mode) {
+        const code = Object.keys(values).find(c => toOperationMode(values[c]) === toOperationMode(mode));
+        return code !== undefined ? Number(code) : mode;
     }
 
     /**
@@ -155,12 +77,20 @@ module.exports = function(RED) {
         node.retries = cfg.retries;
         node.configNode = configSource;
 
-        // Initialize protocol handler
-        node.protocolHandler = null;
-        
+        // Register with config node for event forwarding
+        node.configNode.registerUser(node);
+
         // Initialize status
         node.status({ fill: "grey", shape: "ring", text: "disconnected" });
 
+        node.on("goodwe:status", function(status) {
+            updateNodeStatus(node, status);
+        });
+
+        node.on("goodwe:error", function(err) {
+            node.warn(`Protocol error: ${err.message}`);
+        });
+
         /**
          * Handle incoming messages
          */
@@ -169,15 +99,15 @@ module.exports = function(RED) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if (err) node.error(err, msg); };
 
-            try {
-                // Parse command from payload
-                let command = "read"; // Default command
-                if (typeof msg.payload === "string" && msg.payload !== "") {
-                    command = msg.payload;
-                } else if (typeof msg.payload === "object" && msg.payload.command) {
-                    command = msg.payload.command;
-                }
+            // Parse command from payload
+            let command = "read"; // Default command
+            if (typeof msg.payload === "string" && msg.payload !== "") {
+                command = msg.payload;
+            } else if (msg.payload && typeof msg.payload === "object" && msg.payload.command) {
+                command = msg.payload.command;
+            }
 
+            try {
                 // Handle discovery command
                 if (command === "discover") {
                     await handleDiscovery(node, msg, send, done);
@@ -199,40 +129,23 @@ module.exports = function(RED) {
                     throw new Error("Invalid host address");
                 }
 
-                // Initialize protocol handler if not exists
-                if (!node.protocolHandler) {
-                    node.protocolHandler = new ProtocolHandler({
-                        host: node.host,
-                        port: node.port,
-                        protocol: node.protocol,
-                        timeout: node.timeout || 1000,
-                        retries: node.retries || 3
-                    });
-
-                    // Setup status event handlers
-                    node.protocolHandler.on("status", (status) => {
-                        updateNodeStatus(node, status);
-                    });
-
-                    node.protocolHandler.on("error", (err) => {
-                        node.warn(`Protocol error: ${err.message}`);
-                    });
-                }
-
-                // Update status
-                node.status({ fill: "yellow", shape: "ring", text: "connecting..." });
-
-                // Connect to inverter
-                await node.protocolHandler.connect();
+                // Get shared protocol handler from config node
+                const protocolHandler = node.configNode.getProtocolHandler();
 
-                // Execute command
-                const runtimeData = generateMockRuntimeData(node.family);
+                // Execute command ("info" reads device info, anything else runtime data)
+                let data;
+                if (command === "info") {
+                    data = await protocolHandler.readDeviceInfo();
+                    data.family = node.configNode.getFamily();
+                } else {
+                    data = await protocolHandler.readRuntimeData();
+                }
                 
                 const response = {
                     success: true,
                     command: command,
                     timestamp: new Date().toISOString(),
-                    data: runtimeData
+                    data: data
                 };
 
                 // Preserve original message properties (except payload)
@@ -256,7 +169,7 @@ module.exports = function(RED) {
                 // Error response
                 const errorResponse = {
                     success: false,
-                    command: msg.payload?.command || "read",
+                    command: command,
                     timestamp: new Date().toISOString(),
                     error: {
                         code: err.code || "RUNTIME_ERROR",
@@ -269,7 +182,7 @@ module.exports = function(RED) {
                 outputMsg.payload = errorResponse;
                 
                 if (!outputMsg.topic) {
-                    outputMsg.topic = `goodwe/${msg.payload?.command || "read"}`;
+                    outputMsg.topic = `goodwe/${command}`;
                 }
 
                 node.status({ fill: "red", shape: "ring", text: "error" });
@@ -281,11 +194,10 @@ module.exports = function(RED) {
         /**
          * Cleanup on node close
          */
-        node.on("close", async function(done) {
-            // Close protocol handler connection
-            if (node.protocolHandler) {
-                await node.protocolHandler.disconnect();
-                node.protocolHandler = null;
+        node.on("close", function(done) {
+            // Deregister from config node (the config node owns the connection)
+            if (node.configNode) {
+                node.configNode.deregisterUser(node);
             }
             node.status({});
             done();
@@ -306,6 +218,9 @@ module.exports = function(RED) {
 
             node.status({ fill: "blue", shape: "dot", text: "reading config..." });
 
+            // Get shared protocol handler from config node
+            const protocolHandler = node.configNode.getProtocolHandler();
+
             let response = {
                 success: true,
                 command: command,
@@ -313,11 +228,17 @@ module.exports = function(RED) {
                 data: {}
             };
 
+            if (WRITE_COMMANDS.includes(command) && payload.confirm !== true) {
+                const error = new Error(`Command ${command} writes to the inverter and requires msg.payload.confirm = true`);
+                error.code = "CONFIRMATION_REQUIRED";
+                throw error;
+            }
+
             // Handle different configuration commands
             switch (command) {
             case "read_settings":
                 // Read all settings
-                response.data = structuredClone(mockConfigState);
+                response.data = await protocolHandler.readSettings();
                 break;
 
             case "read_setting": {
@@ -329,17 +250,14 @@ module.exports = function(RED) {
                     throw error;
                 }
 
-                if (!mockInverterData.configuration.settings[settingId]) {
-                    const error = new Error(`Unknown setting: ${settingId}`);
-                    error.code = "INVALID_SETTING";
-                    throw error;
-                }
+                const value = await protocolHandler.readSetting(settingId);
+                const metadata = getSettingMetadata(node.configNode.getFamily())[settingId] || {};
 
                 response.data = {
                     setting_id: settingId,
-                    value: mockConfigState[settingId],
-                    unit: mockInverterData.configuration.settings[settingId].unit,
-                    name: mockInverterData.configuration.settings[settingId].name
+                    value: value,
+                    unit: metadata.unit,
+                    name: metadata.name
                 };
                 break;
             }
@@ -361,33 +279,16 @@ module.exports = function(RED) {
                     throw error;
                 }
 
-                // Validate the setting
-                const validation = validateSetting(settingId, value);
-                if (!validation.valid) {
-                    const error = new Error(validation.error);
-                    error.code = "VALIDATION_ERROR";
-                    throw error;
-                }
-
-                // Store previous value for rollback
-                const previousValue = mockConfigState[settingId];
-
-                // Update the setting (mock)
-                mockConfigState[settingId] = value;
-
                 node.status({ fill: "blue", shape: "dot", text: "writing config..." });
 
-                response.data = {
-                    setting_id: settingId,
-                    value: value,
-                    previous_value: previousValue
-                };
+                // Validates, writes and reads back the setting
+                response.data = await protocolHandler.writeSetting(settingId, value);
                 break;
             }
 
             case "get_grid_export_limit":
                 response.data = {
-                    limit: mockConfigState.grid_export_limit
+                    limit: await protocolHandler.readSetting("grid_export_limit")
                 };
                 break;
 
@@ -400,38 +301,27 @@ module.exports = function(RED) {
                     throw error;
                 }
 
-                // Validate grid export limit
-                const validation = validateSetting("grid_export_limit", limit);
-                if (!validation.valid) {
-                    const error = new Error(validation.error);
-                    error.code = "VALIDATION_ERROR";
-                    throw error;
-                }
-
-                const previousLimit = mockConfigState.grid_export_limit;
-                mockConfigState.grid_export_limit = limit;
-
                 node.status({ fill: "blue", shape: "dot", text: "setting export limit..." });
 
+                const result = await protocolHandler.writeSetting("grid_export_limit", limit);
                 response.data = {
-                    limit: limit,
-                    previous_limit: previousLimit
+                    limit: result.value,
+                    previous_limit: result.previous_value
                 };
                 break;
             }
 
-            case "get_operation_mode":
+            case "get_operation_mode": {
+                const values = getSettingMetadata(node.configNode.getFamily()).work_mode?.values || {};
+                const workMode = await protocolHandler.readSetting("work_mode");
                 response.data = {
-                    mode: mockConfigState.operation_mode,
-                    eco_mode_power: mockConfigState.eco_mode_power,
-                    eco_mode_soc: mockConfigState.eco_mode_soc
+                    mode: workModeToOperationMode(values, workMode)
                 };
                 break;
+            }
 
             case "set_operation_mode": {
                 const mode = payload.mode;
-                const ecoModePower = payload.eco_mode_power || 100;
-                const ecoModeSoc = payload.eco_mode_soc || 100;
 
                 if (!mode) {
                     const error = new Error("Missing required parameter: mode");
@@ -439,41 +329,24 @@ module.exports = function(RED) {
                     throw error;
                 }
 
-                // Validate operation mode
-                const validation = validateSetting("operation_mode", mode);
-                if (!validation.valid) {
-                    const error = new Error(validation.error);
-                    error.code = "VALIDATION_ERROR";
-                    throw error;
-                }
-
-                const previousMode = mockConfigState.operation_mode;
-                mockConfigState.operation_mode = mode;
-                
-                // Only set eco mode parameters if the mode is ECO
-                if (mode === "ECO") {
-                    mockConfigState.eco_mode_power = ecoModePower;
-                    mockConfigState.eco_mode_soc = ecoModeSoc;
+                if (payload.eco_mode_power !== undefined || payload.eco_mode_soc !== undefined) {
+                    node.warn("eco_mode_power and eco_mode_soc are not supported and were ignored");
                 }
 
                 node.status({ fill: "blue", shape: "dot", text: "setting operation mode..." });
 
+                const values = getSettingMetadata(node.configNode.getFamily()).work_mode?.values || {};
+                const result = await protocolHandler.writeSetting("work_mode", operationModeToWorkMode(values, mode));
                 response.data = {
-                    mode: mode,
-                    previous_mode: previousMode
+                    mode: workModeToOperationMode(values, result.value),
+                    previous_mode: workModeToOperationMode(values, result.previous_value)
                 };
-                
-                // Include eco mode parameters in response if mode is ECO
-                if (mode === "ECO") {
-                    response.data.eco_mode_power = ecoModePower;
-                    response.data.eco_mode_soc = ecoModeSoc;
-                }
                 break;
             }
 
             case "get_battery_dod":
                 response.data = {
-                    dod: mockConfigState.battery_dod
+                    dod: await protocolHandler.readSetting("battery_discharge_depth")
                 };
                 break;
 
@@ -486,22 +359,12 @@ module.exports = function(RED) {
                     throw error;
                 }
 
-                // Validate battery DoD
-                const validation = validateSetting("battery_dod", dod);
-                if (!validation.valid) {
-                    const error = new Error(validation.error);
-                    error.code = "VALIDATION_ERROR";
-                    throw error;
-                }
-
-                const previousDod = mockConfigState.battery_dod;
-                mockConfigState.battery_dod = dod;
-
                 node.status({ fill: "blue", shape: "dot", text: "setting battery DoD..." });
 
+                const result = await protocolHandler.writeSetting("battery_discharge_depth", dod);
                 response.data = {
-                    dod: dod,
-                    previous_dod: previousDod
+                    dod: result.value,
+                    previous_dod: result.previous_value
                 };
                 break;
             }
@@ -620,6 +483,12 @@ module.exports = function(RED) {
         case "disconnected":
             node.status({ fill: "grey", shape: "ring", text: "disconnected" });
             break;
+        case "reconnecting":
+            node.status({ fill: "yellow", shape: "ring", text: `reconnecting (${status.attempt})...` });
+            break;
+        case "reconnected":
+            node.status({ fill: "green", shape: "dot", text: "reconnected" });
+            break;
         case "reading":
             node.status({ fill: "blue", shape: "dot", text: "reading..." });
             break;
@@ -62,6 +62,9 @@ module.exports = function(RED) {
                 // Read device info from inverter
                 const deviceInfo = await protocolHandler.readDeviceInfo();
 
+                // With family "auto" the family is known once the inverter has answered
+                node.family = node.configNode.getFamily();
+
                 // Add family from config (not always in the response)
                 deviceInfo.family = node.family;
 
@@ -72,7 +75,8 @@ module.exports = function(RED) {
                 outputMsg._timestamp = new Date().toISOString();
                 outputMsg._inverter = {
                     family: node.family,
-                    host: node.host
+                    host: node.host,
+                    transport: node.configNode.getTransport()
                 };
 
                 // Success status
@@ -0,0 +1,191 @@
+/**
+ * Node-RED node for GoodWe raw register reads
+ *
+ * This node reads any holding register range, e.g. to investigate
+ * registers that are not in the sensor tables yet, and optionally
+ * decodes it with an inline decoding spec.
+ */
+
+const { decodeRegisters } = require("../lib/sensors.js");
+
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * Convert a register start or count from the node settings or the
+     * message to an integer. Numeric strings are accepted, anything that
+     * is not a whole number is rejected.
+     * @param {string} name - "start" or "count", for the error message
+     * @param {number|string} value - Value to convert
+     * @returns {number} The integer
+     */
+    function toRegisterInteger(name, value) {
+        const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+        if (!Number.isInteger(number)) {
+            const error = new Error(`Invalid register ${name}: ${value}`);
+            error.code = "INVALID_REGISTER_RANGE";
+            throw error;
+        }
+        return number;
+    }
+
+    /**
+     * GoodWe Raw Register Node
+     * @param {Object} config - Node configuration
+     */
+    function GoodWeRawNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get configuration from config node (required)
+        const configSource = RED.nodes.getNode(config.config);
+        if (!configSource) {
+            node.error("Configuration node not found");
+            node.status({ fill: "red", shape: "ring", text: "config error" });
+            return;
+        }
+
+        // Get config from configuration node
+        const cfg = configSource.getConfig();
+        node.host = cfg.host;
+        node.family = cfg.family;
+        node.configNode = configSource;
+
+        // Register with config node for event forwarding
+        node.configNode.registerUser(node);
+
+        // Node properties
+        node.start = null;
+        node.count = 1;
+        node.rangeError = null;
+        try {
+            if (config.start !== undefined && config.start !== "") {
+                node.start = toRegisterInteger("start", config.start);
+            }
+            if (config.count !== undefined && config.count !== "") {
+                node.count = toRegisterInteger("count", config.count);
+            }
+        } catch (err) {
+            node.rangeError = err;
+        }
+        node.decode = null;
+        node.decodeError = null;
+        if (config.decode && config.decode.trim() !== "") {
+            try {
+                node.decode = JSON.parse(config.decode);
+            } catch (err) {
+                node.decodeError = new Error(`Invalid decoding spec: ${err.message}`);
+                node.decodeError.code = "INVALID_DECODE_SPEC";
+            }
+        }
+
+        // Initialize status
+        if (node.rangeError) {
+            node.status({ fill: "red", shape: "ring", text: "invalid register range" });
+        } else if (node.decodeError) {
+            node.status({ fill: "red", shape: "ring", text: "invalid decoding spec" });
+        } else {
+            node.status({ fill: "grey", shape: "ring", text: "ready" });
+        }
+
+        node.on("goodwe:error", function(err) {
+            node.warn(`Protocol error: ${err.message}`);
+        });
+
+        /**
+         * Perform raw register read
+         * @param {Object} msg - Input message
+         * @param {Function} send - Send function
+         * @param {Function} done - Done function
+         */
+        async function performRawRead(msg, send, done) {
+            try {
+                // Validate host configuration
+                if (!node.host || node.host === "") {
+                    throw new Error("Invalid host address");
+                }
+
+                // Register range and decoding spec from the message override the node settings
+                const request = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
+                if ((request.start === undefined || request.count === undefined) && node.rangeError) {
+                    throw node.rangeError;
+                }
+                const start = request.start !== undefined ? toRegisterInteger("start", request.start) : node.start;
+                const count = request.count !== undefined ? toRegisterInteger("count", request.count) : node.count;
+                if (request.decode === undefined && node.decodeError) {
+                    throw node.decodeError;
+                }
+                const decode = request.decode !== undefined ? request.decode : node.decode;
+
+                // Get shared protocol handler from config node
+                const protocolHandler = node.configNode.getProtocolHandler();
+
+                // Update status
+                node.status({ fill: "blue", shape: "dot", text: "reading registers..." });
+
+                const result = await protocolHandler.readRegisters(start, count);
+                if (decode) {
+                    result.values = decodeRegisters(decode, result.buffer, result.start);
+                }
+
+                // With family "auto" the family is known once the inverter has answered
+                node.family = node.configNode.getFamily();
+
+                // Preserve original message properties (except payload)
+                const outputMsg = Object.assign({}, msg);
+                outputMsg.payload = result;
+                outputMsg.topic = "goodwe/raw";
+                outputMsg._timestamp = new Date().toISOString();
+                outputMsg._inverter = {
+                    family: node.family,
+                    host: node.host,
+                    transport: node.configNode.getTransport()
+                };
+
+                // Success status
+                node.status({ fill: "green", shape: "dot", text: "ok" });
+                setTimeout(() => {
+                    node.status({ fill: "grey", shape: "ring", text: "ready" });
+                }, 2000);
+
+                send(outputMsg);
+                if (done) done();
+            } catch (err) {
+                node.status({ fill: "red", shape: "ring", text: "error" });
+
+                if (done) {
+                    done(err);
+                } else {
+                    node.error(err, msg);
+                }
+            }
+        }
+
+        /**
+         * Handle incoming messages
+         */
+        node.on("input", function(msg, send, done) {
+            // Fallback for Node-RED pre-1.0
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if (err) node.error(err, msg); };
+
+            performRawRead(msg, send, done);
+        });
+
+        /**
+         * Cleanup on node close
+         */
+        node.on("close", function(done) {
+            // Deregister from config node
+            if (node.configNode) {
+                node.configNode.deregisterUser(node);
+            }
+
+            node.status({});
+            done();
+        });
+    }
+
+    // Register the node
+    RED.nodes.registerType("goodwe-raw", GoodWeRawNode);
+};
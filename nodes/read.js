@@ -7,6 +7,11 @@
 
 const { getSensorMetadata } = require("../lib/node-helpers.js");
 
+/**
+ * Suffixes of values derived from another sensor (enum label, bitmap messages)
+ */
+const COMPANION_SUFFIXES = ["_label", "_messages"];
+
 module.exports = function(RED) {
     "use strict";
 
@@ -26,6 +31,12 @@ module.exports = function(RED) {
                 if (data[sensorId] !== undefined) {
                     filteredData[sensorId] = data[sensorId];
                 }
+                // Keep the label/messages of a requested enum or bitmap sensor
+                COMPANION_SUFFIXES.forEach(suffix => {
+                    if (data[sensorId + suffix] !== undefined) {
+                        filteredData[sensorId + suffix] = data[sensorId + suffix];
+                    }
+                });
             });
         }
 
@@ -81,7 +92,9 @@ module.exports = function(RED) {
     }
 
     /**
-     * Format data into array with metadata
+     * Format data into array with metadata. The `<id>_label` value of an
+     * enum sensor becomes the `label` of that sensor's entry, the
+     * `<id>_messages` of a bitmap sensor its `messages`.
      * @param {Object} data - Runtime data
      * @returns {Array} Array of sensor objects with metadata
      */
@@ -89,6 +102,12 @@ module.exports = function(RED) {
         const array = [];
 
         Object.keys(data).forEach(key => {
+            const isCompanion = COMPANION_SUFFIXES.some(suffix =>
+                key.endsWith(suffix) && data[key.slice(0, -suffix.length)] !== undefined);
+            if (isCompanion) {
+                return;
+            }
+
             const metadata = sensorMetadata[key];
             const item = {
                 id: key,
@@ -99,6 +118,12 @@ module.exports = function(RED) {
                 item.name = metadata.name;
                 item.unit = metadata.unit;
                 item.kind = metadata.kind;
+                if (metadata.values) {
+                    item.label = data[`${key}_label`] !== undefined ? data[`${key}_label`] : null;
+                }
+                if (metadata.bits) {
+                    item.messages = data[`${key}_messages`] || [];
+                }
             } else {
                 // Default metadata if not defined
                 item.name = key;
@@ -176,15 +201,6 @@ module.exports = function(RED) {
                     throw new Error("Invalid host address");
                 }
 
-                // Get shared protocol handler from config node
-                const protocolHandler = node.configNode.getProtocolHandler();
-
-                // Update status
-                node.status({ fill: "blue", shape: "dot", text: "reading..." });
-
-                // Read runtime data from inverter
-                const runtimeData = await protocolHandler.readRuntimeData();
-
                 // Parse sensor filter from input message
                 let sensorFilter = null;
                 if (msg.payload && typeof msg.payload === "object") {
@@ -197,6 +213,18 @@ module.exports = function(RED) {
                     }
                 }
 
+                // Update status
+                node.status({ fill: "blue", shape: "dot", text: "reading..." });
+
+                // Read runtime data through the config node's shared read cache;
+                // with a sensor filter only the registers of those sensors are read
+                const { data: runtimeData, cache } = await node.configNode.readRuntimeData(
+                    sensorFilter ? { sensors: sensorFilter } : undefined
+                );
+
+                // With family "auto" the family is known once the inverter has answered
+                node.family = node.configNode.getFamily();
+
                 // Format the data based on output format
                 const formattedData = formatRuntimeData(runtimeData, node.outputFormat, sensorFilter, node.family);
 
@@ -213,8 +241,10 @@ module.exports = function(RED) {
                 outputMsg._timestamp = new Date().toISOString();
                 outputMsg._inverter = {
                     family: node.family,
-                    host: node.host
+                    host: node.host,
+                    transport: node.configNode.getTransport()
                 };
+                outputMsg._cache = cache;
 
                 // Success status
                 if (!node.pollingInterval) {
@@ -307,8 +337,8 @@ module.exports = function(RED) {
      * @param {Object} status - Status object from protocol handler
      */
     function updateNodeStatus(node, status) {
-        // Don't update status if polling is active
-        if (node.pollingInterval) {
+        // Don't update status if polling is active, except to show a dropped connection
+        if (node.pollingInterval && status.state !== "reconnecting" && status.state !== "reconnected") {
             return;
         }
 
@@ -322,6 +352,12 @@ module.exports = function(RED) {
         case "disconnected":
             node.status({ fill: "grey", shape: "ring", text: "ready" });
             break;
+        case "reconnecting":
+            node.status({ fill: "yellow", shape: "ring", text: `reconnecting (${status.attempt})...` });
+            break;
+        case "reconnected":
+            node.status({ fill: "green", shape: "dot", text: "reconnected" });
+            break;
         case "reading":
             node.status({ fill: "blue", shape: "dot", text: "reading..." });
             break;
@@ -0,0 +1,179 @@
+/**
+ * Node-RED node for GoodWe inverter settings read operations
+ *
+ * This node reads all or selected inverter settings (work mode, export
+ * limit, battery parameters, ...) without changing them.
+ */
+
+const { getSettingMetadata } = require("../lib/node-helpers.js");
+
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * Format settings based on output format setting
+     * @param {Object} data - Setting values keyed by setting ID
+     * @param {string} format - Output format (flat/array)
+     * @param {string} family - Inverter family
+     * @returns {Object|Array} Formatted data
+     */
+    function formatSettings(data, format, family) {
+        if (format !== "array") {
+            return data;
+        }
+
+        const settingMetadata = getSettingMetadata(family || "ET");
+        return Object.keys(data).map(key => {
+            const metadata = settingMetadata[key];
+            const item = {
+                id: key,
+                value: data[key]
+            };
+
+            if (metadata) {
+                item.name = metadata.name;
+                item.unit = metadata.unit;
+                item.kind = metadata.kind;
+                item.writable = metadata.writable;
+                if (metadata.values) {
+                    item.label = data[key] !== null && metadata.values[data[key]] !== undefined
+                        ? metadata.values[data[key]]
+                        : null;
+                }
+            } else {
+                item.name = key;
+                item.unit = "";
+                item.kind = "UNKNOWN";
+            }
+
+            return item;
+        });
+    }
+
+    /**
+     * GoodWe Settings Node
+     * @param {Object} config - Node configuration
+     */
+    function GoodWeSettingsNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get configuration from config node (required)
+        const configSource = RED.nodes.getNode(config.config);
+        if (!configSource) {
+            node.error("Configuration node not found");
+            node.status({ fill: "red", shape: "ring", text: "config error" });
+            return;
+        }
+
+        // Get config from configuration node
+        const cfg = configSource.getConfig();
+        node.host = cfg.host;
+        node.family = cfg.family;
+        node.configNode = configSource;
+
+        // Register with config node for event forwarding
+        node.configNode.registerUser(node);
+
+        // Node properties
+        node.outputFormat = config.outputFormat || "flat";
+
+        // Initialize status
+        node.status({ fill: "grey", shape: "ring", text: "ready" });
+
+        node.on("goodwe:error", function(err) {
+            node.warn(`Protocol error: ${err.message}`);
+        });
+
+        /**
+         * Perform settings read
+         * @param {Object} msg - Input message
+         * @param {Function} send - Send function
+         * @param {Function} done - Done function
+         */
+        async function performSettingsRead(msg, send, done) {
+            try {
+                // Validate host configuration
+                if (!node.host || node.host === "") {
+                    throw new Error("Invalid host address");
+                }
+
+                // Parse settings filter from input message
+                let settingFilter = null;
+                if (msg.payload && typeof msg.payload === "object") {
+                    if (msg.payload.setting_id) {
+                        settingFilter = [msg.payload.setting_id];
+                    } else if (Array.isArray(msg.payload.settings)) {
+                        settingFilter = msg.payload.settings;
+                    }
+                }
+
+                // Get shared protocol handler from config node
+                const protocolHandler = node.configNode.getProtocolHandler();
+
+                // Update status
+                node.status({ fill: "blue", shape: "dot", text: "reading settings..." });
+
+                const settings = await protocolHandler.readSettings(settingFilter);
+
+                // With family "auto" the family is known once the inverter has answered
+                node.family = node.configNode.getFamily();
+
+                // Preserve original message properties (except payload)
+                const outputMsg = Object.assign({}, msg);
+                outputMsg.payload = formatSettings(settings, node.outputFormat, node.family);
+                outputMsg.topic = "goodwe/settings";
+                outputMsg._timestamp = new Date().toISOString();
+                outputMsg._inverter = {
+                    family: node.family,
+                    host: node.host,
+                    transport: node.configNode.getTransport()
+                };
+
+                // Success status
+                node.status({ fill: "green", shape: "dot", text: "ok" });
+                setTimeout(() => {
+                    node.status({ fill: "grey", shape: "ring", text: "ready" });
+                }, 2000);
+
+                send(outputMsg);
+                if (done) done();
+            } catch (err) {
+                node.status({ fill: "red", shape: "ring", text: "error" });
+
+                if (done) {
+                    done(err);
+                } else {
+                    node.error(err, msg);
+                }
+            }
+        }
+
+        /**
+         * Handle incoming messages
+         */
+        node.on("input", function(msg, send, done) {
+            // Fallback for Node-RED pre-1.0
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if (err) node.error(err, msg); };
+
+            performSettingsRead(msg, send, done);
+        });
+
+        /**
+         * Cleanup on node close
+         */
+        node.on("close", function(done) {
+            // Deregister from config node
+            if (node.configNode) {
+                node.configNode.deregisterUser(node);
+            }
+
+            node.status({});
+            done();
+        });
+    }
+
+    // Register the node
+    RED.nodes.registerType("goodwe-settings", GoodWeSettingsNode);
+};
@@ -0,0 +1,153 @@
+/**
+ * Node-RED node for GoodWe inverter settings write operations
+ *
+ * This node writes a single inverter setting, validated against the
+ * per-family settings table, and confirms it by reading it back.
+ */
+
+module.exports = function(RED) {
+    "use strict";
+
+    /**
+     * GoodWe Write Node
+     * @param {Object} config - Node configuration
+     */
+    function GoodWeWriteNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get configuration from config node (required)
+        const configSource = RED.nodes.getNode(config.config);
+        if (!configSource) {
+            node.error("Configuration node not found");
+            node.status({ fill: "red", shape: "ring", text: "config error" });
+            return;
+        }
+
+        // Get config from configuration node
+        const cfg = configSource.getConfig();
+        node.host = cfg.host;
+        node.family = cfg.family;
+        node.configNode = configSource;
+
+        // Register with config node for event forwarding
+        node.configNode.registerUser(node);
+
+        // Node properties
+        node.confirm = config.confirm === true;
+
+        // Initialize status
+        node.status({ fill: "grey", shape: "ring", text: "ready" });
+
+        node.on("goodwe:error", function(err) {
+            node.warn(`Protocol error: ${err.message}`);
+        });
+
+        /**
+         * Perform write operation
+         * @param {Object} msg - Input message
+         * @param {Function} send - Send function
+         * @param {Function} done - Done function
+         */
+        async function performWrite(msg, send, done) {
+            try {
+                // Validate host configuration
+                if (!node.host || node.host === "") {
+                    throw new Error("Invalid host address");
+                }
+
+                const request = (msg.payload && typeof msg.payload === "object") ? msg.payload : {};
+
+                if (!request.setting_id) {
+                    const error = new Error("Missing required parameter: setting_id");
+                    error.code = "MISSING_PARAMETER";
+                    throw error;
+                }
+
+                if (request.value === undefined || request.value === null) {
+                    const error = new Error("Missing required parameter: value");
+                    error.code = "MISSING_PARAMETER";
+                    throw error;
+                }
+
+                if (node.confirm && request.confirm !== true) {
+                    const error = new Error(`Write of ${request.setting_id} requires msg.payload.confirm = true`);
+                    error.code = "CONFIRMATION_REQUIRED";
+                    throw error;
+                }
+
+                // Get shared protocol handler from config node
+                const protocolHandler = node.configNode.getProtocolHandler();
+
+                // Update status
+                node.status({ fill: "blue", shape: "dot", text: "writing..." });
+
+                // Write, then read back to confirm
+                const result = await protocolHandler.writeSetting(request.setting_id, request.value);
+
+                // With family "auto" the family is known once the inverter has answered
+                node.family = node.configNode.getFamily();
+
+                // Preserve original message properties (except payload)
+                const outputMsg = Object.assign({}, msg);
+                outputMsg.payload = {
+                    success: true,
+                    setting_id: result.setting_id,
+                    value: result.value,
+                    previous_value: result.previous_value
+                };
+                outputMsg.topic = "goodwe/write_confirm";
+                outputMsg._timestamp = new Date().toISOString();
+                outputMsg._inverter = {
+                    family: node.family,
+                    host: node.host,
+                    transport: node.configNode.getTransport()
+                };
+
+                // Success status
+                node.status({ fill: "green", shape: "dot", text: "ok" });
+                setTimeout(() => {
+                    node.status({ fill: "grey", shape: "ring", text: "ready" });
+                }, 2000);
+
+                send(outputMsg);
+                if (done) done();
+            } catch (err) {
+                node.status({ fill: "red", shape: "ring", text: "error" });
+
+                if (done) {
+                    done(err);
+                } else {
+                    node.error(err, msg);
+                }
+            }
+        }
+
+        /**
+         * Handle incoming messages
+         */
+        node.on("input", function(msg, send, done) {
+            // Fallback for Node-RED pre-1.0
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if (err) node.error(err, msg); };
+
+            performWrite(msg, send, done);
+        });
+
+        /**
+         * Cleanup on node close
+         */
+        node.on("close", function(done) {
+            // Deregister from config node
+            if (node.configNode) {
+                node.configNode.deregisterUser(node);
+            }
+
+            node.status({});
+            done();
+        });
+    }
+
+    // Register the node
+    RED.nodes.registerType("goodwe-write", GoodWeWriteNode);
+};
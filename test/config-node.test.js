@@ -7,6 +7,8 @@
 
 const helper = require("node-red-node-test-helper");
 const configNode = require("../nodes/config.js");
+const { publishDevices, discoveredDevices } = require("../lib/device-tracker.js");
+const protocol = require("../lib/protocol.js");
 
 helper.init(require.resolve("node-red"));
 
@@ -211,6 +213,29 @@ describe("goodwe-config node", () => {
                 }
             });
         });
+
+        it("should parse a port given as a string by the editor", (done) => {
+            const flow = [
+                {
+                    id: "c1",
+                    type: "goodwe-config",
+                    host: "192.168.1.100",
+                    protocol: "modbus",
+                    port: "502"
+                }
+            ];
+
+            helper.load(configNode, flow, () => {
+                const c1 = helper.getNode("c1");
+                try {
+                    expect(c1.port).toBe(502);
+                    expect(c1.getProtocolHandler().getStatus().port).toBe(502);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
     });
 
     describe("protocol configuration", () => {
@@ -255,10 +280,34 @@ describe("goodwe-config node", () => {
                 }
             });
         });
+
+        it("should report the transport selected by protocol auto", (done) => {
+            const flow = [
+                {
+                    id: "c1",
+                    type: "goodwe-config",
+                    host: "192.168.1.100",
+                    protocol: "auto"
+                }
+            ];
+
+            helper.load(configNode, flow, () => {
+                const c1 = helper.getNode("c1");
+                try {
+                    expect(c1.getTransport()).toBeNull();
+                    expect(c1.getProtocolHandler().transport).toBeNull();
+                    c1.getProtocolHandler().transport = "udp";
+                    expect(c1.getTransport()).toBe("udp");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
     });
 
     describe("family configuration", () => {
-        const families = ["ET", "EH", "BT", "BH", "ES", "EM", "BP", "DT", "MS", "D-NS", "XS"];
+        const families = ["auto", "ET", "EH", "BT", "BH", "ES", "EM", "BP", "DT", "MS", "D-NS", "XS"];
         
         families.forEach(family => {
             it(`should accept ${family} family`, (done) => {
@@ -282,6 +331,30 @@ describe("goodwe-config node", () => {
                 });
             });
         });
+
+        it("should report the detected family once the handler has resolved it", (done) => {
+            const flow = [
+                {
+                    id: "c1",
+                    type: "goodwe-config",
+                    host: "192.168.1.100",
+                    family: "auto"
+                }
+            ];
+
+            helper.load(configNode, flow, () => {
+                const c1 = helper.getNode("c1");
+                try {
+                    expect(c1.getFamily()).toBe("auto");
+                    c1.getProtocolHandler().detectedFamily = "DT";
+                    expect(c1.getFamily()).toBe("DT");
+                    expect(c1.getConfig().family).toBe("auto");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
     });
 
     describe("advanced configuration", () => {
@@ -548,4 +621,347 @@ describe("goodwe-config node", () => {
             });
         });
     });
+
+    describe("pinned serial number", () => {
+        it("should follow the pinned inverter to its new IP", (done) => {
+            const flow = [
+                {
+                    id: "c1",
+                    type: "goodwe-config",
+                    host: "192.168.1.100",
+                    serial: "95000ETU223W0000"
+                }
+            ];
+
+            helper.load(configNode, flow, () => {
+                const c1 = helper.getNode("c1");
+                try {
+                    const handler = c1.getProtocolHandler();
+                    const setHost = jest.spyOn(handler, "setHost");
+
+                    publishDevices([
+                        { host: "192.168.1.150", serial: "95000ETU223W9999" },
+                        { host: "192.168.1.120", serial: "95000ETU223W0000" }
+                    ]);
+
+                    expect(c1.host).toBe("192.168.1.120");
+                    expect(setHost).toHaveBeenCalledTimes(1);
+                    expect(setHost).toHaveBeenCalledWith("192.168.1.120");
+                    expect(handler.config.host).toBe("192.168.1.120");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should not follow devices without a pinned serial number", (done) => {
+            const flow = [
+                {
+                    id: "c1",
+                    type: "goodwe-config",
+                    host: "192.168.1.100"
+                }
+            ];
+
+            helper.load(configNode, flow, () => {
+                const c1 = helper.getNode("c1");
+                try {
+                    publishDevices([{ host: "192.168.1.120", serial: "UNKNOWN" }]);
+                    expect(c1.host).toBe("192.168.1.100");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should stop following on close", (done) => {
+            const flow = [
+                {
+                    id: "c1",
+                    type: "goodwe-config",
+                    host: "192.168.1.100",
+                    serial: "95000ETU223W0000"
+                }
+            ];
+
+            helper.load(configNode, flow, () => {
+                const listeners = discoveredDevices.listenerCount("device");
+                helper.unload().then(() => {
+                    try {
+                        expect(discoveredDevices.listenerCount("device")).toBe(listeners - 1);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+            });
+        });
+    });
+
+    describe("circuit breaker status", () => {
+        it("should show the circuit breaker state on every user node", (done) => {
+            const flow = [{ id: "c1", type: "goodwe-config", host: "192.168.1.100" }];
+
+            helper.load(configNode, flow, () => {
+                const c1 = helper.getNode("c1");
+                const users = [1, 2].map(i => ({ id: `n${i}`, emit: jest.fn(), status: jest.fn() }));
+                users.forEach(user => c1.registerUser(user));
+                const handler = c1.getProtocolHandler();
+
+                try {
+                    handler.emit("status", { state: "circuit-open", failures: 10, cooldown: 60000 });
+                    users.forEach(user => expect(user.status).toHaveBeenLastCalledWith(
+                        { fill: "red", shape: "ring", text: "offline, retry in 60s" }
+                    ));
+
+                    handler.emit("status", { state: "circuit-closed" });
+                    users.forEach(user => expect(user.status).toHaveBeenLastCalledWith(
+                        { fill: "green", shape: "dot", text: "online" }
+                    ));
+
+                    handler.emit("status", { state: "reading" });
+                    expect(users[0].status).toHaveBeenCalledTimes(2);
+                    expect(users[0].emit).toHaveBeenCalledWith("goodwe:status", { state: "reading" });
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("read cache", () => {
+        it("should share runtime data read within the cache TTL", (done) => {
+            const flow = [{ id: "c1", type: "goodwe-config", host: "192.168.1.100", cacheTtl: 5000 }];
+
+            helper.load(configNode, flow, async () => {
+                const c1 = helper.getNode("c1");
+                const handler = c1.getProtocolHandler();
+                const read = jest.spyOn(handler, "readRuntimeData").mockResolvedValue({ ppv: 1500 });
+
+                try {
+                    const first = await c1.readRuntimeData();
+                    const second = await c1.readRuntimeData();
+
+                    expect(read).toHaveBeenCalledTimes(1);
+                    expect(first).toEqual({ data: { ppv: 1500 }, cache: { hit: false, age: 0 } });
+                    expect(second.data).toEqual({ ppv: 1500 });
+                    expect(second.data).not.toBe(first.data);
+                    expect(second.cache.hit).toBe(true);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should join a read in flight without a cache TTL", (done) => {
+            const flow = [{ id: "c1", type: "goodwe-config", host: "192.168.1.100" }];
+
+            helper.load(configNode, flow, async () => {
+                const c1 = helper.getNode("c1");
+                const handler = c1.getProtocolHandler();
+                const read = jest.spyOn(handler, "readRuntimeData").mockResolvedValue({ ppv: 1500 });
+
+                try {
+                    const results = await Promise.all([c1.readRuntimeData(), c1.readRuntimeData()]);
+                    expect(read).toHaveBeenCalledTimes(1);
+                    expect(results.map(result => result.cache.hit)).toEqual([false, true]);
+
+                    await c1.readRuntimeData();
+                    expect(read).toHaveBeenCalledTimes(2);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should cache reads of a sensor subset per set of sensors", (done) => {
+            const flow = [{ id: "c1", type: "goodwe-config", host: "192.168.1.100", cacheTtl: 5000 }];
+
+            helper.load(configNode, flow, async () => {
+                const c1 = helper.getNode("c1");
+                const handler = c1.getProtocolHandler();
+                const read = jest.spyOn(handler, "readRuntimeData").mockResolvedValue({ ppv: 1500 });
+
+                try {
+                    await c1.readRuntimeData({ sensors: ["ppv", "vgrid"] });
+                    const same = await c1.readRuntimeData({ sensors: ["vgrid", "ppv"] });
+                    await c1.readRuntimeData();
+
+                    expect(same.cache.hit).toBe(true);
+                    expect(read.mock.calls).toEqual([[{ sensors: ["ppv", "vgrid"] }], [undefined]]);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should drop cached data when following the inverter to a new IP", (done) => {
+            const flow = [{
+                id: "c1",
+                type: "goodwe-config",
+                host: "192.168.1.100",
+                serial: "95000ETU223W0000",
+                cacheTtl: 5000
+            }];
+
+            helper.load(configNode, flow, async () => {
+                const c1 = helper.getNode("c1");
+                const handler = c1.getProtocolHandler();
+                const read = jest.spyOn(handler, "readRuntimeData").mockResolvedValue({ ppv: 1500 });
+                jest.spyOn(handler, "setHost").mockImplementation(() => {});
+
+                try {
+                    await c1.readRuntimeData();
+                    publishDevices([{ host: "192.168.1.120", serial: "95000ETU223W0000" }]);
+                    const result = await c1.readRuntimeData();
+
+                    expect(read).toHaveBeenCalledTimes(2);
+                    expect(result.cache.hit).toBe(false);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("editor endpoints", () => {
+        const flow = [{ id: "c1", type: "goodwe-config", host: "192.168.1.100" }];
+        const { ProtocolHandler } = protocol;
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it("should list discovered inverters", async () => {
+            jest.spyOn(protocol, "discoverInverters").mockResolvedValue([{
+                ip: "192.168.1.20",
+                port: 8899,
+                family: "ET",
+                serialNumber: "95000ETU223W0000",
+                modelName: "GW10K-ET",
+                mac: "289C6E05A3B1"
+            }]);
+            await helper.load(configNode, flow);
+
+            const res = await helper.request().get("/goodwe-config/discover?timeout=500").expect(200);
+
+            expect(protocol.discoverInverters).toHaveBeenCalledWith({ timeout: 500 });
+            expect(res.body.devices).toEqual([{
+                host: "192.168.1.20",
+                port: 8899,
+                model: "GW10K-ET",
+                serial: "95000ETU223W0000",
+                family: "ET",
+                mac: "289C6E05A3B1",
+                protocol: "udp"
+            }]);
+        });
+
+        it("should report discovery failures", async () => {
+            const error = new Error("bind EADDRINUSE");
+            error.code = "EADDRINUSE";
+            jest.spyOn(protocol, "discoverInverters").mockRejectedValue(error);
+            await helper.load(configNode, flow);
+
+            const res = await helper.request().get("/goodwe-config/discover").expect(500);
+
+            expect(res.body).toEqual({ error: "bind EADDRINUSE", code: "EADDRINUSE" });
+        });
+
+        it("should test a connection and report the inverter", async () => {
+            jest.spyOn(ProtocolHandler.prototype, "readDeviceInfo").mockResolvedValue({
+                model_name: "GW10K-ET",
+                serial_number: "95000ETU223W0000"
+            });
+            jest.spyOn(ProtocolHandler.prototype, "readRuntimeData").mockResolvedValue({ vgrid: 230, pgrid: 500 });
+            jest.spyOn(ProtocolHandler.prototype, "disconnect").mockResolvedValue();
+            await helper.load(configNode, flow);
+
+            const res = await helper.request()
+                .post("/goodwe-config/test")
+                .send({ host: "192.168.1.20", protocol: "udp", family: "DT" })
+                .expect(200);
+
+            expect(res.body).toEqual({
+                success: true,
+                model: "GW10K-ET",
+                serial: "95000ETU223W0000",
+                family: "DT",
+                transport: "udp",
+                detectedFamily: "ET",
+                sensors: 2
+            });
+            expect(ProtocolHandler.prototype.disconnect).toHaveBeenCalled();
+        });
+
+        it("should still read runtime data when the device info is not answered", async () => {
+            jest.spyOn(ProtocolHandler.prototype, "readDeviceInfo").mockRejectedValue(new Error("Request timeout"));
+            jest.spyOn(ProtocolHandler.prototype, "readRuntimeData").mockResolvedValue({ vgrid: 230 });
+            jest.spyOn(ProtocolHandler.prototype, "disconnect").mockResolvedValue();
+            await helper.load(configNode, flow);
+
+            const res = await helper.request()
+                .post("/goodwe-config/test")
+                .send({ host: "192.168.1.20", protocol: "modbus", port: 502, family: "ET" })
+                .expect(200);
+
+            expect(res.body).toMatchObject({
+                success: true,
+                model: null,
+                serial: null,
+                family: "ET",
+                transport: "modbus",
+                sensors: 1
+            });
+        });
+
+        it("should report a failed connection test with suggestions", async () => {
+            const error = new Error("Failed to read runtime data: Request timeout");
+            error.code = "TIMEOUT";
+            error.suggestions = ["Check network connection to inverter"];
+            jest.spyOn(ProtocolHandler.prototype, "readDeviceInfo").mockRejectedValue(error);
+            jest.spyOn(ProtocolHandler.prototype, "readRuntimeData").mockRejectedValue(error);
+            jest.spyOn(ProtocolHandler.prototype, "disconnect").mockResolvedValue();
+            await helper.load(configNode, flow);
+
+            const res = await helper.request()
+                .post("/goodwe-config/test")
+                .send({ host: "192.168.1.20" })
+                .expect(200);
+
+            expect(res.body).toEqual({
+                success: false,
+                error: "Failed to read runtime data: Request timeout",
+                code: "TIMEOUT",
+                suggestions: ["Check network connection to inverter"]
+            });
+        });
+
+        it("should list the comm addresses the inverter answers on", async () => {
+            jest.spyOn(ProtocolHandler.prototype, "probeCommAddrs").mockResolvedValue([0x7F, 0x01]);
+            jest.spyOn(ProtocolHandler.prototype, "disconnect").mockResolvedValue();
+            await helper.load(configNode, flow);
+
+            const res = await helper.request()
+                .post("/goodwe-config/comm-addr")
+                .send({ host: "192.168.1.20", protocol: "udp", family: "DT" })
+                .expect(200);
+
+            expect(res.body).toEqual({ success: true, commAddrs: ["0x7F", "0x01"] });
+            expect(ProtocolHandler.prototype.disconnect).toHaveBeenCalled();
+        });
+
+        it("should reject a connection test without host", async () => {
+            await helper.load(configNode, flow);
+
+            await helper.request().post("/goodwe-config/test").send({}).expect(400);
+        });
+    });
 });
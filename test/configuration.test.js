@@ -6,6 +6,10 @@
  */
 
 const helper = require("node-red-node-test-helper");
+
+// Serve deterministic inverter data instead of talking to a real inverter
+jest.mock("../lib/protocol.js", () => require("./fixtures/mock-protocol.js"));
+
 const goodweNode = require("../nodes/goodwe.js");
 const configNode = require("../nodes/config.js");
 const mockInverterData = require("./fixtures/mock-inverter-data.js");
@@ -60,8 +64,8 @@ describe("Configuration Operations", () => {
                         
                         // Should contain common settings
                         expect(msg.payload.data.grid_export_limit).toBeDefined();
-                        expect(msg.payload.data.operation_mode).toBeDefined();
-                        expect(msg.payload.data.battery_dod).toBeDefined();
+                        expect(msg.payload.data.work_mode).toBeDefined();
+                        expect(msg.payload.data.battery_discharge_depth).toBeDefined();
                         
                         done();
                     } catch (err) {
@@ -214,6 +218,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "write_setting",
+                        confirm: true,
                         setting_id: "grid_export_limit",
                         value: 5000
                     } 
@@ -262,6 +267,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "write_setting",
+                        confirm: true,
                         setting_id: "grid_export_limit",
                         value: -1000 // Invalid negative value
                     } 
@@ -269,6 +275,41 @@ describe("Configuration Operations", () => {
             });
         });
 
+        it("should not write without confirm: true", (done) => {
+            const flow = [
+                { id: "c16", type: "goodwe-config", host: "192.168.1.100", port: 8899, protocol: "udp", family: "ET" },
+                { id: "n1", type: "goodwe", config: "c16", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.load([configNode, goodweNode], flow, () => {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                const writeSetting = jest.spyOn(helper.getNode("c16").getProtocolHandler(), "writeSetting");
+                const messages = [];
+
+                n2.on("input", (msg) => {
+                    messages.push(msg);
+                    if (messages.length < 2) {
+                        return;
+                    }
+                    try {
+                        messages.forEach(m => {
+                            expect(m.payload.success).toBe(false);
+                            expect(m.payload.error.code).toBe("CONFIRMATION_REQUIRED");
+                        });
+                        expect(writeSetting).not.toHaveBeenCalled();
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: { command: "write_setting", setting_id: "grid_export_limit", value: 5000 } });
+                n1.receive({ payload: { command: "set_battery_dod", dod: 80, confirm: "yes" } });
+            });
+        });
+
         it("should reject write without required value parameter", (done) => {
             const flow = [
         { 
@@ -310,6 +351,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "write_setting",
+                        confirm: true,
                         setting_id: "grid_export_limit"
                         // Missing value parameter
                     } 
@@ -405,6 +447,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "set_grid_export_limit",
+                        confirm: true,
                         limit: 5000
                     } 
                 });
@@ -496,6 +539,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "set_operation_mode",
+                        confirm: true,
                         mode: "ECO",
                         eco_mode_power: 100,
                         eco_mode_soc: 90
@@ -545,6 +589,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "set_operation_mode",
+                        confirm: true,
                         mode: "INVALID_MODE"
                     } 
                 });
@@ -638,6 +683,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "set_battery_dod",
+                        confirm: true,
                         dod: 80
                     } 
                 });
@@ -685,6 +731,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "set_battery_dod",
+                        confirm: true,
                         dod: 95 // Out of valid range 0-89
                     } 
                 });
@@ -733,6 +780,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "write_setting",
+                        confirm: true,
                         setting_id: "invalid_setting_xyz",
                         value: 5000
                     } 
@@ -781,6 +829,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "write_setting",
+                        confirm: true,
                         setting_id: "grid_export_limit",
                         value: "not_a_number"  // Wrong type
                     } 
@@ -871,6 +920,7 @@ describe("Configuration Operations", () => {
                 n1.receive({ 
                     payload: { 
                         command: "write_setting",
+                        confirm: true,
                         setting_id: "grid_export_limit",
                         value: 5000
                     } 
@@ -5,7 +5,11 @@
  * connection management, error handling, and retry logic.
  */
 
-const { ProtocolHandler, parseDeviceInfo } = require("../lib/protocol.js");
+const EventEmitter = require("events");
+const net = require("net");
+const modbus = require("../lib/modbus.js");
+const { ProtocolHandler, PRIORITY, parseDeviceInfo } = require("../lib/protocol.js");
+const { rtuReadResponse, rtuException } = require("./fixtures/modbus-inverter");
 
 describe("ProtocolHandler", () => {
     
@@ -249,6 +253,162 @@ describe("ProtocolHandler", () => {
         }, 10000);
     });
 
+    describe("circuit breaker", () => {
+        /**
+         * Handler whose commands time out until `handler.answer` is set
+         */
+        function createHandler(options = {}) {
+            const handler = new ProtocolHandler(Object.assign({
+                protocol: "udp",
+                retries: 1,
+                breakerThreshold: 3,
+                breakerCooldown: 50
+            }, options));
+            handler.answer = false;
+            handler.sendCommand = jest.fn(async () => {
+                if (handler.answer) {
+                    return Buffer.from([0x01]);
+                }
+                const error = new Error("Response timeout");
+                error.code = "TIMEOUT";
+                throw error;
+            });
+            handler.states = [];
+            handler.on("status", (status) => handler.states.push(status.state));
+            return handler;
+        }
+
+        async function failTimes(handler, count) {
+            for (let i = 0; i < count; i++) {
+                await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toThrow("Response timeout");
+            }
+        }
+
+        it("should open after the threshold and fail fast", async () => {
+            const handler = createHandler();
+            await failTimes(handler, 3);
+
+            await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toMatchObject({
+                code: "CIRCUIT_OPEN"
+            });
+
+            expect(handler.sendCommand).toHaveBeenCalledTimes(3);
+            expect(handler.states).toContain("circuit-open");
+            expect(handler.getStatus().circuit.state).toBe("open");
+            expect(handler.getStatus().circuit.retryIn).toBeGreaterThan(0);
+        });
+
+        it("should let one probe through after the cool-down and close on success", async () => {
+            const handler = createHandler({ retries: 3 });
+            handler._circuit.failures = 2;
+            await failTimes(handler, 1);
+            await new Promise(resolve => setTimeout(resolve, 60));
+            handler.answer = true;
+
+            const results = await Promise.allSettled([
+                handler.sendCommandWithRetry(Buffer.from([0x00])),
+                handler.sendCommandWithRetry(Buffer.from([0x00]))
+            ]);
+
+            expect(results[0].status).toBe("fulfilled");
+            expect(results[1].reason.code).toBe("CIRCUIT_OPEN");
+            expect(handler.states.slice(-3)).toEqual(["circuit-half-open", "reading", "circuit-closed"]);
+            expect(handler.getStatus().circuit).toEqual({ state: "closed", retryIn: 0, failures: 0 });
+        }, 10000);
+
+        it("should reopen when the probe fails, without retrying it", async () => {
+            const handler = createHandler();
+            await failTimes(handler, 3);
+            await new Promise(resolve => setTimeout(resolve, 60));
+            handler.config.retries = 3;
+            handler.sendCommand.mockClear();
+
+            await failTimes(handler, 1);
+
+            expect(handler.sendCommand).toHaveBeenCalledTimes(1);
+            expect(handler.getStatus().circuit.state).toBe("open");
+        });
+
+        it("should count a failed request once, however many attempts it took", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", timeout: 10, retries: 2, breakerThreshold: 3 });
+            // UDP socket that never answers, so every attempt times out in _exchange
+            handler.socket = { on() {}, removeListener() {}, send: (data, port, host, callback) => callback() };
+            handler.connected = true;
+
+            for (let i = 0; i < 2; i++) {
+                await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toThrow("Response timeout");
+            }
+
+            expect(handler.consecutiveFailures).toBeGreaterThanOrEqual(4);
+            expect(handler.getStatus().circuit).toMatchObject({ state: "closed", failures: 2 });
+
+            await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toThrow("Response timeout");
+            expect(handler.getStatus().circuit).toMatchObject({ state: "open", failures: 3 });
+        }, 10000);
+
+        it("should stay closed with breakerThreshold 0", async () => {
+            const handler = createHandler({ breakerThreshold: 0 });
+            await failTimes(handler, 5);
+
+            expect(handler.getStatus().circuit.state).toBe("closed");
+            expect(handler.sendCommand).toHaveBeenCalledTimes(5);
+        });
+    });
+
+    describe("probeCommAddrs", () => {
+        /**
+         * Handler whose inverter answers reads on the comm addresses in `answering`
+         */
+        function createHandler(answering, options = {}) {
+            const handler = new ProtocolHandler(Object.assign({ protocol: "udp", family: "ET" }, options));
+            handler.connected = true;
+            handler.sendCommand = jest.fn(async (command) => {
+                const commAddr = command[0];
+                if (answering[commAddr] === "exception") {
+                    return rtuException(commAddr, 0x03, 0x02);
+                }
+                if (!answering[commAddr]) {
+                    const error = new Error("Response timeout");
+                    error.code = "TIMEOUT";
+                    throw error;
+                }
+                return rtuReadResponse(commAddr, Buffer.alloc(2));
+            });
+            return handler;
+        }
+
+        it("should return the addresses that answer, in candidate order", async () => {
+            const handler = createHandler({ 0x11: true, 0x7F: true });
+
+            await expect(handler.probeCommAddrs()).resolves.toEqual([0x7F, 0x11]);
+
+            const tried = handler.sendCommand.mock.calls.map(([command]) => command[0]);
+            expect(tried).toEqual([0xF7, 0x7F, 0x01, 0x11]);
+            expect(handler.sendCommand.mock.calls[0][0].readUInt16BE(2)).toBe(35100);
+        });
+
+        it("should count a Modbus exception as an answer", async () => {
+            const handler = createHandler({ 0x01: "exception" });
+
+            await expect(handler.probeCommAddrs([0xF7, 0x01])).resolves.toEqual([0x01]);
+        });
+
+        it("should read the ET and DT blocks while the family is unknown", async () => {
+            const handler = createHandler({}, { family: "auto" });
+
+            await expect(handler.probeCommAddrs([0x7F])).resolves.toEqual([]);
+
+            const starts = handler.sendCommand.mock.calls.map(([command]) => command.readUInt16BE(2));
+            expect(starts).toEqual([35100, 30100]);
+        });
+
+        it("should reject for AA55 families", async () => {
+            const handler = createHandler({}, { family: "ES" });
+
+            await expect(handler.probeCommAddrs()).rejects.toMatchObject({ code: "UNSUPPORTED_FAMILY" });
+        });
+    });
+
     describe("error handling", () => {
         it("should emit error events", (done) => {
             const handler = new ProtocolHandler({ 
@@ -373,6 +533,396 @@ describe("ProtocolHandler", () => {
             await handler.disconnect();
         });
     });
+
+    describe("request queue", () => {
+        /**
+         * Fake UDP socket that answers every datagram with "re:<datagram>"
+         * after a short delay and counts requests in flight.
+         */
+        function createEchoSocket(delay = 20) {
+            const socket = new EventEmitter();
+            socket.inFlight = 0;
+            socket.maxInFlight = 0;
+            socket.send = (command, port, host, callback) => {
+                socket.inFlight++;
+                socket.maxInFlight = Math.max(socket.maxInFlight, socket.inFlight);
+                callback();
+                setTimeout(() => {
+                    socket.inFlight--;
+                    socket.emit("message", Buffer.concat([Buffer.from("re:"), command]));
+                }, delay);
+            };
+            socket.close = (callback) => callback();
+            return socket;
+        }
+
+        it("should give overlapping requests their own replies", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", timeout: 500 });
+            const socket = createEchoSocket();
+            handler.socket = socket;
+            handler.connected = true;
+
+            const replies = await Promise.all([
+                handler.sendCommand(Buffer.from("runtime")),
+                handler.sendCommand(Buffer.from("info")),
+                handler.sendCommand(Buffer.from("settings"))
+            ]);
+
+            expect(replies.map(r => r.toString())).toEqual(["re:runtime", "re:info", "re:settings"]);
+            expect(socket.maxInFlight).toBe(1);
+            expect(socket.listenerCount("message")).toBe(0);
+        });
+
+        it("should report queue statistics in getStatus()", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", timeout: 500 });
+            handler.socket = createEchoSocket();
+            handler.connected = true;
+
+            const requests = [
+                handler.sendCommand(Buffer.from("a")),
+                handler.sendCommand(Buffer.from("b"))
+            ];
+            expect(handler.getStatus().queue).toMatchObject({ depth: 1, active: 1 });
+
+            await Promise.all(requests);
+            const queue = handler.getStatus().queue;
+            expect(queue).toMatchObject({ depth: 0, active: 0, processed: 2, failed: 0 });
+            expect(queue.maxWaitTime).toBeGreaterThan(0);
+        });
+
+        it("should reject a request that waits longer than requestTimeout", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", timeout: 500, requestTimeout: 30 });
+            handler.socket = createEchoSocket(40);
+            handler.connected = true;
+
+            const first = handler.sendCommand(Buffer.from("a"), null, { timeout: 500 });
+            const second = handler.sendCommand(Buffer.from("b"), null, { timeout: 500 });
+            const third = handler.sendCommand(Buffer.from("c"));
+
+            await expect(third).rejects.toMatchObject({ code: "QUEUE_TIMEOUT" });
+            await expect(first).resolves.toEqual(Buffer.from("re:a"));
+            await expect(second).resolves.toEqual(Buffer.from("re:b"));
+            expect(handler.getStatus().queue.timedOut).toBe(1);
+        });
+
+        it("should start high priority requests before waiting ones", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", timeout: 500 });
+            handler.socket = createEchoSocket();
+            handler.connected = true;
+
+            const order = [];
+            const track = (promise) => promise.then(reply => order.push(reply.toString()));
+
+            await Promise.all([
+                track(handler.sendCommand(Buffer.from("poll1"))),
+                track(handler.sendCommand(Buffer.from("poll2"))),
+                track(handler.sendCommand(Buffer.from("write"), null, { priority: PRIORITY.HIGH }))
+            ]);
+
+            expect(order).toEqual(["re:poll1", "re:write", "re:poll2"]);
+        });
+
+        it("should reject waiting requests on disconnect", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", timeout: 500 });
+            handler.socket = createEchoSocket();
+            handler.connected = true;
+
+            const running = handler.sendCommand(Buffer.from("a"));
+            const waiting = handler.sendCommand(Buffer.from("b"));
+            await handler.disconnect();
+
+            await expect(waiting).rejects.toMatchObject({ code: "QUEUE_CLEARED" });
+            await running.catch(() => {});
+        });
+    });
+
+    describe("Modbus TCP framing", () => {
+        let server;
+        let sockets;
+        let onRequest;
+
+        /**
+         * Build a read reply for `request` carrying `byteCount` bytes of `fill`
+         */
+        function readReply(request, byteCount = 4, fill = 0x11) {
+            const reply = Buffer.alloc(9 + byteCount, fill);
+            request.copy(reply, 0, 0, 2);        // Transaction ID
+            reply.writeUInt16BE(0x0000, 2);
+            reply.writeUInt16BE(3 + byteCount, 4);
+            reply[6] = request[6];
+            reply[7] = 0x03;
+            reply[8] = byteCount;
+            return reply;
+        }
+
+        beforeEach((done) => {
+            onRequest = null;
+            sockets = [];
+            server = net.createServer((socket) => {
+                sockets.push(socket);
+                socket.on("error", () => {});
+                let buffer = Buffer.alloc(0);
+                socket.on("data", (data) => {
+                    buffer = Buffer.concat([buffer, data]);
+                    while (buffer.length >= 12) {
+                        onRequest(buffer.slice(0, 12), socket);
+                        buffer = buffer.slice(12);
+                    }
+                });
+            });
+            server.listen(0, "127.0.0.1", done);
+        });
+
+        afterEach((done) => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(() => done());
+        });
+
+        function createHandler(options = {}) {
+            const handler = new ProtocolHandler(Object.assign({
+                host: "127.0.0.1",
+                port: server.address().port,
+                protocol: "tcp",
+                timeout: 500
+            }, options));
+            // Closing the server resets the half-closed client socket
+            handler.on("error", () => {});
+            return handler;
+        }
+
+        it("should assemble a reply delivered in several segments", async () => {
+            onRequest = (request, socket) => {
+                const reply = readReply(request, 40);
+                socket.write(reply.slice(0, 5));
+                setTimeout(() => socket.write(reply.slice(5, 20)), 10);
+                setTimeout(() => socket.write(reply.slice(20)), 20);
+            };
+
+            const handler = createHandler();
+            await handler.connect();
+
+            const request = modbus.createTcpReadRequest(0xF7, 35100, 20);
+            const reply = await handler.sendCommand(request);
+
+            expect(reply).toEqual(readReply(request, 40));
+            await handler.disconnect();
+        });
+
+        it("should resolve as soon as the frame is complete", async () => {
+            onRequest = (request, socket) => socket.write(readReply(request));
+
+            const handler = createHandler();
+            await handler.connect();
+
+            const started = Date.now();
+            await handler.sendCommand(modbus.createTcpReadRequest(0xF7, 35100, 2));
+
+            // No idle wait after the last byte
+            expect(Date.now() - started).toBeLessThan(90);
+            await handler.disconnect();
+        });
+
+        it("should drop stale frames and match replies by transaction ID", async () => {
+            onRequest = (request, socket) => {
+                const stale = readReply(request, 4, 0xEE);
+                stale.writeUInt16BE((request.readUInt16BE(0) + 100) % 0x10000, 0);
+                // Stale frame and the real reply arrive in one segment
+                socket.write(Buffer.concat([stale, readReply(request)]));
+            };
+
+            const handler = createHandler();
+            await handler.connect();
+
+            const request = modbus.createTcpReadRequest(0xF7, 35100, 2);
+            const reply = await handler.sendCommand(request);
+
+            expect(reply).toEqual(readReply(request));
+            expect(handler.getStatus().droppedFrames).toBe(1);
+            await handler.disconnect();
+        });
+
+        it("should pipeline requests and match out-of-order replies", async () => {
+            const received = [];
+            onRequest = (request, socket) => {
+                received.push(request);
+                // Answer both requests in reverse order once both arrived
+                if (received.length === 2) {
+                    socket.write(Buffer.concat([
+                        readReply(received[1], 2, 0x22),
+                        readReply(received[0], 2, 0x11)
+                    ]));
+                }
+            };
+
+            const handler = createHandler({ pipelineDepth: 2 });
+            await handler.connect();
+
+            const first = modbus.createTcpReadRequest(0xF7, 35100, 1);
+            const second = modbus.createTcpReadRequest(0xF7, 36000, 1);
+            const replies = await Promise.all([
+                handler.sendCommand(first),
+                handler.sendCommand(second)
+            ]);
+
+            expect(replies[0]).toEqual(readReply(first, 2, 0x11));
+            expect(replies[1]).toEqual(readReply(second, 2, 0x22));
+            await handler.disconnect();
+        });
+    });
+
+    describe("TCP connection manager", () => {
+        let server;
+        let sockets;
+
+        beforeEach((done) => {
+            sockets = [];
+            server = net.createServer((socket) => {
+                sockets.push(socket);
+                socket.on("error", () => {});
+            });
+            server.listen(0, "127.0.0.1", done);
+        });
+
+        afterEach((done) => {
+            jest.restoreAllMocks();
+            sockets.forEach(socket => socket.destroy());
+            server.close(() => done());
+        });
+
+        function createHandler(options = {}) {
+            const handler = new ProtocolHandler(Object.assign({
+                host: "127.0.0.1",
+                port: server.address().port,
+                protocol: "tcp",
+                timeout: 100,
+                reconnectDelay: 10
+            }, options));
+            handler.on("error", () => {});
+            handler.states = [];
+            handler.on("status", (status) => handler.states.push(status));
+            return handler;
+        }
+
+        /**
+         * Wait for the handler to report `state`
+         */
+        function waitForState(handler, state) {
+            return new Promise((resolve) => {
+                const onStatus = (status) => {
+                    if (status.state === state) {
+                        handler.removeListener("status", onStatus);
+                        resolve(status);
+                    }
+                };
+                handler.on("status", onStatus);
+            });
+        }
+
+        it("should enable TCP keepalive on the socket", async () => {
+            const setKeepAlive = jest.spyOn(net.Socket.prototype, "setKeepAlive");
+
+            const handler = createHandler();
+            await handler.connect();
+
+            expect(setKeepAlive).toHaveBeenCalledWith(true, 10000);
+            await handler.disconnect();
+        });
+
+        it("should reconnect after the connection is closed", async () => {
+            const handler = createHandler();
+            await handler.connect();
+            const firstSocket = handler.socket;
+
+            sockets[0].destroy();
+            await waitForState(handler, "reconnected");
+
+            const states = handler.states.map(s => s.state);
+            expect(states.slice(states.indexOf("disconnected"))).toEqual([
+                "disconnected", "reconnecting", "connecting", "connected", "reconnected"
+            ]);
+            expect(handler.connected).toBe(true);
+            expect(handler.socket).not.toBe(firstSocket);
+            expect(handler.getStatus()).toMatchObject({ reconnecting: false, reconnectAttempts: 0 });
+            await handler.disconnect();
+        });
+
+        it("should back off with jitter while the inverter is unreachable", async () => {
+            jest.spyOn(Math, "random").mockReturnValue(0);
+            const handler = createHandler({ reconnectDelay: 20, maxReconnectDelay: 60 });
+            await handler.connect();
+
+            server.close();
+            sockets[0].destroy();
+            while (handler.states.filter(s => s.state === "reconnecting").length < 4) {
+                await waitForState(handler, "reconnecting");
+            }
+
+            const delays = handler.states.filter(s => s.state === "reconnecting").map(s => s.delay);
+            expect(delays).toEqual([10, 20, 30, 30]);
+            expect(handler.getStatus()).toMatchObject({ reconnecting: true, reconnectAttempts: 4 });
+            expect(handler._reconnectTimer.hasRef()).toBe(false);
+            await handler.disconnect();
+            expect(handler.getStatus().reconnecting).toBe(false);
+        });
+
+        it("should give up after maxReconnectAttempts and connect again on the next request", async () => {
+            const handler = createHandler({ reconnectDelay: 5, maxReconnectDelay: 5, maxReconnectAttempts: 3 });
+            await handler.connect();
+
+            const port = server.address().port;
+            server.close();
+            sockets[0].destroy();
+            const failed = await waitForState(handler, "reconnect-failed");
+
+            expect(failed.attempts).toBe(3);
+            expect(handler.states.filter(s => s.state === "reconnecting")).toHaveLength(3);
+            expect(handler.getStatus()).toMatchObject({ reconnecting: false, reconnectAttempts: 0 });
+
+            server = net.createServer((socket) => sockets.push(socket));
+            await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+            await handler.connect();
+            expect(handler.connected).toBe(true);
+            await handler.disconnect();
+        });
+
+        it("should not reconnect after disconnect() or with keepAlive disabled", async () => {
+            const closed = createHandler();
+            await closed.connect();
+            await closed.disconnect();
+
+            const noKeepAlive = createHandler({ keepAlive: false });
+            await noKeepAlive.connect();
+            sockets[1].destroy();
+            await waitForState(noKeepAlive, "disconnected");
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(closed.states.map(s => s.state)).not.toContain("reconnecting");
+            expect(noKeepAlive.states.map(s => s.state)).not.toContain("reconnecting");
+            expect(noKeepAlive.socket).toBeNull();
+        });
+
+        it("should probe over Modbus TCP with a register read while the family is unknown", () => {
+            const handler = createHandler({ protocol: "modbus", family: "auto" });
+            const command = handler._buildProbeCommand();
+
+            expect(command.slice(0, 2).equals(Buffer.from([0xAA, 0x55]))).toBe(false);
+            expect(command[7]).toBe(0x03);
+            expect(command.readUInt16BE(10)).toBe(1);
+        });
+
+        it("should detect a half-open connection by probing when idle", async () => {
+            // The server accepts the connection but never answers
+            const handler = createHandler({ idleProbeInterval: 30, timeout: 50 });
+            await handler.connect();
+
+            await waitForState(handler, "half-open");
+            await waitForState(handler, "reconnected");
+
+            expect(handler.connected).toBe(true);
+            expect(sockets).toHaveLength(2);
+            await handler.disconnect();
+        });
+    });
 });
 
 describe("discovery helper functions", () => {
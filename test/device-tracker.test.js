@@ -0,0 +1,77 @@
+/**
+ * Tests for lib/device-tracker.js
+ *
+ * Tests tracking devices across discovery runs by serial number and
+ * publishing discovered devices.
+ */
+
+const { DeviceTracker, discoveredDevices, publishDevices } = require("../lib/device-tracker");
+
+function device(serial, host) {
+    return { host, port: 8899, serial, family: "ET", protocol: "udp" };
+}
+
+describe("DeviceTracker", () => {
+    it("should report new devices as added", () => {
+        const tracker = new DeviceTracker();
+
+        const events = tracker.update([device("SN1", "10.0.0.5"), device("SN2", "10.0.0.6")]);
+
+        expect(events.map(e => [e.event, e.device.serial])).toEqual([["added", "SN1"], ["added", "SN2"]]);
+        expect(tracker.getDevices()).toHaveLength(2);
+        expect(tracker.update([device("SN1", "10.0.0.5"), device("SN2", "10.0.0.6")])).toEqual([]);
+    });
+
+    it("should report a known serial number at another IP as ip_changed", () => {
+        const tracker = new DeviceTracker();
+        tracker.update([device("SN1", "10.0.0.5")]);
+
+        const events = tracker.update([device("SN1", "10.0.0.9")]);
+
+        expect(events).toEqual([{ event: "ip_changed", device: device("SN1", "10.0.0.9"), previousHost: "10.0.0.5" }]);
+        expect(tracker.getDevices()[0].host).toBe("10.0.0.9");
+    });
+
+    it("should report a device as removed after it missed two runs", () => {
+        const tracker = new DeviceTracker();
+        tracker.update([device("SN1", "10.0.0.5"), device("SN2", "10.0.0.6")]);
+
+        expect(tracker.update([device("SN1", "10.0.0.5")])).toEqual([]);
+        expect(tracker.update([device("SN1", "10.0.0.5")])).toEqual([
+            { event: "removed", device: device("SN2", "10.0.0.6") }
+        ]);
+        expect(tracker.getDevices()).toHaveLength(1);
+    });
+
+    it("should reset the missed runs when a device answers again", () => {
+        const tracker = new DeviceTracker({ missedRuns: 2 });
+        tracker.update([device("SN1", "10.0.0.5")]);
+
+        tracker.update([]);
+        tracker.update([device("SN1", "10.0.0.5")]);
+
+        expect(tracker.update([])).toEqual([]);
+    });
+
+    it("should track devices without serial number by host", () => {
+        const tracker = new DeviceTracker();
+        tracker.update([device("UNKNOWN", "10.0.0.5")]);
+
+        const events = tracker.update([device("UNKNOWN", "10.0.0.7")]);
+
+        expect(events.map(e => e.event)).toEqual(["added"]);
+    });
+});
+
+describe("publishDevices", () => {
+    it("should emit every device on discoveredDevices", () => {
+        const seen = [];
+        const listener = d => seen.push(d.serial);
+        discoveredDevices.on("device", listener);
+
+        publishDevices([device("SN1", "10.0.0.5"), device("SN2", "10.0.0.6")]);
+        discoveredDevices.removeListener("device", listener);
+
+        expect(seen).toEqual(["SN1", "SN2"]);
+    });
+});
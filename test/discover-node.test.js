@@ -253,6 +253,208 @@ describe("goodwe-discover node", () => {
         });
     });
 
+    describe("subnet scan mode", () => {
+        let scanSpy;
+        let discoverSpy;
+
+        beforeEach(() => {
+            scanSpy = jest.spyOn(protocol, "scanInverters").mockImplementation(async (options) => {
+                options.onProgress(1, 2);
+                options.onProgress(2, 2);
+                return [
+                    {
+                        ip: "10.0.20.5",
+                        port: 502,
+                        protocol: "modbus",
+                        family: "DT",
+                        serialNumber: "UNKNOWN",
+                        modelName: null
+                    }
+                ];
+            });
+            discoverSpy = jest.spyOn(protocol, "discoverInverters").mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            scanSpy.mockRestore();
+            discoverSpy.mockRestore();
+        });
+
+        it("should scan the configured range and report the answering protocol", (done) => {
+            const flow = [
+                {
+                    id: "n1",
+                    type: "goodwe-discover",
+                    mode: "scan",
+                    cidr: "10.0.20.0/30",
+                    concurrency: 4,
+                    timeout: 5000,
+                    scanTimeout: 800,
+                    wires: [["n2"]]
+                },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.load(discoverNode, flow, () => {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                const statusSpy = jest.spyOn(n1, "status");
+
+                n2.on("input", (msg) => {
+                    try {
+                        expect(scanSpy).toHaveBeenCalledWith(expect.objectContaining({
+                            cidr: "10.0.20.0/30",
+                            timeout: 800,
+                            concurrency: 4
+                        }));
+                        expect(discoverSpy).not.toHaveBeenCalled();
+                        expect(msg.payload.devices).toEqual([{
+                            host: "10.0.20.5",
+                            port: 502,
+                            model: "GoodWe Inverter",
+                            serial: "UNKNOWN",
+                            family: "DT",
+                            mac: null,
+                            protocol: "modbus"
+                        }]);
+                        expect(statusSpy).toHaveBeenCalledWith(expect.objectContaining({ text: "scanning 1/2" }));
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: true });
+            });
+        });
+
+        it("should report an undetected family of a scanned device as null", (done) => {
+            scanSpy.mockResolvedValueOnce([{ ip: "10.0.20.6", port: 8899, protocol: "udp", family: null }]);
+            const flow = [
+                { id: "n1", type: "goodwe-discover", mode: "scan", cidr: "10.0.20.0/30", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.load(discoverNode, flow, () => {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", (msg) => {
+                    try {
+                        expect(msg.payload.devices[0].family).toBeNull();
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: true });
+            });
+        });
+
+        it("should scan the range given in msg.payload.cidr", (done) => {
+            const flow = [
+                { id: "n1", type: "goodwe-discover", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.load(discoverNode, flow, () => {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", (msg) => {
+                    try {
+                        expect(scanSpy).toHaveBeenCalledWith(expect.objectContaining({ cidr: "10.0.30.0/24", timeout: 1000 }));
+                        expect(msg.payload.count).toBe(1);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: { cidr: "10.0.30.0/24" } });
+            });
+        });
+    });
+
+    describe("background mode", () => {
+        let discoverSpy;
+
+        afterEach(() => {
+            discoverSpy.mockRestore();
+        });
+
+        it("should re-discover on the interval and report added and moved devices", (done) => {
+            const inverter = {
+                port: 8899,
+                modelName: "GW10K-ET",
+                serialNumber: "95000ETU223W0000",
+                family: "ET"
+            };
+            discoverSpy = jest.spyOn(protocol, "discoverInverters")
+                .mockResolvedValueOnce([Object.assign({ ip: "192.168.1.100" }, inverter)])
+                .mockResolvedValue([Object.assign({ ip: "192.168.1.120" }, inverter)]);
+
+            const flow = [
+                { id: "n1", type: "goodwe-discover", interval: 1, wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.load(discoverNode, flow, () => {
+                const n2 = helper.getNode("n2");
+                const messages = [];
+
+                n2.on("input", (msg) => {
+                    messages.push(msg);
+                    if (messages.length < 2) {
+                        return;
+                    }
+                    try {
+                        expect(messages[0].topic).toBe("goodwe/discover/added");
+                        expect(messages[0].payload).toMatchObject({
+                            event: "added",
+                            device: { host: "192.168.1.100", serial: "95000ETU223W0000" }
+                        });
+                        expect(messages[1].topic).toBe("goodwe/discover/ip_changed");
+                        expect(messages[1].payload).toMatchObject({
+                            event: "ip_changed",
+                            device: { host: "192.168.1.120" },
+                            previous_host: "192.168.1.100"
+                        });
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+            });
+        });
+
+        it("should not send anything when nothing changed", (done) => {
+            discoverSpy = jest.spyOn(protocol, "discoverInverters").mockResolvedValue([]);
+
+            const flow = [
+                { id: "n1", type: "goodwe-discover", interval: 1, wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.load(discoverNode, flow, () => {
+                const n2 = helper.getNode("n2");
+                const received = jest.fn();
+                n2.on("input", received);
+
+                setTimeout(() => {
+                    try {
+                        expect(discoverSpy).toHaveBeenCalledTimes(1);
+                        expect(received).not.toHaveBeenCalled();
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                }, 100);
+            });
+        });
+    });
+
     describe("discovery operation", () => {
         it("should trigger discovery on any input", (done) => {
             const flow = [
@@ -0,0 +1,230 @@
+/**
+ * Tests for discoverInverters() in lib/protocol.js
+ *
+ * Tests the AA55 and WIFIKIT discovery broadcasts and the merging of
+ * their replies with a fake UDP socket, and the unicast subnet scan of
+ * scanInverters() with stubbed ProtocolHandler requests.
+ */
+
+const dgram = require("dgram");
+const EventEmitter = require("events");
+const { discoverInverters, scanInverters, ProtocolHandler } = require("../lib/protocol");
+const { AA55_COMMANDS } = require("../lib/modbus");
+const { aa55Response } = require("./fixtures/modbus-inverter");
+
+/**
+ * UDP socket that records sent packets and answers them with the
+ * replies configured per destination port
+ */
+class FakeSocket extends EventEmitter {
+    constructor(replies = {}) {
+        super();
+        this.replies = replies;
+        this.sent = [];
+    }
+
+    bind(callback) {
+        callback();
+    }
+
+    setBroadcast() {}
+
+    send(data, port, address, callback) {
+        this.sent.push({ data, port, address });
+        callback(null);
+        for (const [reply, ip] of this.replies[port] || []) {
+            setImmediate(() => this.emit("message", Buffer.from(reply), { address: ip, port }));
+        }
+    }
+
+    close() {}
+}
+
+/**
+ * AA55 discovery reply carrying a model name
+ */
+function aa55DiscoveryReply(modelName) {
+    const payload = Buffer.alloc(20);
+    payload.write(modelName, 4, "ascii");
+    return aa55Response("0182", payload);
+}
+
+describe("discoverInverters", () => {
+    let socket;
+
+    function useSocket(replies) {
+        socket = new FakeSocket(replies);
+        jest.spyOn(dgram, "createSocket").mockReturnValue(socket);
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("broadcasts the AA55 and WIFIKIT requests", async () => {
+        useSocket();
+
+        await discoverInverters({ timeout: 20, broadcastAddress: "192.168.1.255" });
+
+        expect(socket.sent).toHaveLength(2);
+        expect(socket.sent[0]).toMatchObject({ port: 8899, address: "192.168.1.255" });
+        expect(socket.sent[0].data.equals(AA55_COMMANDS.DISCOVERY)).toBe(true);
+        expect(socket.sent[1]).toMatchObject({ port: 48899, address: "192.168.1.255" });
+        expect(socket.sent[1].data.toString()).toBe("WIFIKIT-214028-READ");
+    });
+
+    test("sends only the requested method", async () => {
+        useSocket();
+
+        await discoverInverters({ timeout: 20, method: "wifikit" });
+
+        expect(socket.sent.map(packet => packet.port)).toEqual([48899]);
+    });
+
+    test("parses WIFIKIT replies", async () => {
+        useSocket({
+            48899: [["192.168.1.20,289C6E05A3B1,95000ETU223W0000\r\n", "192.168.1.20"]]
+        });
+
+        const inverters = await discoverInverters({ timeout: 20 });
+
+        expect(inverters).toEqual([{
+            ip: "192.168.1.20",
+            port: 8899,
+            family: "ET",
+            serialNumber: "95000ETU223W0000",
+            modelName: null,
+            mac: "289C6E05A3B1"
+        }]);
+    });
+
+    test("merges AA55 and WIFIKIT replies of the same inverter", async () => {
+        useSocket({
+            8899: [[aa55DiscoveryReply("GW20K-DT"), "192.168.1.30"]],
+            48899: [
+                ["192.168.1.30,289C6E05A3B2,9020KDTU00000000", "192.168.1.30"],
+                ["192.168.1.40,289C6E05A3B3,95048ESU00000000", "192.168.1.40"]
+            ]
+        });
+
+        const inverters = await discoverInverters({ timeout: 20 });
+
+        expect(inverters).toHaveLength(2);
+        expect(inverters[0]).toMatchObject({
+            ip: "192.168.1.30",
+            family: "DT",
+            modelName: "GW20K-DT",
+            mac: "289C6E05A3B2"
+        });
+        expect(inverters[1]).toMatchObject({ ip: "192.168.1.40", family: "ES" });
+    });
+
+    test("ignores packets that are not discovery replies", async () => {
+        useSocket({
+            48899: [["WIFIKIT-214028-READ", "192.168.1.2"], ["+ok", "192.168.1.20"]]
+        });
+
+        await expect(discoverInverters({ timeout: 20 })).resolves.toEqual([]);
+    });
+
+    test("rejects when the broadcast cannot be sent", async () => {
+        useSocket();
+        socket.send = (data, port, address, callback) => callback(new Error("send EPERM"));
+
+        await expect(discoverInverters({ timeout: 20 })).rejects.toThrow("EPERM");
+    });
+});
+
+describe("scanInverters", () => {
+    /**
+     * Stub the requests of every ProtocolHandler: `udpHosts` answer the
+     * device info request, `tcpHosts` accept Modbus TCP and report a family
+     */
+    function stubHosts(udpHosts, tcpHosts) {
+        jest.spyOn(ProtocolHandler.prototype, "readDeviceInfo").mockImplementation(async function() {
+            const info = udpHosts[this.config.host];
+            if (!info) {
+                const error = new Error("Request timeout");
+                error.code = "TIMEOUT";
+                throw error;
+            }
+            return info;
+        });
+        jest.spyOn(ProtocolHandler.prototype, "connect").mockImplementation(async function() {
+            if (!tcpHosts[this.config.host]) {
+                const error = new Error("connect ECONNREFUSED");
+                error.code = "ECONNREFUSED";
+                throw error;
+            }
+        });
+        jest.spyOn(ProtocolHandler.prototype, "detectFamily").mockImplementation(async function() {
+            return tcpHosts[this.config.host];
+        });
+        jest.spyOn(ProtocolHandler.prototype, "disconnect").mockResolvedValue();
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("finds inverters over UDP and Modbus TCP", async () => {
+        stubHosts(
+            { "10.0.0.6": { model_name: "GW10K-ET", serial_number: "95000ETU223W0000" } },
+            { "10.0.0.2": "DT" }
+        );
+        const progress = [];
+
+        const inverters = await scanInverters({
+            cidr: "10.0.0.0/29",
+            onProgress: (scanned, total) => progress.push([scanned, total])
+        });
+
+        expect(inverters).toEqual([
+            {
+                ip: "10.0.0.2",
+                port: 502,
+                protocol: "modbus",
+                family: "DT",
+                serialNumber: "UNKNOWN",
+                modelName: null
+            },
+            {
+                ip: "10.0.0.6",
+                port: 8899,
+                protocol: "udp",
+                family: "ET",
+                serialNumber: "95000ETU223W0000",
+                modelName: "GW10K-ET"
+            }
+        ]);
+        // Network and broadcast addresses are skipped
+        expect(progress).toHaveLength(6);
+        expect(progress[5]).toEqual([6, 6]);
+    });
+
+    test("probes at most `concurrency` hosts at a time", async () => {
+        stubHosts({}, {});
+        let inFlight = 0;
+        let maxInFlight = 0;
+        ProtocolHandler.prototype.readDeviceInfo.mockImplementation(async () => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            inFlight--;
+            throw new Error("Request timeout");
+        });
+
+        await scanInverters({ cidr: "10.0.0.0/28", concurrency: 3 });
+
+        expect(maxInFlight).toBe(3);
+    });
+
+    test.each([
+        ["not-an-ip"],
+        ["10.0.0.0/33"],
+        ["10.0.0.0/abc"],
+        ["10.0.0.0/16"]
+    ])("rejects the range %s", async (cidr) => {
+        await expect(scanInverters({ cidr })).rejects.toMatchObject({ code: "INVALID_CIDR" });
+    });
+});
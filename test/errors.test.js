@@ -3,6 +3,7 @@
  */
 
 const { enhanceError, inferErrorCode, SUGGESTION_GENERATORS } = require("../lib/errors");
+const { MODBUS_EXCEPTIONS } = require("../lib/modbus");
 
 describe("Error Enhancement", () => {
 
@@ -90,6 +91,22 @@ describe("Error Enhancement", () => {
             expect(err.suggestions.length).toBeGreaterThan(0);
         });
 
+        it("should add suggestions for Modbus illegal data address", () => {
+            const err = new Error("Invalid Modbus RTU response: Modbus error response: Illegal data address (exception code 0x02)");
+            err.code = "MODBUS_ILLEGAL_DATA_ADDRESS";
+
+            enhanceError(err, defaultCtx);
+
+            expect(err.suggestions.some(s => s.includes("not supported on this ET model"))).toBe(true);
+        });
+
+        it("should give different suggestions for busy and unsupported registers", () => {
+            const busy = enhanceError(Object.assign(new Error("busy"), { code: "MODBUS_SLAVE_DEVICE_BUSY" }), defaultCtx);
+            const address = enhanceError(Object.assign(new Error("address"), { code: "MODBUS_ILLEGAL_DATA_ADDRESS" }), defaultCtx);
+
+            expect(busy.suggestions).not.toEqual(address.suggestions);
+        });
+
         it("should add details to error", () => {
             const err = new Error("Test error");
             err.code = "TIMEOUT";
@@ -177,7 +194,8 @@ describe("Error Enhancement", () => {
             const expectedCodes = [
                 "TIMEOUT", "ECONNREFUSED", "ECONNRESET",
                 "EHOSTUNREACH", "READ_ERROR", "PROTOCOL_ERROR",
-                "UNSUPPORTED_FAMILY"
+                "UNSUPPORTED_FAMILY", "QUEUE_TIMEOUT", "QUEUE_CLEARED",
+                "FAMILY_DETECTION_FAILED", "CIRCUIT_OPEN", "TRANSPORT_DETECTION_FAILED"
             ];
 
             expectedCodes.forEach(code => {
@@ -186,6 +204,13 @@ describe("Error Enhancement", () => {
             });
         });
 
+        it("should have a generator for every Modbus exception code", () => {
+            Object.values(MODBUS_EXCEPTIONS).forEach(exception => {
+                expect(typeof SUGGESTION_GENERATORS[exception.code]).toBe("function");
+            });
+            expect(typeof SUGGESTION_GENERATORS.MODBUS_EXCEPTION).toBe("function");
+        });
+
         it("should return arrays of strings", () => {
             Object.keys(SUGGESTION_GENERATORS).forEach(code => {
                 const suggestions = SUGGESTION_GENERATORS[code](defaultCtx);
@@ -0,0 +1,185 @@
+/**
+ * Tests for inverter family detection
+ *
+ * Tests detectInverterFamily() on serial numbers and model names, and the
+ * "auto" family of ProtocolHandler: device info lookup, probing of the
+ * ET/DT register blocks and the ES AA55 command, and caching.
+ */
+
+const { ProtocolHandler, detectInverterFamily } = require("../lib/protocol");
+const { AA55_COMMANDS } = require("../lib/modbus");
+const { aa55Response, stubModbusInverter } = require("./fixtures/modbus-inverter");
+
+/**
+ * Build an AA55 device info payload (see parseDeviceInfo)
+ */
+function deviceInfoPayload(modelName, serialNumber) {
+    const payload = Buffer.alloc(53);
+    payload.write(modelName, 0, 10, "ascii");
+    payload.write(serialNumber, 10, 16, "ascii");
+    return payload;
+}
+
+/**
+ * Stub a handler with a simulated inverter that answers Modbus reads from
+ * `registers` and the AA55 device info / ES runtime commands when their
+ * payloads are given. Unanswered AA55 commands time out.
+ */
+function stubInverter(handler, options = {}) {
+    const sent = stubModbusInverter(handler, options.registers || {}, { unsupported: options.unsupported });
+    const modbusStub = handler.sendCommandWithRetry;
+
+    handler.sendCommandWithRetry = jest.fn(async (command) => {
+        if (command[0] !== 0xAA || command[1] !== 0x55) {
+            return modbusStub(command);
+        }
+        sent.push(command);
+        if (command.equals(AA55_COMMANDS.READ_DEVICE_INFO) && options.deviceInfo) {
+            return aa55Response("0181", options.deviceInfo);
+        }
+        if (command.equals(AA55_COMMANDS.READ_RUNNING_DATA_ES) && options.esRuntime) {
+            return aa55Response("0186", options.esRuntime);
+        }
+        const error = new Error("Request timeout");
+        error.code = "TIMEOUT";
+        throw error;
+    });
+    return sent;
+}
+
+/**
+ * Start registers of the Modbus reads in `sent`
+ */
+function readStarts(sent) {
+    return sent.filter(c => c[0] !== 0xAA).map(c => c.readUInt16BE(2));
+}
+
+describe("Family detection", () => {
+
+    describe("detectInverterFamily", () => {
+        test.each([
+            ["95000ETU223W0000", "ET"],
+            ["9010KETR00000000", "ET"],
+            ["95000EHU20000000", "EH"],
+            ["9010KBTU00000000", "BT"],
+            ["9020KDTU00000000", "DT"],
+            ["95000MSU00000000", "MS"],
+            ["93000DSN00000000", "D-NS"],
+            ["95048ESU00000000", "ES"],
+            ["95048EMU00000000", "EM"],
+            ["95048BPU00000000", "BP"]
+        ])("detects serial number %s as %s", (serial, family) => {
+            expect(detectInverterFamily(serial, null)).toBe(family);
+        });
+
+        test.each([
+            ["GW10K-ET", "ET"],
+            ["GW6000-EH", "EH"],
+            ["GW20K-DT", "DT"],
+            ["GW5048D-ES", "ES"],
+            ["GW3000-DNS", "D-NS"],
+            ["GW3000-XS", "XS"]
+        ])("detects model name %s as %s", (modelName, family) => {
+            expect(detectInverterFamily("", modelName)).toBe(family);
+        });
+
+        test("prefers the serial number model tag over the model name", () => {
+            expect(detectInverterFamily("9020KDTU00000000", "GW10K-ET")).toBe("DT");
+        });
+
+        test("only looks for the model tag at its position in the serial number", () => {
+            // "ETU" and "DTU" elsewhere in the serial don't tell the family
+            expect(detectInverterFamily("ETU00DTU00000000", "GW10K-ET")).toBe("DT");
+            expect(detectInverterFamily("95000XXX00ETU000", null)).toBeNull();
+            expect(detectInverterFamily("95000XXX00ETU000", "GW20K-DT")).toBe("DT");
+        });
+
+        test("returns null when neither tells the family", () => {
+            expect(detectInverterFamily("1234567890", "GoodWe")).toBeNull();
+            expect(detectInverterFamily(undefined, undefined)).toBeNull();
+        });
+    });
+
+    describe("ProtocolHandler with family \"auto\"", () => {
+        test("detects the family from the device info on first read", async () => {
+            const handler = new ProtocolHandler({ family: "auto", protocol: "udp" });
+            const sent = stubInverter(handler, {
+                registers: { 35121: 2300 },
+                deviceInfo: deviceInfoPayload("GW10K-ET", "95000ETU223W0000")
+            });
+
+            const data = await handler.readRuntimeData();
+
+            expect(sent[0].equals(AA55_COMMANDS.READ_DEVICE_INFO)).toBe(true);
+            expect(handler.detectedFamily).toBe("ET");
+            expect(handler.getStatus().family).toBe("ET");
+            expect(data.vgrid).toBe(230);
+        });
+
+        test("probes the DT block when device info is inconclusive", async () => {
+            const handler = new ProtocolHandler({ family: "auto", protocol: "udp" });
+            const sent = stubInverter(handler, {
+                unsupported: [35100],
+                deviceInfo: deviceInfoPayload("GoodWe", "0000000000000000")
+            });
+
+            await expect(handler.detectFamily()).resolves.toBe("DT");
+
+            expect(readStarts(sent)).toEqual([35100, 30100]);
+            // The DT probe and later requests use the DT comm address
+            expect(sent[sent.length - 1][0]).toBe(0x7F);
+            expect(handler._commAddr).toBe(0x7F);
+        });
+
+        test("probes the ES command when no Modbus block answers", async () => {
+            const handler = new ProtocolHandler({ family: "auto", protocol: "udp" });
+            stubInverter(handler, {
+                unsupported: [35100, 30100],
+                esRuntime: Buffer.alloc(100)
+            });
+
+            await expect(handler.detectFamily()).resolves.toBe("ES");
+            expect(handler._commAddr).toBe(0xF7);
+        });
+
+        test("caches the detected family", async () => {
+            const handler = new ProtocolHandler({ family: "auto", protocol: "udp" });
+            const sent = stubInverter(handler, {
+                deviceInfo: deviceInfoPayload("GW10K-ET", "95000ETU223W0000")
+            });
+
+            await Promise.all([handler.detectFamily(), handler.readRuntimeData()]);
+            await handler.readRuntimeData();
+
+            const deviceInfoReads = sent.filter(c => c.equals(AA55_COMMANDS.READ_DEVICE_INFO));
+            expect(deviceInfoReads).toHaveLength(1);
+        });
+
+        test("fails with FAMILY_DETECTION_FAILED and retries on the next request", async () => {
+            const handler = new ProtocolHandler({ family: "auto", protocol: "udp" });
+            stubInverter(handler, { unsupported: [35100, 30100] });
+
+            await expect(handler.readRuntimeData()).rejects.toMatchObject({
+                code: "FAMILY_DETECTION_FAILED"
+            });
+            expect(handler.detectedFamily).toBeNull();
+
+            stubInverter(handler, { deviceInfo: deviceInfoPayload("GW20K-DT", "") });
+            await expect(handler.readSetting("grid_export_limit")).resolves.toBeDefined();
+            expect(handler.detectedFamily).toBe("DT");
+        });
+
+        test("does not detect when a family is configured", async () => {
+            const handler = new ProtocolHandler({ family: "DT", protocol: "udp" });
+            const sent = stubInverter(handler, {
+                deviceInfo: deviceInfoPayload("GW10K-ET", "95000ETU223W0000")
+            });
+
+            await handler.readRuntimeData();
+
+            expect(readStarts(sent)).toEqual([30100]);
+            expect(handler.detectedFamily).toBeNull();
+            expect(handler.getStatus().family).toBe("DT");
+        });
+    });
+});
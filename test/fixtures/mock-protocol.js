@@ -0,0 +1,134 @@
+/**
+ * Mock protocol module for testing the legacy goodwe node
+ *
+ * Drop-in replacement for lib/protocol.js that serves the deterministic
+ * values from mock-inverter-data.js instead of talking to an inverter:
+ *
+ *     jest.mock("../lib/protocol.js", () => require("./fixtures/mock-protocol.js"));
+ *
+ * Settings use the real per-family settings tables and validation, so
+ * unknown, read-only and out-of-range settings fail the same way they do
+ * against a real inverter.
+ */
+
+const EventEmitter = require("events");
+const mockData = require("./mock-inverter-data.js");
+const { getSettings, validateSettingValue } = require("../../lib/sensors.js");
+
+/**
+ * Initial setting values (anything not listed starts at 0)
+ */
+const INITIAL_SETTINGS = {
+    grid_export_limit: 5000,
+    battery_discharge_depth: 85,
+    work_mode: 0
+};
+
+/**
+ * Mock ProtocolHandler with in-memory settings state
+ */
+class ProtocolHandler extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = Object.assign({ family: "ET" }, config);
+        this.connected = false;
+        this.settings = getSettings(this.config.family);
+        this.settingValues = {};
+        for (const setting of this.settings) {
+            this.settingValues[setting.id] = INITIAL_SETTINGS[setting.id] !== undefined
+                ? INITIAL_SETTINGS[setting.id]
+                : 0;
+        }
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    getStatus() {
+        return {
+            connected: this.connected,
+            host: this.config.host,
+            port: this.config.port,
+            protocol: this.config.protocol
+        };
+    }
+
+    async readRuntimeData() {
+        return Object.assign({}, mockData.runtimeData.data);
+    }
+
+    async readDeviceInfo() {
+        return Object.assign({}, mockData.deviceInfo.data);
+    }
+
+    _getSettingDefinition(settingId) {
+        const setting = this.settings.find(s => s.id === settingId);
+        if (!setting) {
+            const error = new Error(`Unknown setting: ${settingId}`);
+            error.code = "INVALID_SETTING";
+            throw error;
+        }
+        return setting;
+    }
+
+    async readSetting(settingId) {
+        this._getSettingDefinition(settingId);
+        return this.settingValues[settingId];
+    }
+
+    async readSettings(settingIds) {
+        const ids = settingIds && settingIds.length > 0
+            ? settingIds
+            : this.settings.map(s => s.id);
+
+        const result = {};
+        for (const id of ids) {
+            result[id] = await this.readSetting(id);
+        }
+        return result;
+    }
+
+    async writeSetting(settingId, value) {
+        const setting = this._getSettingDefinition(settingId);
+
+        if (!setting.writable) {
+            const error = new Error(`Setting ${settingId} is read-only`);
+            error.code = "READ_ONLY_SETTING";
+            throw error;
+        }
+
+        const validation = validateSettingValue(setting, value);
+        if (!validation.valid) {
+            const error = new Error(validation.error);
+            error.code = "VALIDATION_ERROR";
+            throw error;
+        }
+
+        const previousValue = this.settingValues[settingId];
+        this.settingValues[settingId] = validation.value;
+
+        return {
+            setting_id: settingId,
+            value: validation.value,
+            previous_value: previousValue
+        };
+    }
+}
+
+/**
+ * Mock discovery returning the fixture inverters
+ * @returns {Promise<Array>} Discovered inverters
+ */
+async function discoverInverters() {
+    return mockData.discoveryResponse.data.inverters.map(inverter => Object.assign({}, inverter));
+}
+
+module.exports = {
+    ProtocolHandler,
+    discoverInverters
+};
@@ -0,0 +1,121 @@
+/**
+ * Simulated Modbus inverter for ProtocolHandler tests
+ *
+ * Response frame builders and a register store that replaces the transport
+ * of a real ProtocolHandler, so register reads and writes can be tested
+ * without a network:
+ *
+ *     const sent = stubModbusInverter(handler, { 47510: 4000 });
+ */
+
+const { crc16, aa55Checksum } = require("../../lib/modbus");
+
+function rtuReadResponse(commAddr, registers) {
+    const body = Buffer.concat([Buffer.from([commAddr, 0x03, registers.length]), registers]);
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(crc16(body), 0);
+    return Buffer.concat([Buffer.from([0xAA, 0x55]), body, crc]);
+}
+
+function rtuWriteAck(command) {
+    // Write responses echo the first 6 bytes of the request
+    const body = command.slice(0, 6);
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(crc16(body), 0);
+    return Buffer.concat([Buffer.from([0xAA, 0x55]), body, crc]);
+}
+
+function tcpReadResponse(commAddr, registers) {
+    const frame = Buffer.alloc(9);
+    frame.writeUInt16BE(1, 0);
+    frame.writeUInt16BE(0, 2);
+    frame.writeUInt16BE(3 + registers.length, 4);
+    frame.writeUInt8(commAddr, 6);
+    frame.writeUInt8(0x03, 7);
+    frame.writeUInt8(registers.length, 8);
+    return Buffer.concat([frame, registers]);
+}
+
+function aa55Response(responseType, payload) {
+    const frame = Buffer.concat([
+        Buffer.from([0xAA, 0x55, 0x7F, 0xC0]),
+        Buffer.from(responseType, "hex"),
+        Buffer.from([payload.length]),
+        payload
+    ]);
+    const checksum = Buffer.alloc(2);
+    checksum.writeUInt16BE(aa55Checksum(frame), 0);
+    return Buffer.concat([frame, checksum]);
+}
+
+function rtuException(commAddr, cmd, exceptionCode) {
+    const body = Buffer.from([commAddr, cmd | 0x80, exceptionCode]);
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(crc16(body), 0);
+    return Buffer.concat([Buffer.from([0xAA, 0x55]), body, crc]);
+}
+
+function tcpException(commAddr, cmd, exceptionCode) {
+    return Buffer.from([0x00, 0x01, 0x00, 0x00, 0x00, 0x03, commAddr, cmd | 0x80, exceptionCode]);
+}
+
+function uint16(value) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(value, 0);
+    return buf;
+}
+
+/**
+ * Stub the transport of a handler with a simulated register store.
+ * Modbus reads (0x03) return the stored value, writes (0x06/0x10) update it.
+ * Reads touching a register in `options.unsupported` get an illegal data
+ * address exception.
+ */
+function stubModbusInverter(handler, registers, options = {}) {
+    const sent = [];
+    handler.connected = true;
+    handler.sendCommandWithRetry = jest.fn(async (command) => {
+        sent.push(command);
+        const isTcp = handler.config.protocol !== "udp";
+        const pdu = isTcp ? command.slice(6) : command.slice(0, command.length - 2);
+        const addr = pdu[0];
+        const cmd = pdu[1];
+        const register = pdu.readUInt16BE(2);
+
+        if (cmd === 0x03) {
+            const count = pdu.readUInt16BE(4);
+            if ((options.unsupported || []).some(r => r >= register && r < register + count)) {
+                return isTcp ? tcpException(addr, cmd, 0x02) : rtuException(addr, cmd, 0x02);
+            }
+            const data = Buffer.alloc(count * 2);
+            for (let i = 0; i < count; i++) {
+                data.writeUInt16BE(registers[register + i] || 0, i * 2);
+            }
+            return isTcp ? tcpReadResponse(addr, data) : rtuReadResponse(addr, data);
+        }
+
+        if (!options.ignoreWrites) {
+            if (cmd === 0x06) {
+                registers[register] = pdu.readUInt16BE(4);
+            } else if (cmd === 0x10) {
+                const count = pdu.readUInt16BE(4);
+                for (let i = 0; i < count; i++) {
+                    registers[register + i] = pdu.readUInt16BE(7 + i * 2);
+                }
+            }
+        }
+        return isTcp ? command.slice(0, 12) : rtuWriteAck(command);
+    });
+    return sent;
+}
+
+module.exports = {
+    rtuReadResponse,
+    rtuWriteAck,
+    tcpReadResponse,
+    aa55Response,
+    rtuException,
+    tcpException,
+    uint16,
+    stubModbusInverter
+};
@@ -3,8 +3,13 @@
  */
 
 const helper = require("node-red-node-test-helper");
+
+// Serve deterministic inverter data instead of talking to a real inverter
+jest.mock("../lib/protocol.js", () => require("./fixtures/mock-protocol.js"));
+
 const goodweNode = require("../nodes/goodwe.js");
 const configNode = require("../nodes/config.js");
+const mockData = require("./fixtures/mock-inverter-data.js");
 
 helper.init(require.resolve("node-red"));
 
@@ -100,6 +105,77 @@ describe("goodwe node", function () {
         });
     });
 
+    it("should return the runtime data read by the shared protocol handler", function (done) {
+        const flow = [
+        { 
+            id: "c6",
+            type: "goodwe-config",
+            host: "192.168.1.100",
+            port: 8899,
+            protocol: "udp",
+            family: "ET"
+        },
+        {
+            id: "n1",
+            type: "goodwe",
+            config: "c6", wires:[["n2"]] },
+            { id: "n2", type: "helper" }
+        ];
+        helper.load([configNode, goodweNode], flow, function () {
+            const n2 = helper.getNode("n2");
+            const n1 = helper.getNode("n1");
+            const protocolHandler = helper.getNode("c6").getProtocolHandler();
+            const readSpy = jest.spyOn(protocolHandler, "readRuntimeData");
+
+            n2.on("input", function (msg) {
+                try {
+                    expect(readSpy).toHaveBeenCalledTimes(1);
+                    expect(msg.payload.data).toEqual(mockData.runtimeData.data);
+                    expect(msg.topic).toBe("goodwe/read");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+            n1.receive({ payload: "read" });
+        });
+    });
+
+    it("should read device info for the info command", function (done) {
+        const flow = [
+        { 
+            id: "c7",
+            type: "goodwe-config",
+            host: "192.168.1.100",
+            port: 8899,
+            protocol: "udp",
+            family: "ET"
+        },
+        {
+            id: "n1",
+            type: "goodwe",
+            config: "c7", wires:[["n2"]] },
+            { id: "n2", type: "helper" }
+        ];
+        helper.load([configNode, goodweNode], flow, function () {
+            const n2 = helper.getNode("n2");
+            const n1 = helper.getNode("n1");
+            n2.on("input", function (msg) {
+                try {
+                    expect(msg.payload.success).toBe(true);
+                    expect(msg.payload.command).toBe("info");
+                    expect(msg.payload.data.serialNumber).toBe(mockData.deviceInfo.data.serialNumber);
+                    expect(msg.payload.data.family).toBe("ET");
+                    expect(msg.topic).toBe("goodwe/info");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+            n1.receive({ payload: "info" });
+        });
+    });
+
     it("should handle read command and trigger status timeout", function (done) {
         const flow = [
         { 
@@ -164,17 +240,22 @@ describe("goodwe node", function () {
                 try {
                     expect(msg.payload).toBeDefined();
                     
-                    // The protocol handler should emit status events
-                    // which are handled by the node
-                    if (n1.protocolHandler) {
-                        // Trigger various status states to cover updateNodeStatus
-                        n1.protocolHandler.emit("status", { state: "connecting" });
-                        n1.protocolHandler.emit("status", { state: "connected" });
-                        n1.protocolHandler.emit("status", { state: "reading" });
-                        n1.protocolHandler.emit("status", { state: "retrying", attempt: 2, maxRetries: 3 });
-                        n1.protocolHandler.emit("status", { state: "disconnected" });
-                        n1.protocolHandler.emit("status", { state: "unknown" });
-                    }
+                    // Status events of the shared protocol handler are
+                    // forwarded by the config node to the goodwe node
+                    const protocolHandler = helper.getNode("c2").getProtocolHandler();
+                    const statusSpy = jest.spyOn(n1, "status");
+
+                    // Trigger various status states to cover updateNodeStatus
+                    protocolHandler.emit("status", { state: "connecting" });
+                    protocolHandler.emit("status", { state: "connected" });
+                    protocolHandler.emit("status", { state: "reading" });
+                    protocolHandler.emit("status", { state: "retrying", attempt: 2, maxRetries: 3 });
+                    protocolHandler.emit("status", { state: "disconnected" });
+                    protocolHandler.emit("status", { state: "unknown" });
+
+                    expect(statusSpy).toHaveBeenCalledWith({ fill: "yellow", shape: "ring", text: "connecting..." });
+                    expect(statusSpy).toHaveBeenCalledWith({ fill: "orange", shape: "dot", text: "retry 2/3" });
+                    expect(statusSpy).toHaveBeenCalledWith({ fill: "grey", shape: "ring", text: "unknown" });
                     
                     done();
                 } catch(err) {
@@ -210,9 +291,9 @@ describe("goodwe node", function () {
                     expect(msg.payload).toBeDefined();
                     
                     // Trigger protocol error to cover error handler
-                    if (n1.protocolHandler) {
-                        n1.protocolHandler.emit("error", new Error("Test protocol error"));
-                    }
+                    const warnSpy = jest.spyOn(n1, "warn");
+                    helper.getNode("c1").getProtocolHandler().emit("error", new Error("Test protocol error"));
+                    expect(warnSpy).toHaveBeenCalledWith("Protocol error: Test protocol error");
                     
                     done();
                 } catch(err) {
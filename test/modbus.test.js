@@ -7,16 +7,28 @@
 
 const {
     crc16,
+    decodeModbusException,
     aa55Checksum,
     createAA55ReadRequest,
+    createAA55WriteRequest,
+    createAA55WriteMultiRequest,
     validateAA55Response,
+    validateAA55WriteResponse,
     extractAA55Payload,
     createRtuReadRequest,
+    createRtuWriteRequest,
+    createRtuWriteMultiRequest,
     validateRtuResponse,
+    validateRtuWriteResponse,
     extractRtuPayload,
     createTcpReadRequest,
+    createTcpWriteRequest,
+    createTcpWriteMultiRequest,
     validateTcpResponse,
+    validateTcpWriteResponse,
     extractTcpPayload,
+    isTcpFrame,
+    splitTcpFrames,
     resetTransactionId,
     getDefaultCommAddr,
     AA55_COMMANDS,
@@ -85,6 +97,30 @@ describe("AA55 Protocol", () => {
         });
     });
 
+    describe("createAA55WriteRequest", () => {
+        test("builds 02 39 05 frame with register, count and value", () => {
+            const frame = createAA55WriteRequest(0x0560, 0x001E);
+            expect(frame.slice(0, 4)).toEqual(Buffer.from([0xAA, 0x55, 0xC0, 0x7F]));
+            expect(frame.slice(4, 12).toString("hex")).toBe("023905056001001e");
+            expect(frame.length).toBe(14);
+        });
+
+        test("checksum is correct", () => {
+            const frame = createAA55WriteRequest(0x0560, 0x001E);
+            expect(frame.readUInt16BE(frame.length - 2)).toBe(aa55Checksum(frame.slice(0, frame.length - 2)));
+        });
+    });
+
+    describe("createAA55WriteMultiRequest", () => {
+        test("builds 02 39 0B frame for four registers", () => {
+            const values = Buffer.from([0x00, 0x01, 0x00, 0x02, 0x00, 0x03, 0x00, 0x04]);
+            const frame = createAA55WriteMultiRequest(0x0701, values);
+            expect(frame.slice(4, 10).toString("hex")).toBe("02390b070108");
+            expect(frame.slice(10, 18)).toEqual(values);
+            expect(frame.readUInt16BE(18)).toBe(aa55Checksum(frame.slice(0, 18)));
+        });
+    });
+
     describe("validateAA55Response", () => {
         test("validates correct response", () => {
             // Build a valid response
@@ -133,6 +169,39 @@ describe("AA55 Protocol", () => {
         });
     });
 
+    describe("validateAA55WriteResponse", () => {
+        function buildAA55Response(responseType) {
+            const payload = Buffer.concat([
+                Buffer.from([0xAA, 0x55, 0x7F, 0xC0]),
+                Buffer.from(responseType, "hex"),
+                Buffer.from([0x01, 0x06])
+            ]);
+            const checksumBuf = Buffer.alloc(2);
+            checksumBuf.writeUInt16BE(aa55Checksum(payload), 0);
+            return Buffer.concat([payload, checksumBuf]);
+        }
+
+        test("accepts write acknowledgement", () => {
+            const result = validateAA55WriteResponse(buildAA55Response("02B9"));
+            expect(result.valid).toBe(true);
+            expect(result.error).toBeNull();
+        });
+
+        test("rejects other response types", () => {
+            const result = validateAA55WriteResponse(buildAA55Response("0186"));
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("response type");
+        });
+
+        test("rejects bad checksum", () => {
+            const response = buildAA55Response("02B9");
+            response[response.length - 1] ^= 0xFF;
+            const result = validateAA55WriteResponse(response);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Checksum");
+        });
+    });
+
     describe("extractAA55Payload", () => {
         test("strips header and checksum", () => {
             const response = Buffer.from([
@@ -212,6 +281,36 @@ describe("Modbus RTU", () => {
         });
     });
 
+    describe("createRtuWriteRequest", () => {
+        test("creates 8-byte frame with function code 0x06", () => {
+            const frame = createRtuWriteRequest(0xF7, 47510, 5000);
+            expect(frame.length).toBe(8);
+            expect(frame[0]).toBe(0xF7);
+            expect(frame[1]).toBe(0x06);
+            expect(frame.readUInt16BE(2)).toBe(47510);
+            expect(frame.readUInt16BE(4)).toBe(5000);
+        });
+
+        test("CRC matches the data", () => {
+            const frame = createRtuWriteRequest(0xF7, 47510, 5000);
+            expect(frame.readUInt16LE(6)).toBe(crc16(frame.slice(0, 6)));
+        });
+    });
+
+    describe("createRtuWriteMultiRequest", () => {
+        test("creates frame with function code 0x10, count and byte count", () => {
+            const values = Buffer.from([0x00, 0x01, 0x00, 0x02]);
+            const frame = createRtuWriteMultiRequest(0xF7, 47515, values);
+            expect(frame.length).toBe(7 + 4 + 2);
+            expect(frame[1]).toBe(0x10);
+            expect(frame.readUInt16BE(2)).toBe(47515);
+            expect(frame.readUInt16BE(4)).toBe(2);
+            expect(frame[6]).toBe(4);
+            expect(frame.slice(7, 11)).toEqual(values);
+            expect(frame.readUInt16LE(11)).toBe(crc16(frame.slice(0, 11)));
+        });
+    });
+
     describe("validateRtuResponse", () => {
         function buildValidRtuResponse(commAddr, cmd, registerCount) {
             const byteCount = registerCount * 2;
@@ -250,13 +349,40 @@ describe("Modbus RTU", () => {
             expect(result.valid).toBe(false);
         });
 
+        function buildRtuExceptionResponse(cmd, exceptionCode) {
+            const body = Buffer.from([0xF7, cmd | 0x80, exceptionCode]);
+            const crcBuf = Buffer.alloc(2);
+            crcBuf.writeUInt16LE(crc16(body), 0);
+            return Buffer.concat([Buffer.from([0xAA, 0x55]), body, crcBuf]);
+        }
+
         test("detects error response (high bit set)", () => {
-            const response = Buffer.from([0xAA, 0x55, 0xF7, 0x83, 0x02, 0x00, 0x00, 0x00, 0x00]);
+            const response = buildRtuExceptionResponse(0x03, 0x02);
             const result = validateRtuResponse(response, 0x03, 10);
             expect(result.valid).toBe(false);
             expect(result.error).toContain("error response");
         });
 
+        test("decodes exception code", () => {
+            const result = validateRtuResponse(buildRtuExceptionResponse(0x03, 0x02), 0x03, 10);
+            expect(result.error).toContain("Illegal data address");
+            expect(result.exception).toEqual({
+                functionCode: 0x03,
+                exceptionCode: 0x02,
+                code: "MODBUS_ILLEGAL_DATA_ADDRESS",
+                message: "Illegal data address"
+            });
+        });
+
+        test("rejects exception response with bad CRC", () => {
+            const response = buildRtuExceptionResponse(0x03, 0x02);
+            response[6] ^= 0xFF;
+            const result = validateRtuResponse(response, 0x03, 10);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("CRC");
+            expect(result.exception).toBeUndefined();
+        });
+
         test("rejects byte count mismatch", () => {
             const response = buildValidRtuResponse(0xF7, 0x03, 5);
             const result = validateRtuResponse(response, 0x03, 10);
@@ -265,6 +391,94 @@ describe("Modbus RTU", () => {
         });
     });
 
+    describe("validateRtuWriteResponse", () => {
+        function buildRtuWriteResponse(commAddr, cmd, register, value) {
+            const body = Buffer.alloc(6);
+            body.writeUInt8(commAddr, 0);
+            body.writeUInt8(cmd, 1);
+            body.writeUInt16BE(register, 2);
+            body.writeUInt16BE(value, 4);
+            const crcBuf = Buffer.alloc(2);
+            crcBuf.writeUInt16LE(crc16(body), 0);
+            return Buffer.concat([Buffer.from([0xAA, 0x55]), body, crcBuf]);
+        }
+
+        test("validates single-register echo", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x06, 47510, 5000);
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(true);
+            expect(result.error).toBeNull();
+        });
+
+        test("validates multi-register echo", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x10, 45353, 4);
+            const result = validateRtuWriteResponse(response, 0x10, 45353, 4);
+            expect(result.valid).toBe(true);
+        });
+
+        test("rejects echoed register mismatch", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x06, 47511, 5000);
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Register mismatch");
+        });
+
+        test("rejects echoed value mismatch", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x06, 47510, 4000);
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Value mismatch");
+        });
+
+        test("rejects echoed register count mismatch", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x10, 45353, 2);
+            const result = validateRtuWriteResponse(response, 0x10, 45353, 4);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Register count mismatch");
+        });
+
+        test("rejects wrong function code", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x03, 47510, 5000);
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("function code");
+        });
+
+        test("rejects missing AA55 header", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x06, 47510, 5000);
+            response[0] = 0x00;
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("AA55");
+        });
+
+        test("rejects truncated response", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x06, 47510, 5000).slice(0, 8);
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("too short");
+        });
+
+        test("rejects CRC mismatch", () => {
+            const response = buildRtuWriteResponse(0xF7, 0x06, 47510, 5000);
+            response[9] ^= 0xFF;
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("CRC");
+        });
+
+        test("detects error response (high bit set)", () => {
+            const body = Buffer.from([0xF7, 0x86, 0x03]);
+            const crcBuf = Buffer.alloc(2);
+            crcBuf.writeUInt16LE(crc16(body), 0);
+            const response = Buffer.concat([Buffer.from([0xAA, 0x55]), body, crcBuf]);
+            const result = validateRtuWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("error response");
+            expect(result.exception.code).toBe("MODBUS_ILLEGAL_DATA_VALUE");
+        });
+    });
+
     describe("extractRtuPayload", () => {
         test("extracts payload after 5-byte header", () => {
             const response = Buffer.from([
@@ -330,6 +544,33 @@ describe("Modbus TCP", () => {
         });
     });
 
+    describe("createTcpWriteRequest", () => {
+        test("creates 12-byte frame with function code 0x06", () => {
+            const frame = createTcpWriteRequest(0xF7, 47510, 5000);
+            expect(frame.length).toBe(12);
+            expect(frame.readUInt16BE(0)).toBe(1);
+            expect(frame.readUInt16BE(4)).toBe(6);
+            expect(frame[6]).toBe(0xF7);
+            expect(frame[7]).toBe(0x06);
+            expect(frame.readUInt16BE(8)).toBe(47510);
+            expect(frame.readUInt16BE(10)).toBe(5000);
+        });
+    });
+
+    describe("createTcpWriteMultiRequest", () => {
+        test("creates frame with function code 0x10 and correct length field", () => {
+            const values = Buffer.from([0x00, 0x01, 0x00, 0x02]);
+            const frame = createTcpWriteMultiRequest(0xF7, 47515, values);
+            expect(frame.length).toBe(13 + 4);
+            expect(frame.readUInt16BE(4)).toBe(7 + 4);
+            expect(frame[7]).toBe(0x10);
+            expect(frame.readUInt16BE(8)).toBe(47515);
+            expect(frame.readUInt16BE(10)).toBe(2);
+            expect(frame[12]).toBe(4);
+            expect(frame.slice(13)).toEqual(values);
+        });
+    });
+
     describe("validateTcpResponse", () => {
         function buildValidTcpResponse(registerCount) {
             const byteCount = registerCount * 2;
@@ -370,6 +611,16 @@ describe("Modbus TCP", () => {
             expect(result.error).toContain("error response");
         });
 
+        test("decodes exception code", () => {
+            const response = Buffer.alloc(9);
+            response[7] = 0x83;
+            response[8] = 0x06; // Slave device busy
+            const result = validateTcpResponse(response, 0x03, 10);
+            expect(result.error).toContain("Slave device busy");
+            expect(result.exception.code).toBe("MODBUS_SLAVE_DEVICE_BUSY");
+            expect(result.exception.functionCode).toBe(0x03);
+        });
+
         test("rejects byte count mismatch", () => {
             const response = buildValidTcpResponse(5);
             const result = validateTcpResponse(response, 0x03, 10);
@@ -378,6 +629,71 @@ describe("Modbus TCP", () => {
         });
     });
 
+    describe("validateTcpWriteResponse", () => {
+        function buildTcpWriteResponse(cmd, register, value) {
+            const frame = Buffer.alloc(12);
+            frame.writeUInt16BE(1, 0);           // Transaction ID
+            frame.writeUInt16BE(0, 2);           // Protocol ID
+            frame.writeUInt16BE(6, 4);           // Length
+            frame.writeUInt8(0xF7, 6);           // Unit ID
+            frame.writeUInt8(cmd, 7);            // Function code
+            frame.writeUInt16BE(register, 8);
+            frame.writeUInt16BE(value, 10);
+            return frame;
+        }
+
+        test("validates single-register echo", () => {
+            const response = buildTcpWriteResponse(0x06, 47510, 5000);
+            const result = validateTcpWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(true);
+            expect(result.error).toBeNull();
+        });
+
+        test("validates multi-register echo", () => {
+            const response = buildTcpWriteResponse(0x10, 45353, 4);
+            const result = validateTcpWriteResponse(response, 0x10, 45353, 4);
+            expect(result.valid).toBe(true);
+        });
+
+        test("rejects echoed register mismatch", () => {
+            const response = buildTcpWriteResponse(0x06, 47511, 5000);
+            const result = validateTcpWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Register mismatch");
+        });
+
+        test("rejects echoed value mismatch", () => {
+            const response = buildTcpWriteResponse(0x06, 47510, 4000);
+            const result = validateTcpWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Value mismatch");
+        });
+
+        test("rejects echoed register count mismatch", () => {
+            const response = buildTcpWriteResponse(0x10, 45353, 2);
+            const result = validateTcpWriteResponse(response, 0x10, 45353, 4);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("Register count mismatch");
+        });
+
+        test("rejects truncated response", () => {
+            const response = buildTcpWriteResponse(0x06, 47510, 5000).slice(0, 10);
+            const result = validateTcpWriteResponse(response, 0x06, 47510, 5000);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("too short");
+        });
+
+        test("detects error response", () => {
+            const response = Buffer.alloc(9);
+            response[7] = 0x90; // Error: 0x10 | 0x80
+            response[8] = 0x02; // Error code
+            const result = validateTcpWriteResponse(response, 0x10, 45353, 4);
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain("error response");
+            expect(result.exception.code).toBe("MODBUS_ILLEGAL_DATA_ADDRESS");
+        });
+    });
+
     describe("extractTcpPayload", () => {
         test("extracts payload after 9-byte header", () => {
             const response = Buffer.from([
@@ -393,10 +709,98 @@ describe("Modbus TCP", () => {
             expect(() => extractTcpPayload(Buffer.alloc(5))).toThrow();
         });
     });
+
+    describe("isTcpFrame", () => {
+        test("accepts MBAP request frames", () => {
+            expect(isTcpFrame(createTcpReadRequest(0xF7, 35100, 10))).toBe(true);
+            expect(isTcpFrame(createTcpWriteMultiRequest(0xF7, 47000, Buffer.from([0, 1, 0, 2])))).toBe(true);
+        });
+
+        test("rejects AA55 and RTU frames", () => {
+            expect(isTcpFrame(AA55_COMMANDS.READ_DEVICE_INFO)).toBe(false);
+            expect(isTcpFrame(createRtuReadRequest(0xF7, 35100, 10))).toBe(false);
+            expect(isTcpFrame(null)).toBe(false);
+        });
+    });
+
+    describe("splitTcpFrames", () => {
+        // Read reply with transaction ID `txId` carrying `byteCount` bytes
+        function tcpReply(txId, byteCount) {
+            const frame = Buffer.alloc(9 + byteCount);
+            frame.writeUInt16BE(txId, 0);
+            frame.writeUInt16BE(3 + byteCount, 4);
+            frame[6] = 0xF7;
+            frame[7] = 0x03;
+            frame[8] = byteCount;
+            return frame;
+        }
+
+        test("returns a single complete frame", () => {
+            const reply = tcpReply(1, 4);
+            const { frames, remainder } = splitTcpFrames(reply);
+            expect(frames).toEqual([reply]);
+            expect(remainder.length).toBe(0);
+        });
+
+        test("keeps an incomplete frame as remainder", () => {
+            const reply = tcpReply(1, 20);
+            const first = splitTcpFrames(reply.slice(0, 4));
+            expect(first.frames).toEqual([]);
+            expect(first.remainder).toEqual(reply.slice(0, 4));
+
+            const second = splitTcpFrames(Buffer.concat([first.remainder, reply.slice(4, 15)]));
+            expect(second.frames).toEqual([]);
+
+            const third = splitTcpFrames(Buffer.concat([second.remainder, reply.slice(15)]));
+            expect(third.frames).toEqual([reply]);
+            expect(third.remainder.length).toBe(0);
+        });
+
+        test("splits coalesced frames", () => {
+            const a = tcpReply(1, 4);
+            const b = tcpReply(2, 2);
+            const exception = Buffer.from([0x00, 0x03, 0x00, 0x00, 0x00, 0x03, 0xF7, 0x83, 0x02]);
+            const c = tcpReply(4, 6);
+
+            const { frames, remainder } = splitTcpFrames(Buffer.concat([a, b, exception, c.slice(0, 5)]));
+            expect(frames).toEqual([a, b, exception]);
+            expect(remainder).toEqual(c.slice(0, 5));
+        });
+
+        test("skips bytes that cannot start a frame", () => {
+            const reply = tcpReply(7, 4);
+            const { frames } = splitTcpFrames(Buffer.concat([Buffer.from([0xAA, 0x55, 0xC0]), reply]));
+            expect(frames).toEqual([reply]);
+        });
+    });
 });
 
 // ── Default comm address tests ─────────────────────────────────────────────
 
+describe("decodeModbusException", () => {
+    test.each([
+        [0x01, "MODBUS_ILLEGAL_FUNCTION", "Illegal function"],
+        [0x02, "MODBUS_ILLEGAL_DATA_ADDRESS", "Illegal data address"],
+        [0x03, "MODBUS_ILLEGAL_DATA_VALUE", "Illegal data value"],
+        [0x04, "MODBUS_SLAVE_DEVICE_FAILURE", "Slave device failure"],
+        [0x06, "MODBUS_SLAVE_DEVICE_BUSY", "Slave device busy"],
+        [0x0B, "MODBUS_GATEWAY_TARGET_FAILED", "Gateway target device failed to respond"],
+    ])("decodes exception 0x%s", (exceptionCode, code, message) => {
+        expect(decodeModbusException(0x03, exceptionCode)).toEqual({
+            functionCode: 0x03,
+            exceptionCode,
+            code,
+            message
+        });
+    });
+
+    test("falls back to a generic code for unknown exceptions", () => {
+        const exception = decodeModbusException(0x06, 0x7F);
+        expect(exception.code).toBe("MODBUS_EXCEPTION");
+        expect(exception.message).toBe("Unknown exception");
+    });
+});
+
 describe("getDefaultCommAddr", () => {
     test("returns 0xF7 for ET family", () => {
         expect(getDefaultCommAddr("ET")).toBe(0xF7);
@@ -0,0 +1,270 @@
+/**
+ * Tests for ProtocolHandler.readRuntimeData()
+ *
+ * Tests reading and merging the register blocks of a family config, and
+ * reading only the registers of a sensor subset, with a stubbed Modbus
+ * transport.
+ */
+
+const {
+    getFamilyConfig,
+    buildSensorMetadata,
+    planSensorBlocks,
+    ET_SENSORS,
+    ET_METER_REGISTER_START,
+    ET_BMS_REGISTER_START,
+} = require("../lib/sensors");
+const { ProtocolHandler } = require("../lib/protocol");
+const { stubModbusInverter } = require("./fixtures/modbus-inverter");
+
+describe("ProtocolHandler.readRuntimeData", () => {
+
+    describe("register blocks", () => {
+        test("ET family config lists the main, meter and BMS blocks", () => {
+            const config = getFamilyConfig("ET");
+            expect(config.blocks).toEqual([
+                { start: 35100, count: 125 },
+                { start: 36000, count: 45, optional: true },
+                { start: 37000, count: 24, optional: true }
+            ]);
+            expect(getFamilyConfig("EH").blocks).toBe(config.blocks);
+        });
+
+        test("DT family config has a single block", () => {
+            expect(getFamilyConfig("DT").blocks).toEqual([{ start: 30100, count: 73 }]);
+        });
+
+        test("ES family config has no register blocks", () => {
+            expect(getFamilyConfig("ES").blocks).toBeUndefined();
+        });
+    });
+
+    describe("sensor subset", () => {
+        function readRanges(sent) {
+            return sent.map(command => [command.readUInt16BE(2), command.readUInt16BE(4)]);
+        }
+
+        test("plans the smallest ranges covering the sensors, merging small gaps", () => {
+            const blocks = planSensorBlocks(getFamilyConfig("ET"), ["vpv1", "ipv2", "vgrid"]);
+
+            // vpv1 35103, ipv2 35108 and vgrid 35121 are at most 16 registers apart
+            expect(blocks.map(block => [block.start, block.count])).toEqual([[35103, 19]]);
+            expect(blocks[0].items.map(sensor => sensor.id)).toEqual(["vpv1", "ipv2", "vgrid"]);
+        });
+
+        test("plans the dependencies of calculated sensors", () => {
+            const blocks = planSensorBlocks(getFamilyConfig("ET"), ["house_consumption"]);
+
+            expect(blocks.map(block => [block.start, block.count])).toEqual([
+                [35105, 14],    // ppv1..ppv4
+                [35140, 1],     // active_power
+                [35182, 2]      // pbattery1
+            ]);
+        });
+
+        test("plans the sensor of a label and keeps optional blocks optional", () => {
+            const blocks = planSensorBlocks(getFamilyConfig("ET"), ["work_mode_label", "battery_soc", "unknown"]);
+
+            expect(blocks).toEqual([
+                expect.objectContaining({ start: 35187, count: 1 }),
+                expect.objectContaining({ start: 37007, count: 1, optional: true })
+            ]);
+            expect(blocks[0].optional).toBeUndefined();
+        });
+
+        test("reads only the ranges of the requested sensors", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const sent = stubModbusInverter(handler, { 35105: 0, 35106: 1200, 35121: 2300, 37007: 76 });
+
+            const data = await handler.readRuntimeData({ sensors: ["ppv", "vgrid", "battery_soc"] });
+
+            expect(readRanges(sent)).toEqual([[35105, 17], [37007, 1]]);
+            expect(data).toMatchObject({ ppv: 1200, ppv1: 1200, vgrid: 230, battery_soc: 76 });
+            expect(data.vpv1).toBeUndefined();
+        });
+
+        test("skips rejected ranges of optional blocks", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, { 35121: 2300 }, { unsupported: [37007] });
+
+            const data = await handler.readRuntimeData({ sensors: ["vgrid", "battery_soc"] });
+
+            expect(data.vgrid).toBe(230);
+            expect(data.battery_soc).toBeUndefined();
+        });
+
+        test("reads every block without sensors", async () => {
+            const handler = new ProtocolHandler({ family: "DT", protocol: "udp" });
+            const sent = stubModbusInverter(handler, {});
+
+            await handler.readRuntimeData({ sensors: [] });
+
+            expect(readRanges(sent)).toEqual([[30100, 73]]);
+        });
+    });
+
+    describe("ET battery/BMS block", () => {
+        const bmsRegisters = {
+            35121: 2300,    // vgrid 230.0 V
+            37003: 215,     // battery_temperature 21.5 C
+            37004: 50,      // battery_charge_limit
+            37005: 60,      // battery_discharge_limit
+            37006: 0x0004,  // battery_error_l
+            37007: 76,      // battery_soc
+            37008: 98,      // battery_soh
+            37010: 0x0100,  // battery_warning_l
+            37012: 0x0001,  // battery_error_h
+            37013: 0x0002,  // battery_warning_h
+            37020: 240,     // battery_max_cell_temp 24.0 C
+            37021: 0xFFEC,  // battery_min_cell_temp -2.0 C
+            37022: 3345,    // battery_max_cell_voltage 3.345 V
+            37023: 3301     // battery_min_cell_voltage 3.301 V
+        };
+
+        test("reads every block and merges the sensors", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const sent = stubModbusInverter(handler, Object.assign({}, bmsRegisters));
+
+            const data = await handler.readRuntimeData();
+
+            expect(sent).toHaveLength(3);
+            expect(sent[0].readUInt16BE(2)).toBe(35100);
+            expect(sent[0].readUInt16BE(4)).toBe(125);
+            expect(sent[2].readUInt16BE(2)).toBe(ET_BMS_REGISTER_START);
+            expect(sent[2].readUInt16BE(4)).toBe(24);
+
+            expect(data.vgrid).toBe(230);
+            expect(data.ppv).toBe(0);
+            expect(data).toMatchObject({
+                battery_temperature: 21.5,
+                battery_charge_limit: 50,
+                battery_discharge_limit: 60,
+                battery_soc: 76,
+                battery_soh: 98,
+                battery_error_l: 0x0004,
+                battery_error_h: 0x0001,
+                battery_warning_l: 0x0100,
+                battery_warning_h: 0x0002,
+                battery_max_cell_temp: 24,
+                battery_min_cell_temp: -2,
+                battery_max_cell_voltage: 3.345,
+                battery_min_cell_voltage: 3.301
+            });
+        });
+
+        test("works over Modbus TCP", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "modbus", port: 502 });
+            stubModbusInverter(handler, Object.assign({}, bmsRegisters));
+
+            const data = await handler.readRuntimeData();
+            expect(data.battery_soc).toBe(76);
+            expect(data.vgrid).toBe(230);
+        });
+
+        test("skips the BMS block when the inverter rejects it", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, Object.assign({}, bmsRegisters), { unsupported: [37000] });
+
+            const data = await handler.readRuntimeData();
+            expect(data.vgrid).toBe(230);
+            expect(data.battery_soc).toBeUndefined();
+        });
+
+        test("fails when a required block is rejected", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, {}, { unsupported: [35100] });
+
+            await expect(handler.readRuntimeData()).rejects.toMatchObject({
+                code: "MODBUS_ILLEGAL_DATA_ADDRESS"
+            });
+        });
+
+        test("fails on other errors in an optional block", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, {});
+            const stubbed = handler.sendCommandWithRetry;
+            handler.sendCommandWithRetry = jest.fn(async (command) => {
+                if (command.readUInt16BE(2) === ET_BMS_REGISTER_START) {
+                    const error = new Error("Request timeout");
+                    error.code = "TIMEOUT";
+                    throw error;
+                }
+                return stubbed(command);
+            });
+
+            await expect(handler.readRuntimeData()).rejects.toMatchObject({ code: "TIMEOUT" });
+        });
+    });
+
+    describe("ET smart meter block", () => {
+        /**
+         * Store a big-endian IEEE 754 float in two registers
+         */
+        function floatRegisters(registers, address, value) {
+            const buf = Buffer.alloc(4);
+            buf.writeFloatBE(value, 0);
+            registers[address] = buf.readUInt16BE(0);
+            registers[address + 1] = buf.readUInt16BE(2);
+        }
+
+        function meterRegisters() {
+            const registers = {
+                36004: 1,       // meter_comm_status OK
+                36005: 0xFF38,  // active_power1 -200 W
+                36006: 150,     // active_power2
+                36007: 0xFFCE,  // active_power3 -50 W
+                36008: 0xFF9C,  // active_power_total -100 W
+                36010: 990,     // meter_power_factor1
+                36013: 0xFC4A,  // meter_power_factor -0.95
+                36014: 4998,    // meter_freq 49.98 Hz
+                36025: 0xFFFF,  // meter_active_power_total -100 W (Power4S)
+                36026: 0xFF9C
+            };
+            floatRegisters(registers, 36015, 1234567);  // meter_e_total_exp 1234.567 kWh
+            floatRegisters(registers, 36017, 890123);   // meter_e_total_imp 890.123 kWh
+            return registers;
+        }
+
+        test("reads the meter registers at 36000", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const sent = stubModbusInverter(handler, meterRegisters());
+
+            const data = await handler.readRuntimeData();
+
+            expect(sent[1].readUInt16BE(2)).toBe(ET_METER_REGISTER_START);
+            expect(sent[1].readUInt16BE(4)).toBe(45);
+            expect(data).toMatchObject({
+                meter_comm_status: 1,
+                active_power1: -200,
+                active_power2: 150,
+                active_power3: -50,
+                active_power_total: -100,
+                meter_power_factor1: 0.99,
+                meter_power_factor: -0.95,
+                meter_freq: 49.98,
+                meter_e_total_exp: 1234.567,
+                meter_e_total_imp: 890.123,
+                meter_active_power_total: -100
+            });
+        });
+
+        test("skips the meter block when the inverter rejects it", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, meterRegisters(), { unsupported: [36000] });
+
+            const data = await handler.readRuntimeData();
+            expect(data.meter_freq).toBeUndefined();
+            expect(data.active_power1).toBeUndefined();
+        });
+
+        test("meter sensors are categorized as grid", () => {
+            const metadata = buildSensorMetadata(ET_SENSORS);
+            const meterSensors = ET_SENSORS.filter(s => s.offset >= 36000 && s.offset < 36045);
+
+            expect(meterSensors.length).toBeGreaterThan(0);
+            meterSensors.forEach(sensor => {
+                expect(metadata[sensor.id]).toMatchObject({ kind: "GRID", category: "grid" });
+            });
+        });
+    });
+});
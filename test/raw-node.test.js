@@ -0,0 +1,297 @@
+/**
+ * Tests for GoodWe Raw Register Node
+ *
+ * These tests validate:
+ * - Raw node creation and configuration
+ * - Register range from node settings and message
+ * - Decoding with an inline decoding spec
+ * - Error handling
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../nodes/config.js");
+
+helper.init(require.resolve("node-red"));
+
+/**
+ * Result of ProtocolHandler.readRegisters() for the given registers
+ */
+function registerResult(start, registers) {
+    const buffer = Buffer.alloc(registers.length * 2);
+    registers.forEach((value, i) => buffer.writeUInt16BE(value, i * 2));
+    return {
+        start,
+        count: registers.length,
+        buffer,
+        uint16: registers,
+        int16: registers.map(value => (value > 0x7FFF ? value - 0x10000 : value)),
+        uint32: registers.slice(1).map((value, i) => buffer.readUInt32BE(i * 2))
+    };
+}
+
+const mockReadRegisters = jest.fn();
+const mockDisconnect = jest.fn().mockResolvedValue(undefined);
+
+jest.mock("../lib/protocol.js", () => ({
+    ProtocolHandler: jest.fn().mockImplementation(() => ({
+        readRegisters: mockReadRegisters,
+        disconnect: mockDisconnect,
+        on: jest.fn(),
+        transport: "udp"
+    }))
+}));
+
+// Must require after jest.mock
+const rawNode = require("../nodes/raw.js");
+
+describe("GoodWe Raw Register Node", function () {
+
+    beforeEach(function (done) {
+        mockReadRegisters.mockReset();
+        mockReadRegisters.mockImplementation(async (start, count) => registerResult(start, new Array(count).fill(0)));
+        mockDisconnect.mockClear();
+        helper.startServer(done);
+    });
+
+    afterEach(function (done) {
+        helper.unload();
+        helper.stopServer(done);
+    });
+
+    function createRawFlow(config = {}) {
+        return [
+            {
+                id: "c1",
+                type: "goodwe-config",
+                name: "test config",
+                host: config.host === undefined ? "192.168.1.100" : config.host,
+                port: 8899,
+                protocol: "udp",
+                family: "ET"
+            },
+            {
+                id: "n1",
+                type: "goodwe-raw",
+                name: "test raw",
+                config: "c1",
+                start: config.start === undefined ? "35100" : config.start,
+                count: config.count || "4",
+                decode: config.decode || "",
+                wires: [["n2"]]
+            },
+            { id: "n2", type: "helper" }
+        ];
+    }
+
+    /**
+     * Send a message and resolve with the output message
+     */
+    function expectOutput(n1, n2, msg) {
+        return new Promise((resolve) => {
+            n2.on("input", resolve);
+            n1.receive(msg);
+        });
+    }
+
+    describe("Node Creation", function () {
+
+        it("should be loaded", function (done) {
+            helper.load([configNode, rawNode], createRawFlow(), function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    expect(n1.name).toBe("test raw");
+                    expect(n1.start).toBe(35100);
+                    expect(n1.count).toBe(4);
+                    expect(n1.decode).toBeNull();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("Reading Registers", function () {
+
+        it("should read the configured range", function (done) {
+            mockReadRegisters.mockResolvedValueOnce(registerResult(35100, [1, 2, 3, 0xFFFF]));
+
+            helper.load([configNode, rawNode], createRawFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    const msg = await expectOutput(n1, n2, { payload: true });
+                    expect(mockReadRegisters).toHaveBeenCalledWith(35100, 4);
+                    expect(msg.payload).toMatchObject({ start: 35100, count: 4, uint16: [1, 2, 3, 65535], int16: [1, 2, 3, -1] });
+                    expect(Buffer.isBuffer(msg.payload.buffer)).toBe(true);
+                    expect(msg.payload.values).toBeUndefined();
+                    expect(msg.topic).toBe("goodwe/raw");
+                    expect(msg._inverter).toEqual({ family: "ET", host: "192.168.1.100", transport: "udp" });
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should take the range and decoding spec from the message", function (done) {
+            mockReadRegisters.mockResolvedValueOnce(registerResult(40000, [0, 1200]));
+
+            helper.load([configNode, rawNode], createRawFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    const msg = await expectOutput(n1, n2, {
+                        payload: { start: 40000, count: 2, decode: [{ id: "power", offset: 40000, type: "Power4" }] }
+                    });
+                    expect(mockReadRegisters).toHaveBeenCalledWith(40000, 2);
+                    expect(msg.payload.values).toEqual({ power: 1200 });
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should accept a range given as numeric strings", function (done) {
+            helper.load([configNode, rawNode], createRawFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    await expectOutput(n1, n2, { payload: { start: "40000", count: "2" } });
+                    expect(mockReadRegisters).toHaveBeenCalledWith(40000, 2);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it.each([
+            [{ start: "12abc" }],
+            [{ start: 40000, count: "1.5" }],
+            [{ start: "", count: 2 }],
+            [{ start: true }]
+        ])("should reject a message range that is not whole numbers: %j", function (payload, done) {
+            helper.load([configNode, rawNode], createRawFlow(), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].code).toBe("INVALID_REGISTER_RANGE");
+                        expect(mockReadRegisters).not.toHaveBeenCalled();
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload });
+            });
+        });
+
+        it("should reject a configured range that is not whole numbers", function (done) {
+            helper.load([configNode, rawNode], createRawFlow({ start: "35100x" }), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].code).toBe("INVALID_REGISTER_RANGE");
+                        expect(call.args[0].message).toContain("35100x");
+                        expect(mockReadRegisters).not.toHaveBeenCalled();
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: true });
+            });
+        });
+
+        it("should decode with the configured decoding spec", function (done) {
+            mockReadRegisters.mockResolvedValueOnce(registerResult(35100, [2455, 0xFFEC, 0, 0]));
+            const decode = JSON.stringify([
+                { id: "voltage", offset: 35100, type: "Voltage" },
+                { id: "current", offset: 35101, type: "CurrentS" }
+            ]);
+
+            helper.load([configNode, rawNode], createRawFlow({ decode }), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    const msg = await expectOutput(n1, n2, { payload: true });
+                    expect(msg.payload.values).toEqual({ voltage: 245.5, current: -2 });
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("Error Handling", function () {
+
+        it("should report an invalid decoding spec", function (done) {
+            helper.load([configNode, rawNode], createRawFlow({ decode: "[{" }), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].code).toBe("INVALID_DECODE_SPEC");
+                        expect(mockReadRegisters).not.toHaveBeenCalled();
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: true });
+            });
+        });
+
+        it("should report an unknown type in the decoding spec", function (done) {
+            helper.load([configNode, rawNode], createRawFlow(), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].code).toBe("INVALID_DECODE_SPEC");
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: { decode: [{ id: "x", offset: 35100, type: "Nope" }] } });
+            });
+        });
+
+        it("should report read errors", function (done) {
+            const error = new Error("Invalid register range: start null, count 4");
+            error.code = "INVALID_REGISTER_RANGE";
+            mockReadRegisters.mockRejectedValueOnce(error);
+
+            helper.load([configNode, rawNode], createRawFlow({ start: "" }), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(mockReadRegisters).toHaveBeenCalledWith(null, 4);
+                        expect(call.args[0].code).toBe("INVALID_REGISTER_RANGE");
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: true });
+            });
+        });
+
+        it("should handle invalid host gracefully", function (done) {
+            helper.load([configNode, rawNode], createRawFlow({ host: "" }), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].message).toContain("Invalid host");
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: true });
+            });
+        });
+    });
+});
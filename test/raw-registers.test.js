@@ -0,0 +1,98 @@
+/**
+ * Tests for ProtocolHandler.readRegisters() and decodeRegisters()
+ *
+ * Tests reading arbitrary register ranges with a stubbed Modbus transport
+ * and decoding them with an inline decoding spec.
+ */
+
+const { decodeRegisters } = require("../lib/sensors");
+const { ProtocolHandler } = require("../lib/protocol");
+const { stubModbusInverter } = require("./fixtures/modbus-inverter");
+
+describe("ProtocolHandler.readRegisters", () => {
+    test("reads the range and returns the raw data with views", async () => {
+        const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+        const sent = stubModbusInverter(handler, { 40000: 0x0001, 40001: 0xFFFE, 40002: 0x0010 });
+
+        const result = await handler.readRegisters(40000, 3);
+
+        expect(sent[0].readUInt16BE(2)).toBe(40000);
+        expect(sent[0].readUInt16BE(4)).toBe(3);
+        expect(result.buffer).toEqual(Buffer.from([0x00, 0x01, 0xFF, 0xFE, 0x00, 0x10]));
+        expect(result).toMatchObject({
+            start: 40000,
+            count: 3,
+            uint16: [1, 65534, 16],
+            int16: [1, -2, 16],
+            uint32: [0x0001FFFE, 0xFFFE0010]
+        });
+    });
+
+    test("works over Modbus TCP", async () => {
+        const handler = new ProtocolHandler({ family: "ET", protocol: "modbus" });
+        stubModbusInverter(handler, { 35100: 42 });
+
+        await expect(handler.readRegisters(35100, 1)).resolves.toMatchObject({ uint16: [42], uint32: [] });
+    });
+
+    test.each([
+        [-1, 1],
+        [65535, 2],
+        [100, 0],
+        [100, 126],
+        [1.5, 1],
+        [null, 1]
+    ])("rejects start %p with count %p", async (start, count) => {
+        const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+        const sent = stubModbusInverter(handler, {});
+
+        await expect(handler.readRegisters(start, count)).rejects.toMatchObject({ code: "INVALID_REGISTER_RANGE" });
+        expect(sent).toHaveLength(0);
+    });
+
+    test("rejects the AA55 families without sending a request", async () => {
+        const handler = new ProtocolHandler({ family: "ES", protocol: "udp" });
+        const sent = stubModbusInverter(handler, {});
+
+        await expect(handler.readRegisters(100, 1)).rejects.toMatchObject({ code: "UNSUPPORTED_FAMILY" });
+        expect(sent).toHaveLength(0);
+    });
+
+    test("reports registers the inverter does not have", async () => {
+        const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+        stubModbusInverter(handler, {}, { unsupported: [12345] });
+
+        await expect(handler.readRegisters(12345, 1)).rejects.toMatchObject({ code: "MODBUS_ILLEGAL_DATA_ADDRESS" });
+    });
+});
+
+describe("decodeRegisters", () => {
+    const data = Buffer.from([0x09, 0x92, 0xFF, 0x38, 0x00, 0x01, 0x86, 0xA0]);
+
+    test("decodes the entries with the sensor type readers", () => {
+        const values = decodeRegisters([
+            { id: "voltage", offset: 100, type: "Voltage" },
+            { id: "current", offset: 101, type: "CurrentS" },
+            { id: "energy", offset: 102, type: "Energy4" },
+            { id: "scaled", offset: 101, type: "Decimal", scale: 100 }
+        ], data, 100);
+
+        expect(values).toEqual({ voltage: 245, current: -20, energy: 10000, scaled: -2 });
+    });
+
+    test("adds enum labels", () => {
+        const values = decodeRegisters([{ id: "mode", offset: 102, type: "Integer", values: { 0: "Off", 1: "On" } }], data, 100);
+
+        expect(values).toEqual({ mode: 1, mode_label: "On" });
+    });
+
+    test.each([
+        ["not an array", { id: "x" }],
+        ["an entry without id", [{ offset: 100, type: "Integer" }]],
+        ["an unknown type", [{ id: "x", offset: 100, type: "Nope" }]],
+        ["a register before the range", [{ id: "x", offset: 99, type: "Integer" }]],
+        ["a value past the range", [{ id: "x", offset: 103, type: "Long" }]]
+    ])("rejects %s", (name, spec) => {
+        expect(() => decodeRegisters(spec, data, 100)).toThrow(expect.objectContaining({ code: "INVALID_DECODE_SPEC" }));
+    });
+});
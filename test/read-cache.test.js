@@ -0,0 +1,106 @@
+/**
+ * Tests for lib/read-cache.js
+ *
+ * Tests serving read results within the TTL and joining reads in flight.
+ */
+
+const { ReadCache } = require("../lib/read-cache");
+
+describe("ReadCache", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("should serve a result from the cache within the TTL", async () => {
+        const cache = new ReadCache({ ttl: 1000 });
+        const read = jest.fn().mockResolvedValue("data");
+        const now = jest.spyOn(Date, "now").mockReturnValue(10000);
+
+        await expect(cache.get("runtime", read)).resolves.toEqual({ value: "data", hit: false, age: 0 });
+        now.mockReturnValue(10400);
+        await expect(cache.get("runtime", read)).resolves.toEqual({ value: "data", hit: true, age: 400 });
+
+        expect(read).toHaveBeenCalledTimes(1);
+    });
+
+    it("should read again once the TTL has passed", async () => {
+        const cache = new ReadCache({ ttl: 1000 });
+        const read = jest.fn().mockResolvedValueOnce("old").mockResolvedValueOnce("new");
+        const now = jest.spyOn(Date, "now").mockReturnValue(10000);
+
+        await cache.get("runtime", read);
+        now.mockReturnValue(11000);
+
+        await expect(cache.get("runtime", read)).resolves.toEqual({ value: "new", hit: false, age: 0 });
+    });
+
+    it("should join a read in flight", async () => {
+        const cache = new ReadCache();
+        let resolve;
+        const read = jest.fn(() => new Promise(r => { resolve = r; }));
+
+        const first = cache.get("runtime", read);
+        const second = cache.get("runtime", read);
+        resolve("data");
+
+        await expect(first).resolves.toMatchObject({ value: "data", hit: false });
+        await expect(second).resolves.toMatchObject({ value: "data", hit: true });
+        expect(read).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not cache without a TTL", async () => {
+        const cache = new ReadCache();
+        const read = jest.fn().mockResolvedValue("data");
+
+        await cache.get("runtime", read);
+        await cache.get("runtime", read);
+
+        expect(read).toHaveBeenCalledTimes(2);
+    });
+
+    it("should pass a failed read to every caller and not cache it", async () => {
+        const cache = new ReadCache({ ttl: 1000 });
+        const read = jest.fn().mockRejectedValueOnce(new Error("Request timeout")).mockResolvedValue("data");
+
+        const results = await Promise.allSettled([cache.get("runtime", read), cache.get("runtime", read)]);
+
+        expect(results.map(result => result.status)).toEqual(["rejected", "rejected"]);
+        await expect(cache.get("runtime", read)).resolves.toMatchObject({ value: "data", hit: false });
+    });
+
+    it("should read again after clear()", async () => {
+        const cache = new ReadCache({ ttl: 1000 });
+        const read = jest.fn().mockResolvedValue("data");
+
+        await cache.get("runtime", read);
+        cache.clear();
+        await cache.get("runtime", read);
+
+        expect(read).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not cache a read that was in flight during clear()", async () => {
+        const cache = new ReadCache({ ttl: 1000 });
+        let resolve;
+        const oldRead = jest.fn(() => new Promise(r => { resolve = r; }));
+        const newRead = jest.fn().mockResolvedValue("new host");
+
+        const inFlight = cache.get("runtime", oldRead);
+        cache.clear();
+        const afterClear = cache.get("runtime", newRead);
+        resolve("old host");
+
+        await expect(inFlight).resolves.toMatchObject({ value: "old host", hit: false });
+        await expect(afterClear).resolves.toMatchObject({ value: "new host", hit: false });
+        await expect(cache.get("runtime", newRead)).resolves.toMatchObject({ value: "new host", hit: true });
+        expect(newRead).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep results of different keys apart", async () => {
+        const cache = new ReadCache({ ttl: 1000 });
+
+        await cache.get("a", async () => 1);
+
+        await expect(cache.get("b", async () => 2)).resolves.toMatchObject({ value: 2, hit: false });
+    });
+});
@@ -34,13 +34,17 @@ const MOCK_ET_RUNTIME_DATA = {
     total_inverter_power: 2875,
     temperature: 42.5,
     work_mode: 1,
+    work_mode_label: "Normal (On-Grid)",
     e_day: 12.5,
     e_total: 1234.5,
     h_total: 2468,
     vbattery1: 51.2,
     ibattery1: -5.0,
     pbattery1: -256,
-    battery_mode: 1
+    battery_mode: 1,
+    battery_mode_label: "Standby",
+    error_codes: 0x4000,
+    error_codes_messages: ["Utility Loss"]
 };
 
 /**
@@ -206,6 +210,7 @@ describe("GoodWe Read Node", function () {
                         expect(msg._inverter).toBeDefined();
                         expect(msg._inverter.family).toBe("ET");
                         expect(msg._inverter.host).toBe("192.168.1.100");
+                        expect(msg._cache).toEqual({ hit: false, age: 0 });
                         done();
                     } catch (err) {
                         done(err);
@@ -387,6 +392,40 @@ describe("GoodWe Read Node", function () {
                 n1.receive({ payload: true });
             });
         });
+
+        it("should fold enum labels and bitmap messages into the sensor entry", function (done) {
+            const flow = createReadFlow({ outputFormat: "array" });
+
+            helper.load([configNode, readNode], flow, function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", function (msg) {
+                    try {
+                        const workMode = msg.payload.find(item => item.id === "work_mode");
+                        expect(workMode.value).toBe(1);
+                        expect(workMode.label).toBe("Normal (On-Grid)");
+
+                        const batteryMode = msg.payload.find(item => item.id === "battery_mode");
+                        expect(batteryMode.label).toBe("Standby");
+
+                        expect(msg.payload.find(item => item.id === "work_mode_label")).toBeUndefined();
+                        expect(msg.payload.find(item => item.id === "vpv1").label).toBeUndefined();
+
+                        const errors = msg.payload.find(item => item.id === "error_codes");
+                        expect(errors.value).toBe(0x4000);
+                        expect(errors.messages).toEqual(["Utility Loss"]);
+                        expect(msg.payload.find(item => item.id === "error_codes_messages")).toBeUndefined();
+
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: true });
+            });
+        });
     });
 
     describe("Sensor Filtering", function () {
@@ -433,6 +472,9 @@ describe("GoodWe Read Node", function () {
                         // Should only have three sensors
                         expect(Object.keys(msg.payload).length).toBe(3);
 
+                        // Only the registers of the requested sensors are read
+                        expect(mockReadRuntimeData).toHaveBeenCalledWith({ sensors: ["vpv1", "vpv2", "vbattery1"] });
+
                         done();
                     } catch (err) {
                         done(err);
@@ -443,6 +485,29 @@ describe("GoodWe Read Node", function () {
             });
         });
 
+        it("should keep the label of a requested enum sensor", function (done) {
+            const flow = createReadFlow({ outputFormat: "flat" });
+
+            helper.load([configNode, readNode], flow, function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", function (msg) {
+                    try {
+                        expect(msg.payload).toEqual({
+                            work_mode: 1,
+                            work_mode_label: "Normal (On-Grid)"
+                        });
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: { sensors: ["work_mode"] } });
+            });
+        });
+
         it("should work with categorized format and filtering", function (done) {
             const flow = createReadFlow({ outputFormat: "categorized" });
 
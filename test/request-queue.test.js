@@ -0,0 +1,175 @@
+/**
+ * Tests for lib/request-queue.js
+ *
+ * Tests serialized execution, FIFO and priority ordering, per-request
+ * timeouts, clearing and queue statistics.
+ */
+
+const { RequestQueue, PRIORITY } = require("../lib/request-queue");
+
+/**
+ * Create a task that resolves with `value` after `delay` ms and records
+ * when it started and finished.
+ */
+function delayedTask(log, value, delay = 10) {
+    return () => new Promise(resolve => {
+        log.push(`start ${value}`);
+        setTimeout(() => {
+            log.push(`end ${value}`);
+            resolve(value);
+        }, delay);
+    });
+}
+
+describe("RequestQueue", () => {
+
+    describe("ordering", () => {
+        it("should run one request at a time in FIFO order", async () => {
+            const queue = new RequestQueue();
+            const log = [];
+
+            const results = await Promise.all([
+                queue.enqueue(delayedTask(log, "a")),
+                queue.enqueue(delayedTask(log, "b")),
+                queue.enqueue(delayedTask(log, "c"))
+            ]);
+
+            expect(results).toEqual(["a", "b", "c"]);
+            expect(log).toEqual(["start a", "end a", "start b", "end b", "start c", "end c"]);
+        });
+
+        it("should start higher priority requests first", async () => {
+            const queue = new RequestQueue();
+            const log = [];
+
+            await Promise.all([
+                queue.enqueue(delayedTask(log, "running")),
+                queue.enqueue(delayedTask(log, "low"), { priority: PRIORITY.LOW }),
+                queue.enqueue(delayedTask(log, "normal")),
+                queue.enqueue(delayedTask(log, "high"), { priority: PRIORITY.HIGH }),
+                queue.enqueue(delayedTask(log, "normal2"))
+            ]);
+
+            const starts = log.filter(entry => entry.startsWith("start")).map(entry => entry.slice(6));
+            expect(starts).toEqual(["running", "high", "normal", "normal2", "low"]);
+        });
+
+        it("should allow more requests in flight when concurrency is raised", async () => {
+            const queue = new RequestQueue({ concurrency: 2 });
+            const log = [];
+
+            await Promise.all([
+                queue.enqueue(delayedTask(log, "a")),
+                queue.enqueue(delayedTask(log, "b"))
+            ]);
+
+            expect(log.slice(0, 2)).toEqual(["start a", "start b"]);
+        });
+
+        it("should run exclusive requests alone", async () => {
+            const queue = new RequestQueue({ concurrency: 2 });
+            const log = [];
+
+            await Promise.all([
+                queue.enqueue(delayedTask(log, "a")),
+                queue.enqueue(delayedTask(log, "raw"), { exclusive: true }),
+                queue.enqueue(delayedTask(log, "b"))
+            ]);
+
+            expect(log).toEqual(["start a", "end a", "start raw", "end raw", "start b", "end b"]);
+        });
+
+        it("should continue with the next request after a failure", async () => {
+            const queue = new RequestQueue();
+            const failing = queue.enqueue(() => Promise.reject(new Error("boom")));
+            const next = queue.enqueue(() => Promise.resolve("ok"));
+
+            await expect(failing).rejects.toThrow("boom");
+            await expect(next).resolves.toBe("ok");
+        });
+    });
+
+    describe("timeouts", () => {
+        it("should reject a request that waits longer than its timeout", async () => {
+            const queue = new RequestQueue();
+            const log = [];
+
+            const first = queue.enqueue(delayedTask(log, "slow", 100));
+            const second = queue.enqueue(delayedTask(log, "waiting"), { timeout: 20 });
+
+            await expect(second).rejects.toMatchObject({ code: "QUEUE_TIMEOUT" });
+            await first;
+
+            expect(log).not.toContain("start waiting");
+            expect(queue.getStats().timedOut).toBe(1);
+        });
+
+        it("should keep the slot of a timed out running request until it finishes", async () => {
+            const queue = new RequestQueue({ timeout: 20 });
+            const log = [];
+
+            const running = queue.enqueue(delayedTask(log, "slow", 60));
+            const next = queue.enqueue(delayedTask(log, "next"), { timeout: 500 });
+
+            await expect(running).rejects.toMatchObject({ code: "QUEUE_TIMEOUT" });
+            expect(log).toEqual(["start slow"]);
+
+            await next;
+            expect(log).toEqual(["start slow", "end slow", "start next", "end next"]);
+        });
+    });
+
+    describe("clear", () => {
+        it("should reject waiting requests and leave the running one alone", async () => {
+            const queue = new RequestQueue();
+            const log = [];
+
+            const running = queue.enqueue(delayedTask(log, "running"));
+            const waiting = queue.enqueue(delayedTask(log, "waiting"));
+
+            queue.clear("Disconnected");
+
+            await expect(waiting).rejects.toMatchObject({ code: "QUEUE_CLEARED", message: "Disconnected" });
+            await expect(running).resolves.toBe("running");
+            expect(log).not.toContain("start waiting");
+        });
+    });
+
+    describe("getStats", () => {
+        it("should start empty", () => {
+            const queue = new RequestQueue();
+
+            expect(queue.getStats()).toEqual({
+                depth: 0,
+                active: 0,
+                processed: 0,
+                failed: 0,
+                timedOut: 0,
+                averageWaitTime: 0,
+                maxWaitTime: 0,
+                lastWaitTime: 0
+            });
+        });
+
+        it("should report depth, requests in flight and wait times", async () => {
+            const queue = new RequestQueue();
+            const log = [];
+
+            const requests = [
+                queue.enqueue(delayedTask(log, "a", 30)),
+                queue.enqueue(delayedTask(log, "b", 30)),
+                queue.enqueue(() => Promise.reject(new Error("boom"))).catch(() => {})
+            ];
+
+            expect(queue.getStats()).toMatchObject({ depth: 2, active: 1 });
+
+            await Promise.all(requests);
+
+            const stats = queue.getStats();
+            expect(stats).toMatchObject({ depth: 0, active: 0, processed: 2, failed: 1 });
+            expect(stats.maxWaitTime).toBeGreaterThanOrEqual(50);
+            expect(stats.averageWaitTime).toBeGreaterThan(0);
+            expect(stats.averageWaitTime).toBeLessThanOrEqual(stats.maxWaitTime);
+        });
+    });
+});
@@ -11,6 +11,8 @@ const {
     getSensors,
     getFamilyConfig,
     parseSensorData,
+    calculateSensors,
+    decodeBitmap,
     buildSensorMetadata,
     ET_SENSORS,
     DT_SENSORS,
@@ -223,6 +225,19 @@ describe("Sensor type readers", () => {
         buf.writeInt16BE(-150, 0);
         expect(typeReaders.Reactive(buf, 0)).toBe(-150);
     });
+
+    test("Float: 32-bit IEEE 754 / scale", () => {
+        const buf = Buffer.alloc(4);
+        buf.writeFloatBE(1234567, 0); // 1234.567 with scale 1000
+        expect(typeReaders.Float(buf, 0, { scale: 1000 })).toBe(1234.567);
+    });
+
+    test("Float: returns null for NaN and insufficient data", () => {
+        const buf = Buffer.alloc(4);
+        buf.writeFloatBE(NaN, 0);
+        expect(typeReaders.Float(buf, 0, {})).toBeNull();
+        expect(typeReaders.Float(Buffer.alloc(2), 0, {})).toBeNull();
+    });
 });
 
 // ── getSensors tests ────────────────────────────────────────────────────────
@@ -426,6 +441,209 @@ describe("parseSensorData", () => {
     });
 });
 
+// ── Enum label tests ────────────────────────────────────────────────────────
+
+describe("Enum labels", () => {
+    test("ET: adds <id>_label values for mode codes", () => {
+        const buf = Buffer.alloc(250);
+        buf.writeUInt16BE(1, (35187 - ET_REGISTER_START) * 2); // work_mode
+        buf.writeUInt16BE(3, (35184 - ET_REGISTER_START) * 2); // battery_mode
+        buf.writeUInt16BE(1, (35136 - ET_REGISTER_START) * 2); // grid_mode
+        buf.writeUInt16BE(2, (35186 - ET_REGISTER_START) * 2); // safety_country
+
+        const result = parseSensorData(ET_SENSORS, buf, ET_REGISTER_START);
+        expect(result.work_mode).toBe(1);
+        expect(result.work_mode_label).toBe("Normal (On-Grid)");
+        expect(result.battery_mode_label).toBe("Charge");
+        expect(result.grid_mode_label).toBe("Connected to grid");
+        expect(result.safety_country_label).toBe("Germany");
+    });
+
+    test("ES: labels PV, meter, load and grid modes", () => {
+        const buf = Buffer.alloc(90);
+        buf.writeUInt8(2, 4);   // pv1_mode
+        buf.writeUInt8(0, 9);   // pv2_mode
+        buf.writeUInt8(1, 33);  // meter_status
+        buf.writeUInt8(1, 42);  // grid_mode
+        buf.writeUInt8(1, 51);  // load_mode
+        buf.writeUInt8(1, 52);  // work_mode
+        buf.writeUInt8(2, 80);  // grid_in_out
+
+        const result = parseSensorData(ES_SENSORS, buf, null);
+        expect(result).toMatchObject({
+            pv1_mode_label: "PV panels connected, producing power",
+            pv2_mode_label: "PV panels not connected",
+            meter_status_label: "Connected",
+            grid_mode_label: "Connected to grid",
+            load_mode_label: "The inverter is connected to a load",
+            work_mode_label: "Inverter On",
+            grid_in_out_label: "Importing"
+        });
+    });
+
+    test("DT: uses the DT work mode table", () => {
+        const buf = Buffer.alloc(146);
+        buf.writeUInt16BE(1, (30129 - DT_REGISTER_START) * 2);
+        expect(parseSensorData(DT_SENSORS, buf, DT_REGISTER_START).work_mode_label).toBe("Normal");
+    });
+
+    test("omits the label for unknown codes", () => {
+        const buf = Buffer.alloc(250);
+        buf.writeUInt16BE(99, (35187 - ET_REGISTER_START) * 2);
+
+        const result = parseSensorData(ET_SENSORS, buf, ET_REGISTER_START);
+        expect(result.work_mode).toBe(99);
+        expect(result.work_mode_label).toBeUndefined();
+    });
+
+    test("label values have metadata in the sensor's category", () => {
+        const metadata = buildSensorMetadata(ET_SENSORS);
+        expect(metadata.battery_mode.values[3]).toBe("Charge");
+        expect(metadata.battery_mode_label).toEqual({
+            name: "Battery Mode",
+            unit: "",
+            kind: "BAT",
+            category: "battery"
+        });
+    });
+});
+
+// ── Bitmap tests ────────────────────────────────────────────────────────────
+
+describe("Bitmap sensors", () => {
+    test("Bitmap reader uses the sensor size", () => {
+        const buf = Buffer.from([0x80, 0x00, 0x40, 0x01]);
+        expect(typeReaders.Bitmap(buf, 0, { size: 4 })).toBe(0x80004001);
+        expect(typeReaders.Bitmap(buf, 2, { size: 2 })).toBe(0x4001);
+    });
+
+    test("decodeBitmap lists messages of set bits, lowest bit first", () => {
+        const bits = { 0: "Zero", 2: "Two", 31: "Thirty-one" };
+        expect(decodeBitmap(0, bits)).toEqual([]);
+        expect(decodeBitmap(0x80000005, bits)).toEqual(["Zero", "Two", "Thirty-one"]);
+        expect(decodeBitmap(0x2, bits)).toEqual(["Bit 1"]);
+    });
+
+    test("ET: decodes error codes, diagnostics and BMS alarms", () => {
+        const buf = Buffer.alloc(250);
+        buf.writeUInt32BE((1 << 14) | (1 << 18), (35189 - ET_REGISTER_START) * 2); // error_codes
+        buf.writeUInt32BE((1 << 9), (35220 - ET_REGISTER_START) * 2);             // diagnose_result
+        buf.writeUInt16BE(0x0008, (35185 - ET_REGISTER_START) * 2);               // warning_code
+
+        const result = parseSensorData(ET_SENSORS, buf, ET_REGISTER_START);
+        expect(result.error_codes).toBe(0x44000);
+        expect(result.error_codes_messages).toEqual(["Utility Loss", "Isolation Failure"]);
+        expect(result.diagnose_result_messages).toEqual(["Meter communication failure"]);
+        expect(result.warning_code_messages).toEqual(["Bit 3"]);
+
+        const bms = Buffer.alloc(48);
+        bms.writeUInt16BE(1 << 2, (37006 - 37000) * 2); // battery_error_l
+        const bmsResult = parseSensorData(ET_SENSORS, bms, 37000);
+        expect(bmsResult.battery_error_l_messages).toEqual(["Cell temperature high 2"]);
+        expect(bmsResult.battery_warning_l_messages).toEqual([]);
+    });
+
+    test("DT and ES: decode error codes with the shared table", () => {
+        const dt = Buffer.alloc(146);
+        dt.writeUInt32BE(1 << 13, (30130 - DT_REGISTER_START) * 2);
+        expect(parseSensorData(DT_SENSORS, dt, DT_REGISTER_START).error_codes_messages).toEqual(["Over Temperature"]);
+
+        const es = Buffer.alloc(90);
+        es.writeUInt32BE(0x80000000, 55);
+        expect(parseSensorData(ES_SENSORS, es, null).error_codes_messages).toEqual(["Internal Communication Failure"]);
+    });
+
+    test("message values have metadata in the sensor's category", () => {
+        const metadata = buildSensorMetadata(ET_SENSORS);
+        expect(metadata.error_codes.bits[14]).toBe("Utility Loss");
+        expect(metadata.error_codes_messages).toEqual({
+            name: "Active Error Codes",
+            unit: "",
+            kind: "STATUS",
+            category: "status"
+        });
+        expect(metadata.battery_error_l_messages.category).toBe("battery");
+    });
+});
+
+// ── calculateSensors tests ──────────────────────────────────────────────────
+
+describe("calculateSensors", () => {
+    const sensors = [
+        { id: "a", offset: 0, type: "Power", size: 2, kind: Kind.PV, unit: "W", name: "A" },
+        { id: "b", offset: 2, type: "Power", size: 2, kind: Kind.PV, unit: "W", name: "B" },
+        { id: "sum", offset: null, type: "Calculated", size: 0, kind: Kind.PV, unit: "W", name: "Sum",
+            depends: ["a", "b"], calculate: d => d.a + d.b },
+        { id: "double", offset: null, type: "Calculated", size: 0, kind: Kind.PV, unit: "W", name: "Double",
+            depends: ["sum"], calculate: d => d.sum * 2 },
+    ];
+
+    test("evaluates calculated sensors in table order", () => {
+        expect(calculateSensors(sensors, { a: 100, b: 50 })).toEqual({ a: 100, b: 50, sum: 150, double: 300 });
+    });
+
+    test("skips calculated sensors with missing dependencies", () => {
+        expect(calculateSensors(sensors, { a: 100 })).toEqual({ a: 100 });
+    });
+
+    test("runs after raw decoding in parseSensorData", () => {
+        const buf = Buffer.alloc(4);
+        buf.writeUInt16BE(100, 0);
+        buf.writeUInt16BE(50, 2);
+        expect(parseSensorData(sensors, buf, null)).toMatchObject({ sum: 150, double: 300 });
+        expect(parseSensorData(sensors, buf, null, { calculate: false }).sum).toBeUndefined();
+    });
+
+    test("ET: total PV power and house consumption", () => {
+        const buf = Buffer.alloc(250);
+        buf.writeUInt32BE(2000, (35105 - ET_REGISTER_START) * 2); // ppv1
+        buf.writeUInt32BE(1500, (35109 - ET_REGISTER_START) * 2); // ppv2
+        buf.writeInt16BE(-800, (35140 - ET_REGISTER_START) * 2);  // active_power (import)
+        buf.writeInt32BE(-1000, (35182 - ET_REGISTER_START) * 2); // pbattery1 (charging)
+
+        const result = parseSensorData(ET_SENSORS, buf, ET_REGISTER_START);
+        expect(result.ppv).toBe(3500);
+        expect(result.house_consumption).toBe(3300);
+    });
+
+    test("DT: per-string and total PV power from voltage and current", () => {
+        const buf = Buffer.alloc(146);
+        buf.writeUInt16BE(6000, (30103 - DT_REGISTER_START) * 2); // vpv1 600.0 V
+        buf.writeUInt16BE(85, (30104 - DT_REGISTER_START) * 2);   // ipv1 8.5 A
+        buf.writeUInt16BE(5500, (30105 - DT_REGISTER_START) * 2); // vpv2 550.0 V
+        buf.writeUInt16BE(40, (30106 - DT_REGISTER_START) * 2);   // ipv2 4.0 A
+
+        const result = parseSensorData(DT_SENSORS, buf, DT_REGISTER_START);
+        expect(result.ppv1).toBe(5100);
+        expect(result.ppv2).toBe(2200);
+        expect(result.ppv3).toBe(0);
+        expect(result.ppv).toBe(7300);
+    });
+
+    test("ES: battery power sign follows the battery mode", () => {
+        const buf = Buffer.alloc(90);
+        buf.writeUInt16BE(512, 10); // vbattery1 51.2 V
+        buf.writeUInt16BE(100, 12); // ibattery1 10.0 A
+
+        buf.writeUInt8(2, 30); // discharging
+        expect(parseSensorData(ES_SENSORS, buf, null).pbattery1).toBe(512);
+
+        buf.writeUInt8(3, 30); // charging
+        expect(parseSensorData(ES_SENSORS, buf, null).pbattery1).toBe(-512);
+    });
+
+    test("calculated sensors have metadata with units and kinds", () => {
+        expect(buildSensorMetadata(ET_SENSORS).house_consumption).toEqual({
+            name: "House Consumption",
+            unit: "W",
+            kind: "AC",
+            category: "grid"
+        });
+        expect(buildSensorMetadata(DT_SENSORS).ppv).toMatchObject({ unit: "W", kind: "PV", category: "pv" });
+        expect(buildSensorMetadata(ES_SENSORS).pbattery1).toMatchObject({ unit: "W", kind: "BAT", category: "battery" });
+    });
+});
+
 // ── buildSensorMetadata tests ───────────────────────────────────────────────
 
 describe("buildSensorMetadata", () => {
@@ -0,0 +1,229 @@
+/**
+ * Tests for GoodWe Settings Node
+ *
+ * These tests validate:
+ * - Settings node creation and configuration
+ * - Settings filter handling
+ * - Flat and array output formats
+ * - Error handling
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../nodes/config.js");
+
+helper.init(require.resolve("node-red"));
+
+const MOCK_SETTINGS = {
+    work_mode: 3,
+    grid_export: 1,
+    grid_export_limit: 5000,
+    ems_mode: null
+};
+
+const mockReadSettings = jest.fn().mockResolvedValue(MOCK_SETTINGS);
+const mockDisconnect = jest.fn().mockResolvedValue(undefined);
+
+jest.mock("../lib/protocol.js", () => ({
+    ProtocolHandler: jest.fn().mockImplementation(() => ({
+        readSettings: mockReadSettings,
+        disconnect: mockDisconnect,
+        on: jest.fn(),
+        transport: "udp"
+    }))
+}));
+
+// Must require after jest.mock
+const settingsNode = require("../nodes/settings.js");
+
+describe("GoodWe Settings Node", function () {
+
+    beforeEach(function (done) {
+        mockReadSettings.mockClear();
+        mockReadSettings.mockResolvedValue(MOCK_SETTINGS);
+        mockDisconnect.mockClear();
+        helper.startServer(done);
+    });
+
+    afterEach(function (done) {
+        helper.unload();
+        helper.stopServer(done);
+    });
+
+    function createSettingsFlow(config = {}) {
+        return [
+            {
+                id: "c1",
+                type: "goodwe-config",
+                name: "test config",
+                host: config.host === undefined ? "192.168.1.100" : config.host,
+                port: 8899,
+                protocol: "udp",
+                family: config.family || "ET"
+            },
+            {
+                id: "n1",
+                type: "goodwe-settings",
+                name: "test settings",
+                config: "c1",
+                outputFormat: config.outputFormat || "flat",
+                wires: [["n2"]]
+            },
+            { id: "n2", type: "helper" }
+        ];
+    }
+
+    /**
+     * Send a message and resolve with the output message
+     */
+    function expectOutput(n1, n2, msg) {
+        return new Promise((resolve) => {
+            n2.on("input", resolve);
+            n1.receive(msg);
+        });
+    }
+
+    describe("Node Creation", function () {
+
+        it("should be loaded", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow(), function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    expect(n1).toBeDefined();
+                    expect(n1.name).toBe("test settings");
+                    expect(n1.outputFormat).toBe("flat");
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("Reading Settings", function () {
+
+        it("should read all settings in flat format", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    const msg = await expectOutput(n1, n2, { payload: true });
+                    expect(mockReadSettings).toHaveBeenCalledWith(null);
+                    expect(msg.payload).toEqual(MOCK_SETTINGS);
+                    expect(msg.topic).toBe("goodwe/settings");
+                    expect(msg._timestamp).toBeDefined();
+                    expect(msg._inverter).toEqual({ family: "ET", host: "192.168.1.100", transport: "udp" });
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should pass msg.payload.settings as a filter", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    await expectOutput(n1, n2, { payload: { settings: ["work_mode", "grid_export_limit"] } });
+                    expect(mockReadSettings).toHaveBeenCalledWith(["work_mode", "grid_export_limit"]);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should accept a single setting_id", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    await expectOutput(n1, n2, { payload: { setting_id: "work_mode" } });
+                    expect(mockReadSettings).toHaveBeenCalledWith(["work_mode"]);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should output array format with units and enum labels", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow({ outputFormat: "array" }), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    const msg = await expectOutput(n1, n2, { payload: true });
+                    expect(Array.isArray(msg.payload)).toBe(true);
+
+                    const workMode = msg.payload.find(item => item.id === "work_mode");
+                    expect(workMode).toEqual({
+                        id: "work_mode", value: 3, name: "Work Mode", unit: "", kind: "AC", writable: true, label: "Eco"
+                    });
+
+                    const limit = msg.payload.find(item => item.id === "grid_export_limit");
+                    expect(limit.unit).toBe("W");
+                    expect(limit.label).toBeUndefined();
+
+                    const ems = msg.payload.find(item => item.id === "ems_mode");
+                    expect(ems.value).toBeNull();
+                    expect(ems.writable).toBe(false);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should preserve input message properties", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+                try {
+                    const msg = await expectOutput(n1, n2, { payload: true, customProp: "test" });
+                    expect(msg.customProp).toBe("test");
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("Error Handling", function () {
+
+        it("should report unknown settings", function (done) {
+            const error = new Error("Unknown setting: nope");
+            error.code = "INVALID_SETTING";
+            mockReadSettings.mockRejectedValueOnce(error);
+
+            helper.load([configNode, settingsNode], createSettingsFlow(), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].code).toBe("INVALID_SETTING");
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: { settings: ["nope"] } });
+            });
+        });
+
+        it("should handle invalid host gracefully", function (done) {
+            helper.load([configNode, settingsNode], createSettingsFlow({ host: "" }), function () {
+                const n1 = helper.getNode("n1");
+                n1.on("call:error", (call) => {
+                    try {
+                        expect(call.args[0].message).toBe("Invalid host address");
+                        expect(mockReadSettings).not.toHaveBeenCalled();
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+                n1.receive({ payload: true });
+            });
+        });
+    });
+});
@@ -0,0 +1,462 @@
+/**
+ * Tests for inverter settings support
+ *
+ * Tests the per-family settings tables and value helpers in lib/sensors.js,
+ * and ProtocolHandler.readSetting()/readSettings()/writeSetting() with
+ * stubbed transport.
+ */
+
+const {
+    getSettings,
+    getFamilyConfig,
+    parseSettingValue,
+    validateSettingValue,
+    encodeSettingValue,
+    planRegisterBlocks,
+    typeReaders,
+} = require("../lib/sensors");
+const { createRtuWriteRequest } = require("../lib/modbus");
+const { ProtocolHandler } = require("../lib/protocol");
+const {
+    rtuReadResponse,
+    rtuWriteAck,
+    aa55Response,
+    rtuException,
+    uint16,
+    stubModbusInverter,
+} = require("./fixtures/modbus-inverter");
+
+// ── Settings tables ────────────────────────────────────────────────────────
+
+describe("Settings tables", () => {
+    test("each family config exposes its settings", () => {
+        expect(getFamilyConfig("ET").settings).toBe(getSettings("ET"));
+        expect(getFamilyConfig("DT").settings).toBe(getSettings("DT"));
+        expect(getFamilyConfig("ES").settings).toBe(getSettings("ES"));
+    });
+
+    test("getSettings throws for unknown family", () => {
+        expect(() => getSettings("NOPE")).toThrow("Unsupported inverter family");
+    });
+
+    test.each(["ET", "DT", "ES"])("%s settings have required fields", (family) => {
+        const ids = new Set();
+        getSettings(family).forEach(setting => {
+            expect(typeof setting.id).toBe("string");
+            expect(ids.has(setting.id)).toBe(false);
+            ids.add(setting.id);
+            expect(typeof setting.offset).toBe("number");
+            expect(typeof setting.type).toBe("string");
+            expect([1, 2, 4, 6]).toContain(setting.size);
+            expect(typeof setting.name).toBe("string");
+            expect(typeof setting.unit).toBe("string");
+            expect(typeof setting.writable).toBe("boolean");
+            expect(typeReaders[setting.type]).toBeDefined();
+        });
+    });
+
+    test.each(["ET", "DT", "ES"])("%s writable numeric settings declare a range", (family) => {
+        getSettings(family).filter(s => s.writable && !s.values).forEach(setting => {
+            expect(typeof setting.min).toBe("number");
+            expect(typeof setting.max).toBe("number");
+        });
+    });
+
+    test("ET settings cover the 45000 and 47000 register ranges", () => {
+        const offsets = getSettings("ET").map(s => s.offset);
+        expect(offsets.some(o => o >= 45000 && o < 46000)).toBe(true);
+        expect(offsets.some(o => o >= 47000 && o < 48000)).toBe(true);
+        expect(offsets.every(o => o >= 45000 && o < 48000)).toBe(true);
+    });
+
+    test("DT settings are in the 40000 register range", () => {
+        expect(getSettings("DT").every(s => s.offset >= 40000 && s.offset < 41000)).toBe(true);
+    });
+
+    test("ES settings are byte offsets in the AA55 settings block", () => {
+        expect(getSettings("ES").every(s => s.offset >= 0 && s.offset < 256)).toBe(true);
+    });
+
+    test("enum settings list their labels", () => {
+        const workMode = getSettings("ET").find(s => s.id === "work_mode");
+        expect(workMode.values[3]).toBe("Eco");
+        const gridExport = getSettings("DT").find(s => s.id === "grid_export");
+        expect(gridExport.values).toEqual({ 0: "Disabled", 1: "Enabled" });
+    });
+
+    test("ES writable settings declare a write register", () => {
+        getSettings("ES").filter(s => s.writable).forEach(setting => {
+            expect(typeof setting.writeRegister).toBe("number");
+        });
+    });
+});
+
+describe("planRegisterBlocks", () => {
+    const def = (offset, size = 2) => ({ id: `r${offset}`, offset, size });
+
+    test("merges neighbouring registers into one block", () => {
+        const blocks = planRegisterBlocks([def(47510), def(47509), def(47512)]);
+        expect(blocks).toHaveLength(1);
+        expect(blocks[0]).toMatchObject({ start: 47509, count: 4 });
+        expect(blocks[0].items.map(d => d.offset)).toEqual([47509, 47510, 47512]);
+    });
+
+    test("splits blocks on large gaps", () => {
+        const blocks = planRegisterBlocks([def(45356), def(47000)]);
+        expect(blocks.map(b => b.start)).toEqual([45356, 47000]);
+    });
+
+    test("respects the maximum block size", () => {
+        const blocks = planRegisterBlocks([def(100), def(110), def(120)], { maxCount: 15 });
+        expect(blocks.map(b => [b.start, b.count])).toEqual([[100, 11], [120, 1]]);
+    });
+
+    test("accounts for multi-register definitions", () => {
+        const blocks = planRegisterBlocks([def(45200, 6)]);
+        expect(blocks[0]).toMatchObject({ start: 45200, count: 3 });
+    });
+
+    test("every ET setting fits in a block of at most 125 registers", () => {
+        const blocks = planRegisterBlocks(getSettings("ET"));
+        blocks.forEach(b => expect(b.count).toBeLessThanOrEqual(125));
+        expect(blocks.reduce((n, b) => n + b.items.length, 0)).toBe(getSettings("ET").length);
+    });
+});
+
+// ── Value helpers ──────────────────────────────────────────────────────────
+
+describe("Setting value helpers", () => {
+    const scaled = { id: "current", type: "Integer", size: 2, unit: "A", name: "Current", scale: 10, min: 0, max: 100 };
+    const enumSetting = { id: "mode", type: "Integer", size: 2, unit: "", name: "Mode", values: { 0: "General", 3: "Eco" } };
+    const complement = { id: "dod", type: "Integer", size: 2, unit: "%", name: "DoD", complement: 100, min: 0, max: 89 };
+
+    test("parseSettingValue applies scale", () => {
+        expect(parseSettingValue(scaled, uint16(255), 0)).toBe(25.5);
+    });
+
+    test("parseSettingValue applies complement", () => {
+        expect(parseSettingValue(complement, uint16(20), 0)).toBe(80);
+    });
+
+    test("parseSettingValue decodes timestamps", () => {
+        const time = getSettings("ET").find(s => s.id === "time");
+        const data = Buffer.from([25, 11, 2, 12, 30, 0]);
+        expect(parseSettingValue(time, data, 0)).toBe(new Date(2025, 10, 2, 12, 30, 0).toISOString());
+    });
+
+    test("parseSettingValue decodes signed scaled values", () => {
+        const powerFactor = getSettings("ET").find(s => s.id === "power_factor");
+        expect(parseSettingValue(powerFactor, uint16(0xFFA0), 0)).toBe(-0.96);
+    });
+
+    test("parseSettingValue returns null for unavailable values", () => {
+        expect(parseSettingValue(scaled, uint16(0xFFFF), 0)).toBeNull();
+    });
+
+    test("encodeSettingValue round-trips with parseSettingValue", () => {
+        expect(parseSettingValue(scaled, encodeSettingValue(scaled, 25.5), 0)).toBe(25.5);
+        expect(parseSettingValue(complement, encodeSettingValue(complement, 80), 0)).toBe(80);
+    });
+
+    test("encodeSettingValue writes 4-byte settings", () => {
+        const long = { id: "l", type: "Long", size: 4, name: "Long" };
+        expect(encodeSettingValue(long, 70000).readUInt32BE(0)).toBe(70000);
+    });
+
+    test("validateSettingValue accepts values in range", () => {
+        expect(validateSettingValue(scaled, 50)).toEqual({ valid: true, error: null, value: 50 });
+        expect(validateSettingValue(scaled, "12.5").value).toBe(12.5);
+    });
+
+    test("validateSettingValue rejects out-of-range values", () => {
+        const result = validateSettingValue(scaled, 150);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain("out of range");
+    });
+
+    test("validateSettingValue rejects non-numeric values", () => {
+        expect(validateSettingValue(scaled, "abc").valid).toBe(false);
+        expect(validateSettingValue(scaled, true).valid).toBe(false);
+        expect(validateSettingValue(scaled, null).valid).toBe(false);
+    });
+
+    test("validateSettingValue accepts enum codes and labels", () => {
+        expect(validateSettingValue(enumSetting, 3).value).toBe(3);
+        expect(validateSettingValue(enumSetting, "eco").value).toBe(3);
+        expect(validateSettingValue(enumSetting, "0").value).toBe(0);
+    });
+
+    test("validateSettingValue rejects unknown enum values", () => {
+        const result = validateSettingValue(enumSetting, 2);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain("0 (General)");
+    });
+});
+
+// ── ProtocolHandler settings access ────────────────────────────────────────
+
+describe("ProtocolHandler settings", () => {
+    describe("readSetting", () => {
+        test("reads a Modbus RTU setting register", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const sent = stubModbusInverter(handler, { 47510: 4000 });
+
+            await expect(handler.readSetting("grid_export_limit")).resolves.toBe(4000);
+            expect(sent[0][1]).toBe(0x03);
+            expect(sent[0].readUInt16BE(2)).toBe(47510);
+            expect(sent[0].readUInt16BE(4)).toBe(1);
+        });
+
+        test("reads a Modbus TCP setting register", async () => {
+            const handler = new ProtocolHandler({ family: "DT", protocol: "modbus", port: 502 });
+            stubModbusInverter(handler, { 40328: 80 });
+
+            await expect(handler.readSetting("grid_export_limit")).resolves.toBe(80);
+        });
+
+        test("reads an ES setting from the AA55 settings block", async () => {
+            const handler = new ProtocolHandler({ family: "ES" });
+            handler.connected = true;
+            const block = Buffer.alloc(70);
+            block.writeUInt16BE(30, 32); // Stored as 100 - DoD
+            handler.sendCommandWithRetry = jest.fn().mockResolvedValue(aa55Response("0189", block));
+
+            await expect(handler.readSetting("battery_discharge_depth")).resolves.toBe(70);
+        });
+
+        test("rejects unknown settings", async () => {
+            const handler = new ProtocolHandler({ family: "ET" });
+            await expect(handler.readSetting("no_such_setting")).rejects.toMatchObject({ code: "INVALID_SETTING" });
+        });
+    });
+
+    describe("readSettings", () => {
+        test("reads all settings of the family in register blocks", async () => {
+            const handler = new ProtocolHandler({ family: "DT", protocol: "udp" });
+            const sent = stubModbusInverter(handler, { 40326: 1, 40327: 1, 40328: 80, 40345: 0 });
+
+            const settings = await handler.readSettings();
+            expect(Object.keys(settings)).toEqual(getSettings("DT").map(s => s.id));
+            expect(settings).toMatchObject({ shadow_scan: 1, grid_export: 1, grid_export_limit: 80, grid_export_hw: 0 });
+            expect(sent.length).toBeLessThan(getSettings("DT").length);
+            sent.forEach(command => expect(command[1]).toBe(0x03));
+        });
+
+        test("reads only the selected settings", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const sent = stubModbusInverter(handler, { 47000: 3, 47510: 5000 });
+
+            const settings = await handler.readSettings(["work_mode", "grid_export_limit"]);
+            expect(settings).toEqual({ work_mode: 3, grid_export_limit: 5000 });
+            expect(sent).toHaveLength(2);
+        });
+
+        test("reads over Modbus TCP", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "modbus", port: 502 });
+            stubModbusInverter(handler, { 47509: 1, 47510: 4000 });
+
+            await expect(handler.readSettings(["grid_export", "grid_export_limit"]))
+                .resolves.toEqual({ grid_export: 1, grid_export_limit: 4000 });
+        });
+
+        test("returns null for registers the model does not support", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, { 47509: 1, 47510: 4000 }, { unsupported: [47511] });
+
+            const settings = await handler.readSettings(["grid_export", "grid_export_limit", "ems_mode"]);
+            expect(settings).toEqual({ grid_export: 1, grid_export_limit: 4000, ems_mode: null });
+        });
+
+        test("reads ES settings from the AA55 settings block", async () => {
+            const handler = new ProtocolHandler({ family: "ES" });
+            handler.connected = true;
+            const block = Buffer.alloc(70);
+            block.writeUInt16BE(30, 32);  // DoD stored as 100 - DoD
+            block.writeUInt16BE(3, 66);   // Work mode: Eco
+            handler.sendCommandWithRetry = jest.fn().mockResolvedValue(aa55Response("0189", block));
+
+            const settings = await handler.readSettings(["battery_discharge_depth", "work_mode"]);
+            expect(settings).toEqual({ battery_discharge_depth: 70, work_mode: 3 });
+            expect(handler.sendCommandWithRetry).toHaveBeenCalledTimes(1);
+        });
+
+        test("rejects unknown settings", async () => {
+            const handler = new ProtocolHandler({ family: "ET" });
+            await expect(handler.readSettings(["nope"])).rejects.toMatchObject({ code: "INVALID_SETTING" });
+        });
+
+        test("wraps transport failures", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            handler.connected = true;
+            const timeout = new Error("Response timeout");
+            timeout.code = "TIMEOUT";
+            handler.sendCommandWithRetry = jest.fn().mockRejectedValue(timeout);
+
+            const err = await handler.readSettings(["work_mode"]).catch(e => e);
+            expect(err.code).toBe("TIMEOUT");
+            expect(err.message).toContain("Failed to read settings");
+        });
+    });
+
+    describe("writeSetting", () => {
+        test("writes a register with function 0x06 and confirms by reading back", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const registers = { 47510: 4000 };
+            const sent = stubModbusInverter(handler, registers);
+
+            const result = await handler.writeSetting("grid_export_limit", 5000);
+
+            expect(result).toEqual({ setting_id: "grid_export_limit", value: 5000, previous_value: 4000 });
+            expect(registers[47510]).toBe(5000);
+            expect(sent.map(c => c[1])).toEqual([0x03, 0x06, 0x03]);
+        });
+
+        test("writes over Modbus TCP", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "modbus", port: 502 });
+            const registers = { 47000: 0 };
+            const sent = stubModbusInverter(handler, registers);
+
+            const result = await handler.writeSetting("work_mode", "Eco");
+
+            expect(result.value).toBe(3);
+            expect(result.previous_value).toBe(0);
+            expect(sent[1][7]).toBe(0x06);
+            expect(sent[1].readUInt16BE(8)).toBe(47000);
+        });
+
+        test("encodes scaled values", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            const registers = { 45353: 250 };
+            stubModbusInverter(handler, registers);
+
+            const result = await handler.writeSetting("battery_charge_current", 18.5);
+
+            expect(registers[45353]).toBe(185);
+            expect(result).toEqual({ setting_id: "battery_charge_current", value: 18.5, previous_value: 25 });
+        });
+
+        test.each(["battery_discharge_depth", "battery_discharge_depth_offline"])(
+            "stores ET %s as 100 - DoD", async (settingId) => {
+                const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+                const register = settingId === "battery_discharge_depth" ? 45356 : 45358;
+                const registers = { [register]: 20 }; // DoD 80%
+                stubModbusInverter(handler, registers);
+
+                await expect(handler.readSetting(settingId)).resolves.toBe(80);
+                const result = await handler.writeSetting(settingId, 70);
+
+                expect(registers[register]).toBe(30);
+                expect(result).toEqual({ setting_id: settingId, value: 70, previous_value: 80 });
+            });
+
+        test("writes ES settings with the AA55 write command", async () => {
+            const handler = new ProtocolHandler({ family: "ES" });
+            handler.connected = true;
+            let stored = 20; // DoD 80%
+            const sent = [];
+            handler.sendCommandWithRetry = jest.fn(async (command) => {
+                sent.push(command);
+                if (command[4] === 0x02 && command[5] === 0x39) {
+                    stored = command.readUInt16BE(10);
+                    return aa55Response("02B9", Buffer.alloc(0));
+                }
+                const block = Buffer.alloc(70);
+                block.writeUInt16BE(stored, 32);
+                return aa55Response("0189", block);
+            });
+
+            const result = await handler.writeSetting("battery_discharge_depth", 70);
+
+            expect(result).toEqual({ setting_id: "battery_discharge_depth", value: 70, previous_value: 80 });
+            expect(sent[1].slice(4, 12).toString("hex")).toBe("023905056001001e");
+        });
+
+        test("rejects values outside the allowed range before sending", async () => {
+            const handler = new ProtocolHandler({ family: "ET" });
+            const sent = stubModbusInverter(handler, {});
+
+            await expect(handler.writeSetting("battery_discharge_depth", 95))
+                .rejects.toMatchObject({ code: "VALIDATION_ERROR", details: { min: 0, max: 89, provided: 95 } });
+            expect(sent).toHaveLength(0);
+        });
+
+        test("rejects unknown enum values before sending", async () => {
+            const handler = new ProtocolHandler({ family: "ET" });
+            const sent = stubModbusInverter(handler, {});
+
+            await expect(handler.writeSetting("work_mode", "Turbo")).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+            expect(sent).toHaveLength(0);
+        });
+
+        test("rejects unknown settings", async () => {
+            const handler = new ProtocolHandler({ family: "DT" });
+            await expect(handler.writeSetting("work_mode", 1)).rejects.toMatchObject({ code: "INVALID_SETTING" });
+        });
+
+        test("rejects read-only settings", async () => {
+            const handler = new ProtocolHandler({ family: "ET" });
+            handler._familyConfig = Object.assign({}, handler._familyConfig, {
+                settings: [{ id: "fixed", offset: 45000, type: "Integer", size: 2, name: "Fixed", writable: false }]
+            });
+            await expect(handler.writeSetting("fixed", 1)).rejects.toMatchObject({ code: "READ_ONLY_SETTING" });
+        });
+
+        test("fails when the value does not read back", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, { 47510: 4000 }, { ignoreWrites: true });
+
+            const err = await handler.writeSetting("grid_export_limit", 5000).catch(e => e);
+            expect(err.code).toBe("WRITE_VERIFY_FAILED");
+            expect(err.suggestions.length).toBeGreaterThan(0);
+        });
+
+        test("fails when the write is not acknowledged", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, { 47510: 4000 });
+            const readStub = handler.sendCommandWithRetry;
+            handler.sendCommandWithRetry = jest.fn(async (command) => {
+                if (command[1] === 0x06) {
+                    return rtuReadResponse(0xF7, uint16(0));
+                }
+                return readStub(command);
+            });
+
+            const err = await handler.writeSetting("grid_export_limit", 5000).catch(e => e);
+            expect(err.code).toBe("WRITE_ERROR");
+            expect(err.message).toContain("Failed to write setting grid_export_limit");
+        });
+
+        test("fails when the echoed value does not match", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, { 47510: 4000 });
+            const readStub = handler.sendCommandWithRetry;
+            handler.sendCommandWithRetry = jest.fn(async (command) => {
+                if (command[1] === 0x06) {
+                    return rtuWriteAck(createRtuWriteRequest(0xF7, 47510, 4000));
+                }
+                return readStub(command);
+            });
+
+            const err = await handler.writeSetting("grid_export_limit", 5000).catch(e => e);
+            expect(err.code).toBe("WRITE_ERROR");
+            expect(err.message).toContain("Value mismatch");
+        });
+
+        test("surfaces Modbus exception responses with their own error code", async () => {
+            const handler = new ProtocolHandler({ family: "ET", protocol: "udp" });
+            stubModbusInverter(handler, { 47510: 4000 });
+            const readStub = handler.sendCommandWithRetry;
+            handler.sendCommandWithRetry = jest.fn(async (command) => {
+                if (command[1] === 0x06) {
+                    return rtuException(0xF7, 0x06, 0x02);
+                }
+                return readStub(command);
+            });
+
+            const err = await handler.writeSetting("grid_export_limit", 5000).catch(e => e);
+            expect(err.code).toBe("MODBUS_ILLEGAL_DATA_ADDRESS");
+            expect(err.message).toContain("Illegal data address");
+            expect(err.suggestions.some(s => s.includes("not supported"))).toBe(true);
+        });
+    });
+});
@@ -6,6 +6,10 @@
  */
 
 const helper = require("node-red-node-test-helper");
+
+// Serve deterministic inverter data instead of talking to a real inverter
+jest.mock("../lib/protocol.js", () => require("./fixtures/mock-protocol.js"));
+
 const goodweNode = require("../nodes/goodwe.js");
 const configNode = require("../nodes/config.js");
 
@@ -0,0 +1,217 @@
+/**
+ * Tests for protocol "auto" in lib/protocol.js
+ *
+ * Tests selecting a transport (Modbus TCP, Modbus RTU over UDP, AA55)
+ * by probing, remembering it across reconnects and failing over to
+ * another transport when it stops answering.
+ */
+
+const { ProtocolHandler } = require("../lib/protocol");
+const { rtuReadResponse, tcpReadResponse, tcpException, aa55Response } = require("./fixtures/modbus-inverter");
+
+/**
+ * Replace the transport of `handler` with one where only the transports
+ * in `handler.answering` reply. Returns the protocols opened, in order.
+ */
+function stubTransports(handler, answering) {
+    const opened = [];
+    handler.answering = answering;
+    handler._openTransport = jest.fn(async () => {
+        opened.push(handler._activeProtocol);
+        handler.connected = true;
+        handler.socket = { close: (callback) => callback && callback(), end: (callback) => callback() };
+    });
+    handler.sendCommand = jest.fn(async (command) => {
+        const isAA55 = command[0] === 0xAA && command[1] === 0x55;
+        const transport = handler._activeProtocol === "modbus" ? "modbus" : isAA55 ? "aa55" : "udp";
+        if (!handler.answering.includes(transport)) {
+            const error = new Error("Response timeout");
+            error.code = "TIMEOUT";
+            throw error;
+        }
+        if (transport === "aa55") {
+            return aa55Response("0181", Buffer.alloc(53));
+        }
+        if (transport === "modbus") {
+            return tcpReadResponse(command[6], Buffer.alloc(2));
+        }
+        return rtuReadResponse(command[0], Buffer.alloc(2));
+    });
+    return opened;
+}
+
+describe("Transport selection", () => {
+
+    describe("ProtocolHandler with protocol \"auto\"", () => {
+        test("selects Modbus TCP when it answers", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET" });
+            const opened = stubTransports(handler, ["modbus", "udp"]);
+            const states = [];
+            handler.on("status", status => states.push(status));
+
+            await handler.connect();
+
+            expect(opened).toEqual(["modbus"]);
+            expect(handler.transport).toBe("modbus");
+            expect(handler.getStatus()).toMatchObject({ protocol: "modbus", transport: "modbus", port: 502 });
+            expect(states).toContainEqual({ state: "transport-selected", transport: "modbus" });
+        });
+
+        test("falls back to Modbus RTU over UDP", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET" });
+            const opened = stubTransports(handler, ["udp"]);
+
+            await handler.connect();
+
+            expect(opened).toEqual(["modbus", "udp"]);
+            expect(handler.getStatus()).toMatchObject({ protocol: "udp", transport: "udp", port: 8899 });
+        });
+
+        test("counts a Modbus exception as an answer", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET" });
+            stubTransports(handler, []);
+            handler.sendCommand.mockResolvedValueOnce(tcpException(0xF7, 0x03, 0x02));
+
+            await handler.connect();
+
+            expect(handler.transport).toBe("modbus");
+        });
+
+        test("probes AA55 for an unknown family", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "auto" });
+            const opened = stubTransports(handler, ["aa55"]);
+
+            await handler._connectTransport();
+
+            expect(opened).toEqual(["modbus", "udp", "udp"]);
+            expect(handler.transport).toBe("aa55");
+        });
+
+        test("fails with TRANSPORT_DETECTION_FAILED when nothing answers", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET" });
+            const opened = stubTransports(handler, ["aa55"]);
+
+            await expect(handler.connect()).rejects.toMatchObject({ code: "TRANSPORT_DETECTION_FAILED" });
+
+            // AA55 can't read an ET register map, so it is not tried
+            expect(opened).toEqual(["modbus", "udp"]);
+            expect(handler.transport).toBeNull();
+        });
+
+        test("keeps the selected transport across reconnects", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET" });
+            const opened = stubTransports(handler, ["udp"]);
+
+            await handler.connect();
+            await handler.disconnect();
+            await handler.connect();
+
+            expect(opened).toEqual(["modbus", "udp", "udp"]);
+            expect(handler.sendCommand).toHaveBeenCalledTimes(2);
+        });
+
+        test("fails over to another transport when the selected one stops answering", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET", retries: 1 });
+            const opened = stubTransports(handler, ["modbus", "udp"]);
+            const states = [];
+            handler.on("status", status => states.push(status));
+            await handler.connect();
+
+            handler.answering = ["udp"];
+            await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toThrow("timeout");
+            expect(handler.transport).toBe("modbus");
+            await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toThrow("timeout");
+
+            expect(states).toContainEqual({ state: "transport-lost", transport: "modbus" });
+            expect(handler.transport).toBeNull();
+            expect(handler.connected).toBe(false);
+
+            await handler.connect();
+
+            // The failed transport is tried last
+            expect(opened).toEqual(["modbus", "udp"]);
+            expect(handler.transport).toBe("udp");
+        });
+    });
+
+    describe("ProtocolHandler with protocol and family \"auto\"", () => {
+        test("detects a DT inverter on Modbus TCP", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "auto", retries: 1 });
+            const states = [];
+            handler.on("status", status => states.push(status.state));
+            handler._openTransport = jest.fn(async () => {
+                handler.connected = true;
+                handler.socket = { close: (callback) => callback && callback(), end: (callback) => callback() };
+            });
+            // Only Modbus TCP reads of the DT block are answered; AA55 requests
+            // and the ET block time out, as they do on a DT inverter
+            handler.sendCommand = jest.fn(async (command) => {
+                const isTcp = handler._activeProtocol === "modbus" && command[0] !== 0xAA;
+                if (!handler.connected || !isTcp || command.readUInt16BE(8) !== 30100) {
+                    const error = new Error("Response timeout");
+                    error.code = "TIMEOUT";
+                    throw error;
+                }
+                return tcpReadResponse(command[6], Buffer.alloc(command.readUInt16BE(10) * 2));
+            });
+
+            await handler.connect();
+
+            expect(handler.detectedFamily).toBe("DT");
+            expect(handler.transport).toBe("modbus");
+            expect(states).not.toContain("transport-lost");
+            expect(handler._openTransport).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe("configured port", () => {
+        test.each([
+            ["modbus", 502],
+            ["udp", 8899]
+        ])("probes %s on its own port, whatever port is configured", async (transport, port) => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET", port: 18899 });
+            stubTransports(handler, [transport]);
+
+            await handler.connect();
+
+            expect(handler.getStatus()).toMatchObject({ transport, port });
+            expect(handler.config).toMatchObject({ protocol: "auto", port: 18899 });
+        });
+
+        test("leaves the configuration unchanged", async () => {
+            const handler = new ProtocolHandler({ protocol: "auto", family: "ET" });
+            stubTransports(handler, ["modbus"]);
+
+            await handler.connect();
+
+            expect(handler.getStatus()).toMatchObject({ protocol: "modbus", port: 502 });
+            expect(handler.config).toMatchObject({ protocol: "auto", port: 8899 });
+        });
+    });
+
+    describe("configured protocol", () => {
+        test.each([
+            ["modbus", "ET", "modbus"],
+            ["tcp", "DT", "modbus"],
+            ["udp", "ET", "udp"],
+            ["udp", "ES", "aa55"]
+        ])("reports protocol %s with family %s as transport %s", (protocol, family, transport) => {
+            const handler = new ProtocolHandler({ protocol, family });
+
+            expect(handler.transport).toBe(transport);
+            expect(handler.getStatus().transport).toBe(transport);
+        });
+
+        test("never fails over", async () => {
+            const handler = new ProtocolHandler({ protocol: "udp", family: "ET", retries: 1 });
+            stubTransports(handler, []);
+            await handler.connect();
+
+            for (let i = 0; i < 3; i++) {
+                await expect(handler.sendCommandWithRetry(Buffer.from([0x00]))).rejects.toThrow("timeout");
+            }
+
+            expect(handler.transport).toBe("udp");
+        });
+    });
+});
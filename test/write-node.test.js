@@ -0,0 +1,260 @@
+/**
+ * Tests for GoodWe Write Node
+ *
+ * These tests validate:
+ * - Write node creation and configuration
+ * - Input validation (setting_id, value, confirmation)
+ * - Output format and metadata
+ * - Error handling
+ */
+
+const helper = require("node-red-node-test-helper");
+const configNode = require("../nodes/config.js");
+
+helper.init(require.resolve("node-red"));
+
+const MOCK_WRITE_RESULT = {
+    setting_id: "grid_export_limit",
+    value: 5000,
+    previous_value: 4000
+};
+
+const mockWriteSetting = jest.fn().mockResolvedValue(MOCK_WRITE_RESULT);
+const mockDisconnect = jest.fn().mockResolvedValue(undefined);
+
+jest.mock("../lib/protocol.js", () => ({
+    ProtocolHandler: jest.fn().mockImplementation(() => ({
+        writeSetting: mockWriteSetting,
+        disconnect: mockDisconnect,
+        on: jest.fn(),
+        transport: "udp"
+    }))
+}));
+
+// Must require after jest.mock
+const writeNode = require("../nodes/write.js");
+
+describe("GoodWe Write Node", function () {
+
+    beforeEach(function (done) {
+        mockWriteSetting.mockClear();
+        mockWriteSetting.mockResolvedValue(MOCK_WRITE_RESULT);
+        mockDisconnect.mockClear();
+        helper.startServer(done);
+    });
+
+    afterEach(function (done) {
+        helper.unload();
+        helper.stopServer(done);
+    });
+
+    function createWriteFlow(config = {}) {
+        return [
+            {
+                id: "c1",
+                type: "goodwe-config",
+                name: "test config",
+                host: config.host === undefined ? "192.168.1.100" : config.host,
+                port: 8899,
+                protocol: "udp",
+                family: config.family || "ET"
+            },
+            {
+                id: "n1",
+                type: "goodwe-write",
+                name: "test write",
+                config: "c1",
+                confirm: config.confirm || false,
+                wires: [["n2"]]
+            },
+            { id: "n2", type: "helper" }
+        ];
+    }
+
+    /**
+     * Send a message and resolve with the error passed to done()
+     */
+    function expectError(n1, msg) {
+        return new Promise((resolve) => {
+            n1.on("call:error", (call) => resolve(call.args[0]));
+            n1.receive(msg);
+        });
+    }
+
+    describe("Node Creation", function () {
+
+        it("should be loaded", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow(), function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    expect(n1).toBeDefined();
+                    expect(n1.name).toBe("test write");
+                    expect(n1.confirm).toBe(false);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should require a config node", function (done) {
+            const flow = [{ id: "n1", type: "goodwe-write", name: "test write" }];
+
+            helper.load([configNode, writeNode], flow, function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    expect(n1).toBeDefined();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("Writing Settings", function () {
+
+        it("should write the setting and output a confirmation", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow(), function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", function (msg) {
+                    try {
+                        expect(mockWriteSetting).toHaveBeenCalledWith("grid_export_limit", 5000);
+                        expect(msg.payload).toEqual({
+                            success: true,
+                            setting_id: "grid_export_limit",
+                            value: 5000,
+                            previous_value: 4000
+                        });
+                        expect(msg.topic).toBe("goodwe/write_confirm");
+                        expect(msg._timestamp).toBeDefined();
+                        expect(msg._inverter).toEqual({ family: "ET", host: "192.168.1.100", transport: "udp" });
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: { setting_id: "grid_export_limit", value: 5000 } });
+            });
+        });
+
+        it("should preserve input message properties", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow(), function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", function (msg) {
+                    try {
+                        expect(msg.customProp).toBe("test");
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: { setting_id: "grid_export_limit", value: 5000 }, customProp: "test" });
+            });
+        });
+
+        it("should write when confirmation is required and given", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow({ confirm: true }), function () {
+                const n1 = helper.getNode("n1");
+                const n2 = helper.getNode("n2");
+
+                n2.on("input", function (msg) {
+                    try {
+                        expect(msg.payload.success).toBe(true);
+                        expect(mockWriteSetting).toHaveBeenCalledTimes(1);
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: { setting_id: "grid_export_limit", value: 5000, confirm: true } });
+            });
+        });
+    });
+
+    describe("Input Validation", function () {
+
+        it("should reject a message without setting_id", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    const err = await expectError(n1, { payload: { value: 5000 } });
+                    expect(err.code).toBe("MISSING_PARAMETER");
+                    expect(mockWriteSetting).not.toHaveBeenCalled();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should reject a message without value", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    const err = await expectError(n1, { payload: { setting_id: "grid_export_limit" } });
+                    expect(err.code).toBe("MISSING_PARAMETER");
+                    expect(err.message).toContain("value");
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should refuse to write without confirmation when required", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow({ confirm: true }), async function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    const err = await expectError(n1, { payload: { setting_id: "grid_export_limit", value: 5000 } });
+                    expect(err.code).toBe("CONFIRMATION_REQUIRED");
+                    expect(mockWriteSetting).not.toHaveBeenCalled();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe("Error Handling", function () {
+
+        it("should report validation errors from the protocol handler", function (done) {
+            const validationError = new Error("Export Limit out of range: 50000. Valid range: 0-30000W");
+            validationError.code = "VALIDATION_ERROR";
+            mockWriteSetting.mockRejectedValueOnce(validationError);
+
+            helper.load([configNode, writeNode], createWriteFlow(), async function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    const err = await expectError(n1, { payload: { setting_id: "grid_export_limit", value: 50000 } });
+                    expect(err.code).toBe("VALIDATION_ERROR");
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it("should handle invalid host gracefully", function (done) {
+            helper.load([configNode, writeNode], createWriteFlow({ host: "" }), async function () {
+                const n1 = helper.getNode("n1");
+                try {
+                    const err = await expectError(n1, { payload: { setting_id: "grid_export_limit", value: 5000 } });
+                    expect(err.message).toBe("Invalid host address");
+                    expect(mockWriteSetting).not.toHaveBeenCalled();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+});